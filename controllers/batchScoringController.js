@@ -0,0 +1,215 @@
+/**
+ * Batch Scoring Controller
+ * Queues CSV files for scoring against a trained experiment and serves the results
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Experiment = require('../models/Experiment');
+const Dataset = require('../models/Dataset');
+const TrainingJob = require('../models/TrainingJob');
+const { releaseBlob } = require('../utils/blobStore');
+const { normalizeToCsv } = require('../utils/fileFormats');
+const { assertPredictable, experimentFeatures, requestPredictions } = require('../utils/predictionInput');
+const { outputPath, removeOutput, scoreFile } = require('../utils/batchScoring');
+const jobQueue = require('../utils/jobQueue');
+const httpError = require('../utils/httpError');
+
+const downloadUrl = (job) => `/api/experiments/${job.experiment}/batch-score/${job._id}/download`;
+
+// Uploads are content-addressed, so another queued job may be waiting on the same file
+const releaseInput = async (job, filePath) => {
+    const others = await TrainingJob.countDocuments({
+        _id: { $ne: job._id },
+        type: 'batch_score',
+        status: { $in: ['queued', 'running'] },
+        'payload.inputPath': filePath
+    });
+    if (others === 0) await releaseBlob(filePath);
+};
+
+const runBatchScoreJob = async (job, { progress }) => {
+    const { experimentId, inputPath, originalName } = job.payload;
+
+    try {
+        const experiment = await Experiment.findById(experimentId);
+        if (!experiment) {
+            throw httpError(404, 'Experiment was deleted before the job ran');
+        }
+        assertPredictable(experiment);
+
+        const dataset = await Dataset.findById(experiment.dataset);
+        if (!dataset) {
+            throw httpError(400, 'Dataset is missing or has no data');
+        }
+
+        await progress(2, 'Reading file');
+        const { features, targetColumn, preprocessing } = await experimentFeatures(experiment, dataset);
+        const normalized = await normalizeToCsv(inputPath, originalName);
+
+        try {
+            const summary = await scoreFile({
+                inputPath: normalized.filePath,
+                destination: outputPath(job._id),
+                features,
+                targetColumn,
+                preprocessing,
+                predict: (X) => requestPredictions(experiment, X),
+                onProgress: ({ processed, totalRows, errorCount }) => progress(
+                    5 + (90 * processed) / totalRows,
+                    `Scored ${processed} of ${totalRows} rows (${errorCount} with errors)`
+                )
+            });
+
+            // An experiment deleted mid-run already had its outputs removed; don't leave this one behind
+            if (!(await Experiment.exists({ _id: experiment._id }))) {
+                await removeOutput(job._id);
+                throw httpError(404, 'Experiment was deleted while the job ran');
+            }
+
+            return {
+                experiment: experiment._id,
+                result: { ...summary, downloadUrl: downloadUrl(job) }
+            };
+        } finally {
+            if (normalized.converted) await releaseInput(job, normalized.filePath);
+        }
+    } catch (error) {
+        const failure = httpError(error.response?.status || error.status || 500, error.response?.data?.error || error.message);
+        failure.details = error.details;
+        throw failure;
+    } finally {
+        await releaseInput(job, inputPath);
+    }
+};
+
+jobQueue.registerHandler('batch_score', runBatchScoreJob);
+
+// @desc    Queue an uploaded CSV for scoring with the experiment's model
+// @route   POST /api/experiments/:id/batch-score
+// @access  Private
+exports.startBatchScoring = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please upload a file'
+            });
+        }
+
+        const experiment = await Experiment.findOne({ _id: req.params.id, user: req.user._id });
+        if (!experiment) {
+            await releaseBlob(req.file.path);
+            return res.status(404).json({
+                success: false,
+                error: 'Experiment not found'
+            });
+        }
+
+        try {
+            assertPredictable(experiment);
+        } catch (error) {
+            await releaseBlob(req.file.path);
+            throw error;
+        }
+
+        const job = await jobQueue.enqueue({
+            user: req.user._id,
+            type: 'batch_score',
+            experiment: experiment._id,
+            payload: {
+                experimentId: experiment._id,
+                inputPath: req.file.path,
+                originalName: req.file.originalname
+            }
+        });
+
+        res.status(202).json({
+            success: true,
+            data: { ...jobQueue.describeJob(job), downloadUrl: downloadUrl(job) }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Download the scored CSV of a finished batch job
+// @route   GET /api/experiments/:id/batch-score/:jobId/download
+// @access  Private
+exports.downloadBatchScores = async (req, res) => {
+    try {
+        const job = await TrainingJob.findOne({
+            _id: req.params.jobId,
+            user: req.user._id,
+            experiment: req.params.id,
+            type: 'batch_score'
+        });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Batch scoring job not found'
+            });
+        }
+
+        const filePath = outputPath(job._id);
+        if (job.status !== 'completed' || !fs.existsSync(filePath)) {
+            return res.status(409).json({
+                success: false,
+                error: `Scores are not available; job is ${job.status}`
+            });
+        }
+
+        const baseName = path.parse(job.payload.originalName || 'scores').name.replace(/\.(csv|tsv|tab|txt|jsonl|ndjson)$/i, '');
+        res.download(filePath, `${baseName}-scored.csv`);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Delete a batch scoring job and its scored file
+// @route   DELETE /api/experiments/:id/batch-score/:jobId
+// @access  Private
+exports.deleteBatchScores = async (req, res) => {
+    try {
+        const job = await TrainingJob.findOne({
+            _id: req.params.jobId,
+            user: req.user._id,
+            experiment: req.params.id,
+            type: 'batch_score'
+        });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Batch scoring job not found'
+            });
+        }
+
+        if (['queued', 'running'].includes(job.status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Job is ${job.status}; wait for it to finish before deleting it`
+            });
+        }
+
+        await removeOutput(job._id);
+        await job.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
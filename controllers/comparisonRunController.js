@@ -0,0 +1,128 @@
+/**
+ * Comparison Run Controller
+ * Lists multi-model runs and ranks their child experiments
+ */
+
+const ComparisonRun = require('../models/ComparisonRun');
+const Experiment = require('../models/Experiment');
+const { isLowerBetter, selectionScore, availableMetrics, rankBy } = require('../utils/metrics');
+
+// @desc    Get comparison runs
+// @route   GET /api/model-comparison/runs
+// @access  Private
+exports.getComparisonRuns = async (req, res) => {
+    try {
+        const filter = { user: req.user._id };
+        if (req.query.dataset) filter.dataset = req.query.dataset;
+
+        const runs = await ComparisonRun.find(filter).sort('-createdAt');
+
+        res.status(200).json({
+            success: true,
+            count: runs.length,
+            data: runs
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a comparison run with its child experiments
+// @route   GET /api/model-comparison/runs/:id
+// @access  Private
+exports.getComparisonRun = async (req, res) => {
+    try {
+        const run = await ComparisonRun.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        }).populate('experiments');
+
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                error: 'Comparison run not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: run
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Rank every model in a run by a metric (?metric=, defaults to the run's primary metric)
+// @route   GET /api/model-comparison/runs/:id/leaderboard
+// @access  Private
+exports.getLeaderboard = async (req, res) => {
+    try {
+        const run = await ComparisonRun.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                error: 'Comparison run not found'
+            });
+        }
+
+        const experiments = await Experiment.find({ comparisonRun: run._id }).sort('createdAt');
+        const metrics = availableMetrics(experiments);
+        const metric = req.query.metric || run.primaryMetric || metrics[0];
+
+        if (experiments.length && !metrics.includes(metric)) {
+            return res.status(400).json({
+                success: false,
+                error: `Metric '${metric}' is not reported by this run. Available: ${metrics.join(', ') || 'none'}`
+            });
+        }
+
+        // Cross-validated runs rank by CV mean, others by the holdout score
+        const ranked = rankBy(experiments, (e) => selectionScore(e, metric), metric);
+        const leaderboard = ranked.map(({ item: experiment, score }, index) => ({
+            rank: score === null ? null : index + 1,
+            experimentId: experiment._id,
+            algorithm: experiment.algorithm,
+            score,
+            scoreSource: experiment.cvResults?.mean?.[metric] !== undefined ? 'cv_mean' : 'holdout',
+            scoreStd: experiment.cvResults?.std?.[metric] ?? null,
+            status: experiment.status,
+            metrics: experiment.testMetrics || {},
+            trainingMetrics: experiment.trainingMetrics || {},
+            cvMean: experiment.cvResults?.mean || null,
+            cvStd: experiment.cvResults?.std || null,
+            hyperparameters: experiment.hyperparameters || {},
+            trainingTime: experiment.trainingTime,
+            error: experiment.errorMessage
+        }));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                comparisonRunId: run._id,
+                name: run.name,
+                problemType: run.problemType,
+                status: run.status,
+                metric,
+                order: isLowerBetter(metric) ? 'ascending' : 'descending',
+                availableMetrics: metrics,
+                leaderboard
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -4,9 +4,59 @@
  */
 
 const Dataset = require('../models/Dataset');
-const csv = require('csv-parser');
-const fs = require('fs');
-const axios = require('axios');
+const mlClient = require('../utils/mlClient');
+const { matchedData } = require('express-validator');
+const { once } = require('events');
+const DatasetVersion = require('../models/DatasetVersion');
+const DatasetSplit = require('../models/DatasetSplit');
+const { profileColumns } = require('../utils/columnProfiler');
+const { storeContent, releaseBlob } = require('../utils/blobStore');
+const { toCsv, formatHeader, formatRow } = require('../utils/csvWriter');
+const { ensureRootVersion, createNextVersion, findVersion, rowSource, loadVersionRows } = require('../utils/datasetVersions');
+const { readRows, iterateRows, parseFilters, matchesFilters } = require('../utils/datasetRows');
+const { ingestDataset } = require('../utils/datasetIngest');
+const { resolveSplit } = require('../utils/datasetSplits');
+const { buildQualityReport } = require('../utils/dataQuality');
+const { targetProblems } = require('../utils/targetValidation');
+const { buildPipeline } = require('../utils/preprocessingPipeline');
+const httpError = require('../utils/httpError');
+
+const PREVIEW_ROWS = 20;
+const MAX_PAGE_ROWS = 1000;
+
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        header: (columns) => `${formatHeader(columns)}\n`,
+        row: (columns, row) => `${formatRow(columns, row)}\n`
+    },
+    tsv: {
+        contentType: 'text/tab-separated-values; charset=utf-8',
+        extension: 'tsv',
+        header: (columns) => `${formatHeader(columns, '\t')}\n`,
+        row: (columns, row) => `${formatRow(columns, row, '\t')}\n`
+    },
+    jsonl: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'jsonl',
+        header: () => '',
+        row: (columns, row) => `${JSON.stringify(Object.fromEntries(columns.map(c => [c, row[c]])))}\n`
+    }
+};
+
+// Column projection and row filters shared by the rows and export endpoints
+const parseRowSelection = (version, query) => {
+    const knownColumns = version.columns.map(c => c.name);
+    const columns = query.columns ? String(query.columns).split(',').map(c => c.trim()) : null;
+
+    const unknown = (columns || []).filter(c => !knownColumns.includes(c));
+    if (unknown.length) {
+        throw httpError(400, `Unknown columns: ${unknown.join(', ')}`);
+    }
+
+    return { columns, filters: parseFilters(query.filter) };
+};
 
 // @desc    Upload a new dataset
 // @route   POST /api/datasets/upload
@@ -20,83 +70,27 @@ exports.uploadDataset = async (req, res) => {
             });
         }
 
-        const { name, description, targetColumn, problemType } = req.body;
-
-        // Parse CSV file
-        const results = [];
-        const columns = [];
-
-        fs.createReadStream(req.file.path)
-            .pipe(csv())
-            .on('headers', (headers) => {
-                columns.push(...headers);
-            })
-            .on('data', (data) => results.push(data))
-            .on('end', async () => {
-                try {
-                    if (results.length === 0) {
-                        return res.status(400).json({
-                            success: false,
-                            error: 'CSV file is empty'
-                        });
-                    }
-
-                    // Analyze columns - ensure proper array of objects
-                    const columnInfo = [];
-                    for (const col of columns) {
-                        const colValues = results.map(r => r[col]);
-                        columnInfo.push({
-                            name: String(col || '').trim(),
-                            type: 'string',
-                            uniqueValues: Number(new Set(colValues.filter(v => v)).size),
-                            missingValues: Number(colValues.filter(v => !v || v === '').length)
-                        });
-                    }
-
-                    // Limit data size to avoid MongoDB 16MB document cap
-                    const jsonSize = Buffer.byteLength(JSON.stringify(results), 'utf8');
-                    const MAX_BYTES = 12 * 1024 * 1024; // keep headroom for other fields
-                    let dataToPersist = results;
-                    if (jsonSize > MAX_BYTES) {
-                        const approxRowSize = Math.max(1, Math.floor(jsonSize / results.length));
-                        const maxRows = Math.max(100, Math.floor(MAX_BYTES / approxRowSize));
-                        dataToPersist = results.slice(0, maxRows);
-                    }
-
-                    // Create dataset with explicit field typing and stored file path
-                    const dataset = new Dataset({
-                        name: String(name || req.file.originalname),
-                        description: String(description || ''),
-                        user: req.user._id,
-                        fileName: String(req.file.originalname),
-                        fileSize: Number(req.file.size),
-                        filePath: String(req.file.path),
-                        columns: columnInfo,
-                        numberOfRows: Number(results.length),
-                        numberOfColumns: Number(columns.length),
-                        targetColumn: String(targetColumn || ''),
-                        problemType: String(problemType || ''),
-                        data: dataToPersist,
-                        status: 'ready'
-                    });
-
-                    await dataset.save();
-
-                    // Keep the uploaded file for full-data processing later
-
-                    res.status(201).json({
-                        success: true,
-                        data: dataset
-                    });
-                } catch (error) {
-                    res.status(500).json({
-                        success: false,
-                        error: error.message
-                    });
-                }
+        const { dataset, duplicate } = await ingestDataset({
+            user: req.user,
+            file: req.file,
+            fields: req.body
+        });
+
+        // Rows are served from the stored file via GET /api/datasets/:id/rows
+        if (duplicate) {
+            return res.status(200).json({
+                success: true,
+                duplicate: true,
+                data: dataset
             });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: dataset
+        });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
@@ -125,6 +119,37 @@ exports.getDatasets = async (req, res) => {
     }
 };
 
+// @desc    Find the user's dataset for a file content hash
+// @route   GET /api/datasets/by-hash/:hash
+// @access  Private
+exports.getDatasetByHash = async (req, res) => {
+    try {
+        const dataset = await Dataset.findOne({
+            user: req.user._id,
+            contentHash: String(req.params.hash).toLowerCase()
+        })
+            .select('-data')
+            .sort('-createdAt');
+
+        if (!dataset) {
+            return res.status(404).json({
+                success: false,
+                error: 'No dataset with this content hash'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: dataset
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 // @desc    Get dataset by ID
 // @route   GET /api/datasets/:id
 // @access  Private
@@ -142,9 +167,231 @@ exports.getDatasetById = async (req, res) => {
             });
         }
 
+        // Preview comes from the row source instead of the embedded data field
+        const root = await ensureRootVersion(dataset);
+        let preview = [];
+        try {
+            ({ rows: preview } = await readRows(rowSource(dataset, root), { limit: PREVIEW_ROWS }));
+        } catch (_) {}
+
+        const { data: _data, ...fields } = dataset.toObject();
+
         res.status(200).json({
             success: true,
-            data: dataset
+            data: { ...fields, preview }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a page of dataset rows
+// @route   GET /api/datasets/:id/rows
+// @access  Private
+exports.getDatasetRows = async (req, res) => {
+    try {
+        const dataset = await Dataset.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!dataset) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dataset not found'
+            });
+        }
+
+        const version = await findVersion(dataset, req.query.version);
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: `Dataset version ${req.query.version} not found`
+            });
+        }
+
+        const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+        const limit = Math.min(MAX_PAGE_ROWS, Math.max(1, parseInt(req.query.limit, 10) || 100));
+
+        let selection;
+        try {
+            selection = parseRowSelection(version, req.query);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        const { columns, filters } = selection;
+
+        const { rows, hasMore } = await readRows(rowSource(dataset, version), { offset, limit, columns, filters });
+
+        res.status(200).json({
+            success: true,
+            count: rows.length,
+            pagination: {
+                offset,
+                limit,
+                hasMore,
+                totalRows: filters.length ? undefined : version.numberOfRows
+            },
+            version: version.version,
+            columns: columns || version.columns.map(c => c.name),
+            data: rows
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Download dataset rows as CSV, TSV or JSON Lines
+// @route   GET /api/datasets/:id/export
+// @access  Private
+exports.exportDataset = async (req, res) => {
+    try {
+        const dataset = await Dataset.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!dataset) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dataset not found'
+            });
+        }
+
+        const format = String(req.query.format || 'csv').toLowerCase();
+        const exporter = EXPORT_FORMATS[format];
+        if (!exporter) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported export format '${format}'. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            });
+        }
+
+        const version = await findVersion(dataset, req.query.version);
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: `Dataset version ${req.query.version} not found`
+            });
+        }
+
+        let selection;
+        try {
+            selection = parseRowSelection(version, req.query);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        const columns = selection.columns || version.columns.map(c => c.name);
+        const { filters } = selection;
+
+        const baseName = String(dataset.name).replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+        res.setHeader('Content-Type', exporter.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}-v${version.version}.${exporter.extension}"`);
+
+        const header = exporter.header(columns);
+        if (header) res.write(header);
+
+        for await (const row of iterateRows(rowSource(dataset, version))) {
+            if (res.destroyed) break;
+            if (filters.length && !matchesFilters(row, filters)) continue;
+            if (!res.write(exporter.row(columns, row))) await once(res, 'drain');
+        }
+
+        res.end();
+    } catch (error) {
+        // Once streaming has started the only honest signal left is a broken response
+        if (res.headersSent) return res.destroy(error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Data quality report for a dataset version
+// @route   GET /api/datasets/:id/quality
+// @access  Private
+exports.getDatasetQuality = async (req, res) => {
+    try {
+        const dataset = await Dataset.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!dataset) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dataset not found'
+            });
+        }
+
+        const version = await findVersion(dataset, req.query.version);
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: `Dataset version ${req.query.version} not found`
+            });
+        }
+
+        const rows = await loadVersionRows(dataset, version);
+        const report = buildQualityReport({
+            columns: version.columns,
+            rows,
+            targetColumn: version.targetColumn || dataset.targetColumn,
+            problemType: dataset.problemType
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { version: version.version, ...report }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get column profile for dataset
+// @route   GET /api/datasets/:id/profile
+// @access  Private
+exports.getDatasetProfile = async (req, res) => {
+    try {
+        const dataset = await Dataset.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        }).select('name numberOfRows numberOfColumns targetColumn problemType columns');
+
+        if (!dataset) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dataset not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                name: dataset.name,
+                numberOfRows: dataset.numberOfRows,
+                numberOfColumns: dataset.numberOfColumns,
+                targetColumn: dataset.targetColumn,
+                problemType: dataset.problemType,
+                columns: dataset.columns
+            }
         });
     } catch (error) {
         res.status(500).json({
@@ -154,12 +401,12 @@ exports.getDatasetById = async (req, res) => {
     }
 };
 
-// @desc    Update dataset
-// @route   PUT /api/datasets/:id
+// @desc    Update editable dataset fields
+// @route   PATCH /api/datasets/:id
 // @access  Private
 exports.updateDataset = async (req, res) => {
     try {
-        let dataset = await Dataset.findOne({
+        const dataset = await Dataset.findOne({
             _id: req.params.id,
             user: req.user._id
         });
@@ -171,11 +418,40 @@ exports.updateDataset = async (req, res) => {
             });
         }
 
-        dataset = await Dataset.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        );
+        // Only fields that passed datasetUpdateRules, already trimmed
+        const updates = matchedData(req, { locations: ['body'] });
+        const previousTarget = dataset.targetColumn;
+
+        if ('targetColumn' in updates || 'problemType' in updates) {
+            const version = await findVersion(dataset);
+            const errors = targetProblems({
+                columns: version ? version.columns : dataset.columns,
+                targetColumn: 'targetColumn' in updates ? updates.targetColumn : dataset.targetColumn,
+                problemType: updates.problemType || dataset.problemType
+            });
+            if (errors.length) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    errors
+                });
+            }
+        }
+
+        dataset.set(updates);
+        await dataset.save();
+
+        // Versions that inherited the old target follow the new one when they have that column
+        if ('targetColumn' in updates && updates.targetColumn !== previousTarget) {
+            await DatasetVersion.updateMany(
+                {
+                    dataset: dataset._id,
+                    targetColumn: previousTarget || null,
+                    ...(updates.targetColumn ? { 'columns.name': updates.targetColumn } : {})
+                },
+                { targetColumn: updates.targetColumn }
+            );
+        }
 
         res.status(200).json({
             success: true,
@@ -206,13 +482,18 @@ exports.deleteDataset = async (req, res) => {
             });
         }
 
-        // Cleanup stored file if present
-        if (dataset.filePath && fs.existsSync(dataset.filePath)) {
-            try { fs.unlinkSync(dataset.filePath); } catch (_) {}
-        }
+        const versions = await DatasetVersion.find({ dataset: dataset._id }).select('filePath');
+        const filePaths = new Set([dataset.filePath, ...versions.map(v => v.filePath)]);
 
+        await DatasetVersion.deleteMany({ dataset: dataset._id });
+        await DatasetSplit.deleteMany({ dataset: dataset._id });
         await dataset.deleteOne();
 
+        // Cleanup stored files unless another dataset shares the blob
+        for (const filePath of filePaths) {
+            await releaseBlob(filePath);
+        }
+
         res.status(200).json({
             success: true,
             data: {}
@@ -225,7 +506,7 @@ exports.deleteDataset = async (req, res) => {
     }
 };
 
-// @desc    Preprocess dataset
+// @desc    Preprocess dataset into a new version
 // @route   POST /api/datasets/:id/preprocess
 // @access  Private
 exports.preprocessDataset = async (req, res) => {
@@ -242,49 +523,272 @@ exports.preprocessDataset = async (req, res) => {
             });
         }
 
-        dataset.status = 'preprocessing';
-        await dataset.save();
-
-        // Convert dataset to array format (prefer reading full CSV from file)
-        const columns = dataset.columns.map(c => c.name);
-        let data;
-        if (dataset.filePath && fs.existsSync(dataset.filePath)) {
-            data = await new Promise((resolve, reject) => {
-                const rows = [];
-                fs.createReadStream(dataset.filePath)
-                    .pipe(csv())
-                    .on('data', (row) => rows.push(row))
-                    .on('end', () => resolve(rows.map(r => columns.map(col => r[col]))))
-                    .on('error', reject);
+        // Preprocess from the requested version, defaulting to the latest
+        const parent = await findVersion(dataset, req.body.version);
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                error: `Dataset version ${req.body.version} not found`
             });
-        } else {
-            data = Array.isArray(dataset.data)
-                ? dataset.data.map(row => columns.map(col => row[col]))
-                : [];
         }
 
+        const columns = parent.columns.map(c => c.name);
+        const rows = await loadVersionRows(dataset, parent);
+        const data = rows.map(r => columns.map(col => r[col]));
+        const options = req.body.options || {};
+        const targetColumn = parent.targetColumn || dataset.targetColumn;
+
         // Call ML service for preprocessing
-        const mlResponse = await axios.post(`${process.env.ML_SERVICE_URL}/ml/preprocess`, {
+        const mlResult = await mlClient.preprocess({
             data: data,
             columns: columns,
-            target_column: dataset.targetColumn,
+            target_column: targetColumn,
             problem_type: dataset.problemType,
-            preprocessing_options: req.body.options || {}
+            preprocessing_options: options
         });
 
-        // Update dataset with preprocessing results
-        dataset.preprocessingApplied = true;
-        dataset.preprocessingSteps = mlResponse.data.preprocessing_steps;
-        dataset.status = 'ready';
-        await dataset.save();
+        const transformed = mlResult.processed_data || mlResult.data;
+        if (!Array.isArray(transformed)) {
+            return res.status(502).json({
+                success: false,
+                error: 'ML service did not return transformed data'
+            });
+        }
 
-        res.status(200).json({
+        // Normalize row-major arrays into row objects keyed by column name
+        const outputColumns = mlResult.columns || mlResult.feature_names || columns;
+        const outputRows = transformed.map(row => (Array.isArray(row)
+            ? Object.fromEntries(outputColumns.map((col, i) => [col, row[i]]))
+            : row));
+
+        const preprocessingPipeline = buildPipeline({
+            parent,
+            targetColumn,
+            rows,
+            options,
+            mlResult,
+            outputColumns,
+            outputRows
+        });
+
+        const stored = await storeContent(toCsv(outputColumns, outputRows));
+
+        const version = await createNextVersion(dataset, {
+            user: dataset.user,
+            parent: parent._id,
+            source: 'preprocess',
+            preprocessingOptions: options,
+            preprocessingSteps: mlResult.preprocessing_steps,
+            preprocessingPipeline,
+            filePath: stored.filePath,
+            contentHash: stored.contentHash,
+            fileSize: stored.size,
+            columns: profileColumns(outputColumns, outputRows),
+            numberOfRows: outputRows.length,
+            numberOfColumns: outputColumns.length,
+            targetColumn: outputColumns.includes(targetColumn) ? targetColumn : ''
+        });
+
+        // Transformed rows live in the version's file, not in the response
+        const { processed_data, data: _rows, preprocessing_pipeline: _pipeline, ...preprocessingResults } = mlResult;
+
+        res.status(201).json({
             success: true,
             data: {
                 dataset: dataset,
-                preprocessing_results: mlResponse.data
+                version: version,
+                preprocessing_results: preprocessingResults
             }
         });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    List versions of a dataset
+// @route   GET /api/datasets/:id/versions
+// @access  Private
+exports.getDatasetVersions = async (req, res) => {
+    try {
+        const dataset = await Dataset.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!dataset) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dataset not found'
+            });
+        }
+
+        await ensureRootVersion(dataset);
+        const versions = await DatasetVersion.find({ dataset: dataset._id })
+            .select('-columns')
+            .sort('version');
+
+        res.status(200).json({
+            success: true,
+            count: versions.length,
+            data: versions
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a specific dataset version
+// @route   GET /api/datasets/:id/versions/:version
+// @access  Private
+exports.getDatasetVersion = async (req, res) => {
+    try {
+        const dataset = await Dataset.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!dataset) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dataset not found'
+            });
+        }
+
+        const version = await findVersion(dataset, req.params.version);
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: `Dataset version ${req.params.version} not found`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: version
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Create (or reuse) a persisted train/test split
+// @route   POST /api/datasets/:id/splits
+// @access  Private
+exports.createSplit = async (req, res) => {
+    try {
+        const dataset = await Dataset.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!dataset) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dataset not found'
+            });
+        }
+
+        const version = await findVersion(dataset, req.body.version);
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: `Dataset version ${req.body.version} not found`
+            });
+        }
+
+        const { name, strategy, testSize, seed, column } = req.body;
+        const rows = await loadVersionRows(dataset, version);
+        const split = await resolveSplit({
+            dataset,
+            version,
+            rows,
+            options: { name, strategy, testSize, seed, column }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: split
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    List persisted splits for a dataset
+// @route   GET /api/datasets/:id/splits
+// @access  Private
+exports.getSplits = async (req, res) => {
+    try {
+        const dataset = await Dataset.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!dataset) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dataset not found'
+            });
+        }
+
+        const splits = await DatasetSplit.find({ dataset: dataset._id })
+            .select('-testIndices')
+            .sort('-createdAt');
+
+        res.status(200).json({
+            success: true,
+            count: splits.length,
+            data: splits
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a split including its held-out row indices
+// @route   GET /api/datasets/:id/splits/:splitId
+// @access  Private
+exports.getSplit = async (req, res) => {
+    try {
+        const dataset = await Dataset.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!dataset) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dataset not found'
+            });
+        }
+
+        const split = await DatasetSplit.findOne({ _id: req.params.splitId, dataset: dataset._id });
+        if (!split) {
+            return res.status(404).json({
+                success: false,
+                error: 'Split not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: split
+        });
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -3,54 +3,128 @@
  * Manages experiment lifecycle and proxies training/tuning to the ML microservice
  */
 
-const axios = require('axios');
+const { matchedData } = require('express-validator');
 const Experiment = require('../models/Experiment');
 const Dataset = require('../models/Dataset');
+const DatasetSplit = require('../models/DatasetSplit');
+const TuningTrial = require('../models/TuningTrial');
+const ModelVersion = require('../models/ModelVersion');
+const { coerceValue } = require('../utils/columnProfiler');
+const { findVersion, loadVersionRows } = require('../utils/datasetVersions');
+const { resolveSplit, applySplit, trainIndices, seededRandom, shuffle } = require('../utils/datasetSplits');
+const { buildQualityReport, assertTrainable } = require('../utils/dataQuality');
+const { heldOutPredictions } = require('../utils/metrics');
+const { compareExperiments } = require('../utils/experimentComparison');
+const { experimentConfig, diffConfigs, buildLineage } = require('../utils/experimentLineage');
+const { normalizeCvOptions, crossValidate } = require('../utils/crossValidation');
+const { normalizeSearchOptions, plannedTrials, runSearch } = require('../utils/hyperparameterSearch');
+const { MAX_ONLINE_RECORDS, assertPredictable, experimentFeatures, encodeRecords, requestPredictions } = require('../utils/predictionInput');
+const { removeExperimentOutputs } = require('../utils/batchScoring');
+const { resolveHyperparameters, configurationErrors, assertValidConfiguration, assertValidParamSpace } = require('../utils/algorithmCatalog');
+const { DEFAULT_TOLERANCE, newSeed, mlServiceVersion, buildManifest, compareRuns } = require('../utils/reproducibility');
+const mlClient = require('../utils/mlClient');
+const jobQueue = require('../utils/jobQueue');
+const httpError = require('../utils/httpError');
 
-const ML_SERVICE_URL = process.env.ML_SERVICE_URL || 'http://localhost:8000';
+const prepareDatasetPayload = (dataset, version, rows) => {
+    const columns = version.columns.map((c) => c.name);
+    const targetColumn = version.targetColumn || dataset.targetColumn;
 
-const handleProxyError = (res, error) => {
-    const status = error.response?.status || 500;
-    const message = error.response?.data?.error || error.message || 'ML service error';
-    return res.status(status).json({ success: false, error: message });
-};
+    if (!targetColumn) {
+        throw new Error('Target column is required before training');
+    }
+
+    const featureColumns = columns.filter((c) => c !== targetColumn);
+    const columnTypes = Object.fromEntries(version.columns.map((c) => [c.name, c.type]));
+
+    const X = rows.map((row) => featureColumns.map((col) => coerceValue(row[col], columnTypes[col])));
+    const y = rows.map((row) => coerceValue(row[targetColumn], columnTypes[targetColumn]));
+    const features = featureColumns.map((name) => ({ name, type: columnTypes[name] }));
 
-const coerceValue = (value) => {
-    if (value === null || value === undefined) return value;
-    const numeric = Number(value);
-    return Number.isNaN(numeric) ? value : numeric;
+    return { X, y, featureColumns, features, targetColumn };
 };
 
-const prepareDatasetPayload = (dataset) => {
-    const columns = dataset.columns.map((c) => c.name);
-    const targetColumn = dataset.targetColumn;
+// Resolve the dataset version an experiment trains on and pin it on the experiment.
+// With a persisted split the held-out rows are returned separately as X_test/y_test.
+// `mlDataset` holds every row for the ML client; trainRowIndices/testRowIndices point into it.
+// The quality report travels along so jobs can refuse to train on blocking issues.
+const loadTrainingData = async (experiment, dataset) => {
+    const version = await findVersion(dataset, experiment.datasetVersionNumber);
+    if (!version) {
+        throw new Error(`Dataset version ${experiment.datasetVersionNumber} not found`);
+    }
 
-    if (!targetColumn) {
-        throw new Error('Target column is required before training');
+    const rows = await loadVersionRows(dataset, version);
+    experiment.datasetVersion = version._id;
+    experiment.datasetVersionNumber = version.version;
+
+    const { X, y, features, targetColumn } = prepareDatasetPayload(dataset, version, rows);
+    const quality = buildQualityReport({
+        columns: version.columns,
+        rows,
+        targetColumn,
+        problemType: experiment.problemType
+    });
+
+    const mlDataset = mlClient.sharedDataset({ key: `${dataset._id}:v${version.version}:${targetColumn}`, X, y });
+    const loaded = { version, rowsLoaded: rows.length, features, targetColumn, quality, mlDataset };
+    if (!experiment.split) {
+        return { X_train: X, y_train: y, split: null, trainRowIndices: X.map((_, i) => i), testRowIndices: null, ...loaded };
     }
 
-    const featureColumns = columns.filter((c) => c !== targetColumn);
+    const split = await resolveSplit({ dataset, version, rows, splitId: experiment.split });
+    const { train: X_train, test: X_test } = applySplit(split, X);
+    const { train: y_train, test: y_test } = applySplit(split, y);
+    return { X_train, y_train, X_test, y_test, split, trainRowIndices: trainIndices(split), testRowIndices: split.testIndices, ...loaded };
+};
+
+// Check the dataset, version and split an experiment will train on; throws 4xx errors
+const resolveTrainingTarget = async ({ user, datasetId, versionNumber, splitId }) => {
+    const dataset = await Dataset.findOne({ _id: datasetId, user });
+    if (!dataset) {
+        throw httpError(404, 'Dataset not found');
+    }
 
-    const X = dataset.data.map((row) => featureColumns.map((col) => coerceValue(row[col])));
-    const y = dataset.data.map((row) => coerceValue(row[targetColumn]));
+    const version = await findVersion(dataset, versionNumber);
+    if (!version) {
+        throw httpError(404, `Dataset version ${versionNumber} not found`);
+    }
+
+    if (splitId) {
+        const split = await DatasetSplit.findOne({ _id: splitId, dataset: dataset._id });
+        if (!split) {
+            throw httpError(404, 'Split not found for this dataset');
+        }
+        if (!split.datasetVersion.equals(version._id)) {
+            throw httpError(400, `Split was made for dataset version ${split.datasetVersionNumber}`);
+        }
+    }
 
-    return { X, y, featureColumns, targetColumn };
+    return { dataset, version };
 };
 
+// Error response body, with field errors when the configuration was invalid
+const errorBody = (error) => ({
+    success: false,
+    error: error.message,
+    ...(error.errors ? { errors: error.errors } : {})
+});
+
 exports.createExperiment = async (req, res) => {
     try {
-        const { name, description, problemType, dataset: datasetId, algorithm, hyperparameters, tuningApplied } = req.body;
+        const { name, description, problemType, dataset: datasetId, datasetVersion: versionNumber, split: splitId, algorithm, hyperparameters, tuningApplied } = req.body;
 
-        const dataset = await Dataset.findOne({ _id: datasetId, user: req.user._id });
-        if (!dataset) {
-            return res.status(404).json({ success: false, error: 'Dataset not found' });
-        }
+        assertValidConfiguration({ algorithm, problemType, hyperparameters: hyperparameters || {} });
+        const { version } = await resolveTrainingTarget({ user: req.user._id, datasetId, versionNumber, splitId });
 
         const experiment = await Experiment.create({
             name,
             description,
             problemType,
             dataset: datasetId,
+            datasetVersion: version._id,
+            datasetVersionNumber: version.version,
+            split: splitId || undefined,
             algorithm,
             hyperparameters: hyperparameters || {},
             tuningApplied: Boolean(tuningApplied),
@@ -60,7 +134,7 @@ exports.createExperiment = async (req, res) => {
 
         return res.status(201).json({ success: true, data: experiment });
     } catch (error) {
-        return res.status(500).json({ success: false, error: error.message });
+        return res.status(error.status || 500).json(errorBody(error));
     }
 };
 
@@ -85,87 +159,602 @@ exports.getExperimentById = async (req, res) => {
     }
 };
 
+const proxyError = (error) => httpError(
+    error.response?.status || error.status || 500,
+    error.response?.data?.error || error.message || 'ML service error'
+);
+
+// Shared request-side checks for queued jobs: ownership, catalog, dataset and version.
+// Rows are only loaded by the job, which also applies the data quality gate.
+// Sends the error response itself and returns null when the job should not be queued.
+const prepareJob = async (req, res, experimentId = req.params.id) => {
+    const experiment = await Experiment.findOne({ _id: experimentId, user: req.user._id });
+    if (!experiment) {
+        res.status(404).json({ success: false, error: 'Experiment not found' });
+        return null;
+    }
+
+    const configErrors = configurationErrors({
+        algorithm: experiment.algorithm,
+        problemType: experiment.problemType,
+        hyperparameters: experiment.hyperparameters || {}
+    });
+    if (configErrors.length) {
+        res.status(400).json({ success: false, error: 'Validation failed', errors: configErrors });
+        return null;
+    }
+
+    const dataset = await Dataset.findById(experiment.dataset);
+    if (!dataset) {
+        res.status(400).json({ success: false, error: 'Dataset is missing or has no data' });
+        return null;
+    }
+
+    if (!(await findVersion(dataset, experiment.datasetVersionNumber))) {
+        res.status(404).json({ success: false, error: `Dataset version ${experiment.datasetVersionNumber} not found` });
+        return null;
+    }
+
+    return { experiment, ignoreQualityWarnings: Boolean(req.body.ignoreQualityWarnings) };
+};
+
+// Run a job handler against its experiment, marking the experiment failed if anything throws
+const withExperiment = (run) => async (job, context) => {
+    const experiment = await Experiment.findById(job.payload.experimentId);
+    if (!experiment) {
+        throw httpError(404, 'Experiment was deleted before the job ran');
+    }
+
+    try {
+        const dataset = await Dataset.findById(experiment.dataset);
+        if (!dataset) {
+            throw httpError(400, 'Dataset is missing or has no data');
+        }
+        return await run(experiment, dataset, { ...context, job });
+    } catch (error) {
+        const failure = proxyError(error);
+        failure.details = error.details;
+        experiment.status = 'failed';
+        experiment.errorMessage = failure.message;
+        await experiment.save();
+        throw failure;
+    }
+};
+
+// One cross-validation fold through the ML service; resolves to its held-out metrics.
+// `rows` maps positions in the cross-validated arrays to rows of `mlDataset`.
+const trainFold = (experiment, hyperparameters, { mlDataset, rows }) => async (fold) => {
+    const data = await mlClient.train({
+        algorithm: experiment.algorithm,
+        problem_type: experiment.problemType,
+        dataset: mlDataset,
+        train_indices: fold.trainIndices.map((i) => rows[i]),
+        test_indices: fold.testIndices.map((i) => rows[i]),
+        hyperparameters,
+        random_state: experiment.seed,
+    });
+    return data.test_metrics || data.metrics || {};
+};
+
+const runTrainJob = withExperiment(async (experiment, dataset, { progress, job }) => {
+    await progress(10, 'Loading dataset');
+    const { X_train, y_train, X_test, y_test, version, split, rowsLoaded, features, targetColumn, quality, mlDataset, trainRowIndices, testRowIndices } = await loadTrainingData(experiment, dataset);
+    assertTrainable(quality, job.payload.ignoreQualityWarnings);
+    const hyperparameters = resolveHyperparameters(experiment.algorithm, experiment.hyperparameters);
+
+    experiment.features = features;
+    experiment.targetColumn = targetColumn;
+    experiment.status = 'training';
+    await experiment.save();
+
+    // Folds come from the training rows only; the persisted holdout still scores the final model
+    const cvOptions = job.payload.crossValidation;
+    experiment.cvResults = undefined;
+    if (cvOptions) {
+        experiment.cvResults = await crossValidate({
+            X: X_train,
+            y: y_train,
+            options: cvOptions,
+            fitFold: trainFold(experiment, hyperparameters, { mlDataset, rows: trainRowIndices }),
+            onFold: (done, total) => progress(20 + (60 * done) / total, `Cross-validation fold ${done}/${total}`)
+        });
+    }
+
+    const payload = {
+        algorithm: experiment.algorithm,
+        problem_type: experiment.problemType,
+        dataset: mlDataset,
+        train_indices: trainRowIndices,
+        ...(testRowIndices ? { test_indices: testRowIndices } : {}),
+        hyperparameters,
+        random_state: experiment.seed,
+    };
+
+    await progress(cvOptions ? 85 : 30, 'Training model');
+    const data = await mlClient.train(payload);
+    experiment.trainingMetrics = data.training_metrics || data.metrics || {};
+    experiment.testMetrics = data.test_metrics || data.metrics || {};
+    experiment.predictions = heldOutPredictions(data, y_test);
+    experiment.modelPath = data.model_path || data.model_id || experiment.modelPath;
+    experiment.mlBackend = data.ml_backend;
+    experiment.manifest = buildManifest({
+        experiment,
+        dataset,
+        version,
+        split,
+        rowsLoaded,
+        trainRows: X_train.length,
+        testRows: X_test ? X_test.length : 0,
+        features,
+        targetColumn,
+        hyperparameters,
+        crossValidation: cvOptions,
+        mlBackend: data.ml_backend,
+        serviceVersion: await mlServiceVersion(data.ml_backend)
+    });
+
+    // Re-runs check themselves against the experiment they reproduce
+    const { reproduce } = job.payload;
+    if (reproduce) {
+        const original = await Experiment.findById(reproduce.experimentId);
+        experiment.reproduction = original
+            ? compareRuns(original, experiment, reproduce.tolerance)
+            : { of: reproduce.experimentId, matches: null, error: 'Original experiment was deleted' };
+    }
+
+    experiment.status = 'completed';
+    await experiment.save();
+
+    return {
+        experiment: experiment._id,
+        result: {
+            trainingMetrics: experiment.trainingMetrics,
+            testMetrics: experiment.testMetrics,
+            ...(experiment.cvResults ? { cvMean: experiment.cvResults.mean, cvStd: experiment.cvResults.std } : {}),
+            ...(experiment.reproduction ? { reproduction: experiment.reproduction } : {}),
+            qualityWarnings: quality.findings
+        }
+    };
+});
+
+// Search summary stored on the experiment; trials live in TuningTrial
+const searchSummary = (job, options) => ({
+    searchId: job._id,
+    strategy: options.strategy,
+    metric: options.metric,
+    paramSpace: options.paramSpace,
+    folds: options.folds,
+    seed: options.seed,
+    maxTrials: options.maxTrials,
+    timeBudgetSeconds: options.timeBudgetSeconds,
+    ...(options.strategy === 'successive_halving' ? { eta: options.eta, candidates: options.candidates } : {})
+});
+
+const runTuneJob = withExperiment(async (experiment, dataset, { progress, job }) => {
+    // Tune on training rows only so the persisted holdout stays unseen
+    await progress(5, 'Loading dataset');
+    const { X_train, y_train, quality, mlDataset, trainRowIndices } = await loadTrainingData(experiment, dataset);
+    assertTrainable(quality, job.payload.ignoreQualityWarnings);
+
+    const options = job.payload.search;
+    const cvOptions = normalizeCvOptions({ folds: options.folds, seed: options.seed }, experiment.problemType);
+    const planned = plannedTrials(options);
+    // Halving rungs train on nested prefixes of one shuffled row order
+    const order = shuffle(X_train.map((_, i) => i), seededRandom(options.seed));
+
+    experiment.status = 'training';
+    experiment.tuningResults = { ...searchSummary(job, options), status: 'running' };
+    await experiment.save();
+
+    const evaluate = async (params, { resource }) => {
+        const rows = resource < 1
+            ? order.slice(0, Math.max(cvOptions.folds * 2, Math.round(resource * order.length)))
+            : null;
+        const X = rows ? rows.map((i) => X_train[i]) : X_train;
+        const y = rows ? rows.map((i) => y_train[i]) : y_train;
+
+        const cv = await crossValidate({
+            X,
+            y,
+            options: cvOptions,
+            fitFold: trainFold(experiment, { ...(experiment.hyperparameters || {}), ...params }, {
+                mlDataset,
+                rows: rows ? rows.map((i) => trainRowIndices[i]) : trainRowIndices
+            })
+        });
+        return { score: cv.mean[options.metric], scoreStd: cv.std[options.metric], metrics: cv.mean, trainRows: X.length };
+    };
+
+    const record = async (trial) => {
+        await TuningTrial.create({ ...trial, experiment: experiment._id, job: job._id, user: experiment.user, metric: options.metric });
+        const score = trial.status === 'completed' ? `${options.metric} ${trial.score.toFixed(4)}` : 'failed';
+        await progress(10 + (85 * Math.min(trial.number, planned)) / planned, `Trial ${trial.number}/${planned}: ${score}`);
+    };
+
+    const { trials, best, stopReason } = await runSearch({ options, evaluate, record });
+    if (!best) {
+        const firstError = trials.find((t) => t.errorMessage)?.errorMessage;
+        throw httpError(422, `No trial completed${firstError ? `: ${firstError}` : ''}`);
+    }
+
+    experiment.tuningApplied = true;
+    experiment.tuningResults = {
+        ...searchSummary(job, options),
+        status: 'completed',
+        stopReason,
+        trialsRun: trials.length,
+        failedTrials: trials.filter((t) => t.status === 'failed').length,
+        bestTrial: best.number,
+        bestParams: { ...(experiment.hyperparameters || {}), ...best.params },
+        bestScore: best.score,
+        bestScoreStd: best.scoreStd
+    };
+    experiment.status = 'completed';
+    await experiment.save();
+
+    return {
+        experiment: experiment._id,
+        result: {
+            bestParams: experiment.tuningResults.bestParams,
+            bestScore: best.score,
+            metric: options.metric,
+            trialsRun: trials.length,
+            stopReason,
+            qualityWarnings: quality.findings
+        }
+    };
+});
+
+jobQueue.registerHandler('train', runTrainJob);
+jobQueue.registerHandler('tune', runTuneJob);
+
+// Training runs in the background; the response carries the job to poll
 exports.trainModel = async (req, res) => {
+    try {
+        const prepared = await prepareJob(req, res);
+        if (!prepared) return undefined;
+        const { experiment, ignoreQualityWarnings } = prepared;
+        const crossValidation = normalizeCvOptions(req.body.crossValidation, experiment.problemType);
+
+        if (req.body.seed !== undefined) {
+            if (!Number.isInteger(Number(req.body.seed))) {
+                return res.status(400).json({ success: false, error: 'seed must be an integer' });
+            }
+            experiment.seed = Number(req.body.seed);
+        }
+        // Every run gets a recorded seed so it can be reproduced later
+        if (experiment.seed === undefined || experiment.seed === null) {
+            experiment.seed = newSeed();
+        }
+        experiment.status = 'queued';
+        await experiment.save();
+
+        const job = await jobQueue.enqueue({
+            user: req.user._id,
+            type: 'train',
+            experiment: experiment._id,
+            payload: { experimentId: experiment._id, crossValidation, ignoreQualityWarnings }
+        });
+
+        return res.status(202).json({ success: true, data: jobQueue.describeJob(job) });
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+};
+
+exports.tuneHyperparameters = async (req, res) => {
+    try {
+        const prepared = await prepareJob(req, res);
+        if (!prepared) return undefined;
+        const { experiment, ignoreQualityWarnings } = prepared;
+        const search = normalizeSearchOptions({
+            ...req.body,
+            param_grid: req.body.param_grid || experiment.hyperparameters
+        }, experiment.problemType);
+        assertValidParamSpace(experiment.algorithm, search.paramSpace);
+
+        experiment.status = 'queued';
+        await experiment.save();
+
+        const job = await jobQueue.enqueue({
+            user: req.user._id,
+            type: 'tune',
+            experiment: experiment._id,
+            payload: { experimentId: experiment._id, search, ignoreQualityWarnings }
+        });
+
+        return res.status(202).json({ success: true, data: jobQueue.describeJob(job) });
+    } catch (error) {
+        return res.status(error.status || 500).json(errorBody(error));
+    }
+};
+
+// Latest (or ?search=) hyperparameter search: summary, best configuration and every trial
+exports.getTuningResults = async (req, res) => {
     try {
         const experiment = await Experiment.findOne({ _id: req.params.id, user: req.user._id });
         if (!experiment) {
             return res.status(404).json({ success: false, error: 'Experiment not found' });
         }
 
-        const dataset = await Dataset.findById(experiment.dataset);
-        if (!dataset || !dataset.data) {
-            return res.status(400).json({ success: false, error: 'Dataset is missing or has no data' });
+        const searchId = req.query.search || experiment.tuningResults?.searchId;
+        if (!searchId) {
+            return res.status(404).json({ success: false, error: 'Experiment has not been tuned' });
+        }
+
+        const trials = await TuningTrial.find({ experiment: experiment._id, job: searchId }).sort('number');
+        const current = String(experiment.tuningResults?.searchId) === String(searchId);
+
+        return res.json({
+            success: true,
+            data: {
+                search: current ? experiment.tuningResults : { searchId },
+                trials
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+// Create a new experiment with the best tuned configuration and queue its training
+exports.trainBestConfiguration = async (req, res) => {
+    try {
+        const prepared = await prepareJob(req, res);
+        if (!prepared) return undefined;
+        const { experiment: source, ignoreQualityWarnings } = prepared;
+
+        const tuning = source.tuningResults;
+        if (!tuning?.bestParams || tuning.status !== 'completed') {
+            return res.status(409).json({ success: false, error: 'Experiment has no completed hyperparameter search' });
+        }
+        const crossValidation = normalizeCvOptions(req.body.crossValidation, source.problemType);
+
+        const experiment = await Experiment.create({
+            name: req.body.name || `${source.name} (tuned)`,
+            description: req.body.description || `Best configuration from search ${tuning.searchId} (${tuning.metric} ${tuning.bestScore})`,
+            problemType: source.problemType,
+            dataset: source.dataset,
+            datasetVersion: source.datasetVersion,
+            datasetVersionNumber: source.datasetVersionNumber,
+            split: source.split,
+            algorithm: source.algorithm,
+            hyperparameters: tuning.bestParams,
+            tuningApplied: true,
+            seed: source.seed,
+            parentExperiment: source._id,
+            user: req.user._id,
+            status: 'queued'
+        });
+
+        const job = await jobQueue.enqueue({
+            user: req.user._id,
+            type: 'train',
+            experiment: experiment._id,
+            payload: { experimentId: experiment._id, crossValidation, ignoreQualityWarnings }
+        });
+
+        return res.status(202).json({
+            success: true,
+            data: { experiment, job: jobQueue.describeJob(job) }
+        });
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+};
+
+// Copy an experiment's configuration with overrides; optionally queue its training
+exports.cloneExperiment = async (req, res) => {
+    try {
+        const parent = await Experiment.findOne({ _id: req.params.id, user: req.user._id });
+        if (!parent) {
+            return res.status(404).json({ success: false, error: 'Experiment not found' });
+        }
+
+        const overrides = matchedData(req, { locations: ['body'] });
+        const versionNumber = overrides.datasetVersion ?? parent.datasetVersionNumber;
+        // A split belongs to one dataset version, so moving versions drops the parent's split
+        const versionChanged = Number(versionNumber) !== parent.datasetVersionNumber;
+        const splitId = overrides.split !== undefined ? overrides.split : (versionChanged ? null : parent.split);
+        const { version } = await resolveTrainingTarget({ user: req.user._id, datasetId: parent.dataset, versionNumber, splitId });
+
+        // Hyperparameter overrides merge into the parent's; null removes a key
+        const hyperparameters = { ...(parent.hyperparameters || {}) };
+        for (const [key, value] of Object.entries(overrides.hyperparameters || {})) {
+            if (value === null) delete hyperparameters[key];
+            else hyperparameters[key] = value;
+        }
+
+        const algorithm = overrides.algorithm || parent.algorithm;
+        assertValidConfiguration({ algorithm, problemType: parent.problemType, hyperparameters });
+        const crossValidation = normalizeCvOptions(overrides.crossValidation, parent.problemType);
+
+        const experiment = await Experiment.create({
+            name: overrides.name || `${parent.name} (clone)`,
+            description: overrides.description ?? parent.description,
+            problemType: parent.problemType,
+            dataset: parent.dataset,
+            datasetVersion: version._id,
+            datasetVersionNumber: version.version,
+            split: splitId || undefined,
+            algorithm,
+            hyperparameters,
+            seed: overrides.seed ?? parent.seed,
+            parentExperiment: parent._id,
+            user: req.user._id,
+            status: 'created'
+        });
+
+        const changes = diffConfigs(experimentConfig(parent), experimentConfig(experiment));
+        if (!overrides.train) {
+            return res.status(201).json({ success: true, data: { experiment, parent: parent._id, changes } });
         }
 
-        const { X, y } = prepareDatasetPayload(dataset);
+        // A clone whose training cannot be queued is not kept; the response explains why
+        const prepared = await prepareJob(req, res, experiment._id);
+        if (!prepared) {
+            await experiment.deleteOne();
+            return undefined;
+        }
 
-        experiment.status = 'training';
+        experiment.status = 'queued';
         await experiment.save();
+        const job = await jobQueue.enqueue({
+            user: req.user._id,
+            type: 'train',
+            experiment: experiment._id,
+            payload: { experimentId: experiment._id, crossValidation, ignoreQualityWarnings: prepared.ignoreQualityWarnings }
+        });
+
+        return res.status(202).json({
+            success: true,
+            data: { experiment, parent: parent._id, changes, job: jobQueue.describeJob(job) }
+        });
+    } catch (error) {
+        return res.status(error.status || 500).json(errorBody(error));
+    }
+};
 
-        const payload = {
-            algorithm: experiment.algorithm,
-            problem_type: experiment.problemType,
-            X_train: X,
-            y_train: y,
-            hyperparameters: experiment.hyperparameters || {},
-        };
-
-        try {
-            const { data } = await axios.post(`${ML_SERVICE_URL}/ml/train`, payload);
-            experiment.trainingMetrics = data.training_metrics || data.metrics || {};
-            experiment.testMetrics = data.test_metrics || data.metrics || {};
-            experiment.status = 'completed';
-            await experiment.save();
-            return res.json({ success: true, data: experiment });
-        } catch (error) {
-            experiment.status = 'failed';
-            experiment.errorMessage = error.message;
-            await experiment.save();
-            return handleProxyError(res, error);
+// Ancestors and descendants with metrics and what each changed from its parent
+exports.getLineage = async (req, res) => {
+    try {
+        const experiment = await Experiment.findOne({ _id: req.params.id, user: req.user._id });
+        if (!experiment) {
+            return res.status(404).json({ success: false, error: 'Experiment not found' });
         }
+
+        const lineage = await buildLineage(experiment, req.query.metric || undefined);
+        return res.json({ success: true, data: lineage });
     } catch (error) {
         return res.status(500).json({ success: false, error: error.message });
     }
 };
 
-exports.tuneHyperparameters = async (req, res) => {
+// Train a new experiment from another's manifest and report whether its metrics match
+exports.rerunExperiment = async (req, res) => {
+    try {
+        const prepared = await prepareJob(req, res);
+        if (!prepared) return undefined;
+        const { experiment: original, ignoreQualityWarnings } = prepared;
+
+        const { manifest } = original;
+        if (!manifest) {
+            return res.status(409).json({ success: false, error: 'Experiment has no reproducibility manifest; train it first' });
+        }
+
+        const tolerance = req.body.tolerance === undefined ? DEFAULT_TOLERANCE : Number(req.body.tolerance);
+        if (!(tolerance >= 0)) {
+            return res.status(400).json({ success: false, error: 'tolerance must be a non-negative number' });
+        }
+
+        const { version } = await resolveTrainingTarget({
+            user: req.user._id,
+            datasetId: manifest.dataset.id,
+            versionNumber: manifest.dataset.version,
+            splitId: manifest.split?.id
+        });
+
+        const experiment = await Experiment.create({
+            name: `${original.name} (rerun)`,
+            description: original.description,
+            problemType: manifest.problemType,
+            dataset: manifest.dataset.id,
+            datasetVersion: version._id,
+            datasetVersionNumber: version.version,
+            split: manifest.split?.id,
+            algorithm: manifest.algorithm,
+            hyperparameters: manifest.hyperparameters,
+            tuningApplied: original.tuningApplied,
+            seed: manifest.seed,
+            parentExperiment: original._id,
+            user: req.user._id,
+            status: 'queued'
+        });
+
+        const job = await jobQueue.enqueue({
+            user: req.user._id,
+            type: 'train',
+            experiment: experiment._id,
+            payload: {
+                experimentId: experiment._id,
+                crossValidation: manifest.crossValidation,
+                reproduce: { experimentId: original._id, tolerance },
+                ignoreQualityWarnings
+            }
+        });
+
+        return res.status(202).json({
+            success: true,
+            data: { experiment, job: jobQueue.describeJob(job) }
+        });
+    } catch (error) {
+        return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+};
+
+// Aligned metrics, hyperparameters and significance tests across experiments
+exports.compareExperiments = async (req, res) => {
+    try {
+        const { experimentIds, baseline, alpha, metric } = req.body;
+        const uniqueIds = [...new Set(experimentIds)];
+
+        const found = await Experiment.find({ _id: { $in: uniqueIds }, user: req.user._id });
+        const byId = new Map(found.map((e) => [String(e._id), e]));
+        const missing = uniqueIds.filter((id) => !byId.has(id));
+        if (missing.length) {
+            return res.status(404).json({ success: false, error: `Experiments not found: ${missing.join(', ')}` });
+        }
+
+        const comparison = compareExperiments(uniqueIds.map((id) => byId.get(id)), { baselineId: baseline, alpha, metric });
+        return res.json({ success: true, data: comparison });
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+// Score one record or a small batch with a trained experiment's model
+exports.predict = async (req, res) => {
     try {
         const experiment = await Experiment.findOne({ _id: req.params.id, user: req.user._id });
         if (!experiment) {
             return res.status(404).json({ success: false, error: 'Experiment not found' });
         }
+        assertPredictable(experiment);
+
+        const records = Array.isArray(req.body) ? req.body : [req.body];
+        if (!records.length || records.length > MAX_ONLINE_RECORDS) {
+            return res.status(400).json({ success: false, error: `Send one record or an array of 1-${MAX_ONLINE_RECORDS} records` });
+        }
 
         const dataset = await Dataset.findById(experiment.dataset);
-        if (!dataset || !dataset.data) {
+        if (!dataset) {
             return res.status(400).json({ success: false, error: 'Dataset is missing or has no data' });
         }
 
-        const { X, y } = prepareDatasetPayload(dataset);
-
-        const payload = {
-            algorithm: experiment.algorithm,
-            problem_type: experiment.problemType,
-            X_train: X,
-            y_train: y,
-            param_grid: req.body.param_grid || experiment.hyperparameters || {},
-            cv: req.body.cv || 5,
-        };
-
-        try {
-            const { data } = await axios.post(`${ML_SERVICE_URL}/ml/tune`, payload);
-            experiment.tuningApplied = true;
-            experiment.tuningResults = data;
-            experiment.status = 'completed';
-            await experiment.save();
-            return res.json({ success: true, data: experiment });
-        } catch (error) {
-            experiment.status = 'failed';
-            experiment.errorMessage = error.message;
-            await experiment.save();
-            return handleProxyError(res, error);
+        const { features, targetColumn, preprocessing } = await experimentFeatures(experiment, dataset);
+        const { X, errors } = encodeRecords(records, features, { targetColumn, preprocessing });
+        if (errors.length) {
+            return res.status(400).json({ success: false, error: 'Invalid prediction input', errors });
         }
+
+        const { predictions, probabilities, classes } = await requestPredictions(experiment, X);
+
+        return res.json({
+            success: true,
+            data: {
+                experiment: experiment._id,
+                algorithm: experiment.algorithm,
+                problemType: experiment.problemType,
+                ...(classes ? { classes } : {}),
+                predictions: predictions.map((prediction, i) => ({
+                    prediction,
+                    ...(probabilities ? { probabilities: probabilities[i] } : {})
+                }))
+            }
+        });
     } catch (error) {
-        return res.status(500).json({ success: false, error: error.message });
+        const failure = proxyError(error);
+        return res.status(failure.status).json({ success: false, error: failure.message });
     }
 };
 
@@ -177,6 +766,11 @@ exports.deleteExperiment = async (req, res) => {
         }
 
         await experiment.deleteOne();
+        // Registered versions keep serving the experiment's model after it is gone
+        if (experiment.modelPath && !(await ModelVersion.exists({ modelPath: experiment.modelPath }))) {
+            await mlClient.deleteModel(experiment.modelPath);
+        }
+        await removeExperimentOutputs(experiment._id);
         return res.json({ success: true, data: {} });
     } catch (error) {
         return res.status(500).json({ success: false, error: error.message });
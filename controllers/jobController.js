@@ -0,0 +1,62 @@
+/**
+ * Job Controller
+ * Status polling for queued training and tuning jobs
+ */
+
+const TrainingJob = require('../models/TrainingJob');
+const { describeJob } = require('../utils/jobQueue');
+
+// @desc    Get the current user's jobs, newest first
+// @route   GET /api/jobs
+// @access  Private
+exports.getJobs = async (req, res) => {
+    try {
+        const filter = { user: req.user._id };
+        if (req.query.status) filter.status = req.query.status;
+
+        const jobs = await TrainingJob.find(filter)
+            .select('-payload -result')
+            .sort('-createdAt')
+            .limit(100);
+
+        res.status(200).json({
+            success: true,
+            count: jobs.length,
+            data: jobs.map(describeJob)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get job state, progress, timings and resulting experiment
+// @route   GET /api/jobs/:id
+// @access  Private
+exports.getJob = async (req, res) => {
+    try {
+        const job = await TrainingJob.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        }).populate('experiment');
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: describeJob(job)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -3,21 +3,38 @@
  * Proxies requests from the API server to the Python ML microservice
  */
 
-const axios = require('axios');
-
-const ML_SERVICE_URL = process.env.ML_SERVICE_URL || 'http://localhost:8000';
+const mlClient = require('../utils/mlClient');
+const mlBackends = require('../utils/mlBackends');
+const { getAlgorithm, displayName, resolveHyperparameters, assertValidConfiguration } = require('../utils/algorithmCatalog');
 
 // Normalize error responses from the ML service
 const handleProxyError = (res, error) => {
-    const status = error.response?.status || 500;
+    const status = error.response?.status || error.status || 500;
     const message = error.response?.data?.error || error.message || 'ML service error';
-    return res.status(status).json({ success: false, error: message });
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(status).json({
+        success: false,
+        error: message,
+        ...(error.errors ? { errors: error.errors } : {})
+    });
 };
 
+// Merged catalog of every backend in rotation, grouped by problem type
 exports.getAlgorithms = async (req, res) => {
     try {
-        const { data } = await axios.get(`${ML_SERVICE_URL}/ml/algorithms`);
-        return res.json({ success: true, data });
+        const served = await mlBackends.servedAlgorithms();
+        const algorithms = {};
+        for (const [name, backends] of served) {
+            // Names the catalog does not know are still listed, under 'other'
+            const problemType = getAlgorithm(name)?.problemType || 'other';
+            (algorithms[problemType] = algorithms[problemType] || []).push({
+                name,
+                display_name: displayName(name),
+                default_hyperparameters: resolveHyperparameters(name),
+                backends
+            });
+        }
+        return res.json({ success: true, data: { algorithms } });
     } catch (error) {
         return handleProxyError(res, error);
     }
@@ -25,16 +42,19 @@ exports.getAlgorithms = async (req, res) => {
 
 exports.preprocessData = async (req, res) => {
     try {
-        const { data } = await axios.post(`${ML_SERVICE_URL}/ml/preprocess`, req.body);
+        const data = await mlClient.preprocess(req.body);
         return res.json({ success: true, data });
     } catch (error) {
         return handleProxyError(res, error);
     }
 };
 
+// Catalog-checked before it is proxied so bad configurations never reach the service
 exports.trainModel = async (req, res) => {
     try {
-        const { data } = await axios.post(`${ML_SERVICE_URL}/ml/train`, req.body);
+        const { algorithm, problem_type: problemType, hyperparameters = {} } = req.body;
+        if (algorithm) assertValidConfiguration({ algorithm, problemType, hyperparameters });
+        const data = await mlClient.train(req.body);
         return res.json({ success: true, data });
     } catch (error) {
         return handleProxyError(res, error);
@@ -43,7 +63,7 @@ exports.trainModel = async (req, res) => {
 
 exports.evaluateModel = async (req, res) => {
     try {
-        const { data } = await axios.post(`${ML_SERVICE_URL}/ml/evaluate`, req.body);
+        const data = await mlClient.evaluate(req.body);
         return res.json({ success: true, data });
     } catch (error) {
         return handleProxyError(res, error);
@@ -52,9 +72,19 @@ exports.evaluateModel = async (req, res) => {
 
 exports.tuneHyperparameters = async (req, res) => {
     try {
-        const { data } = await axios.post(`${ML_SERVICE_URL}/ml/tune`, req.body);
+        const data = await mlClient.tune(req.body);
         return res.json({ success: true, data });
     } catch (error) {
         return handleProxyError(res, error);
     }
 };
+
+// Configured backends with their health, circuit state and algorithms; ?refresh=true checks them first
+exports.getBackends = async (req, res) => {
+    try {
+        if (req.query.refresh === 'true') await mlBackends.checkAll();
+        return res.json({ success: true, data: mlBackends.describeBackends() });
+    } catch (error) {
+        return handleProxyError(res, error);
+    }
+};
@@ -5,14 +5,269 @@
 
 const Dataset = require('../models/Dataset');
 const Experiment = require('../models/Experiment');
-const axios = require('axios');
+const ComparisonRun = require('../models/ComparisonRun');
+const DatasetSplit = require('../models/DatasetSplit');
+const ModelVersion = require('../models/ModelVersion');
+const mlClient = require('../utils/mlClient');
+const { coerceValue } = require('../utils/columnProfiler');
+const { findVersion, loadVersionRows } = require('../utils/datasetVersions');
+const { normalizeOptions, resolveSplit, applySplit, trainIndices } = require('../utils/datasetSplits');
+const { buildQualityReport, assertTrainable } = require('../utils/dataQuality');
+const { selectionScore, rankBy, heldOutPredictions } = require('../utils/metrics');
+const { normalizeCvOptions, crossValidate } = require('../utils/crossValidation');
+const { getDefaultHyperparameters, assertValidAlgorithms } = require('../utils/algorithmCatalog');
+const { newSeed, mlServiceVersion, buildManifest } = require('../utils/reproducibility');
+const jobQueue = require('../utils/jobQueue');
+const httpError = require('../utils/httpError');
+
+// Metric each problem type picks its best train-multiple model by
+const PRIMARY_METRICS = {
+    classification: 'accuracy',
+    regression: 'r2_score',
+    clustering: 'silhouette_score',
+    dimensionality_reduction: 'explained_variance_ratio'
+};
+
+// A requeued job starts over: drop the child experiments (and models) an earlier attempt left behind
+const discardEarlierAttempt = async (run) => {
+    const stale = await Experiment.find({ comparisonRun: run._id });
+    for (const experiment of stale) {
+        if (experiment.modelPath && !(await ModelVersion.exists({ modelPath: experiment.modelPath }))) {
+            await mlClient.deleteModel(experiment.modelPath).catch(() => {});
+        }
+    }
+    await Experiment.deleteMany({ _id: { $in: stale.map(e => e._id) } });
+};
+
+// Background half of train-multiple: quality gate, persisted split, then one child experiment per algorithm
+const runTrainMultipleJob = async (job, { progress }) => {
+    const { comparisonRunId, algorithms, problemType, crossValidation, splitOptions, ignoreQualityWarnings } = job.payload;
+
+    const run = await ComparisonRun.findById(comparisonRunId);
+    if (!run) {
+        throw httpError(404, 'Comparison run was deleted before the job ran');
+    }
+
+    try {
+        if (job.attempts > 1) await discardEarlierAttempt(run);
+
+        const dataset = await Dataset.findById(run.dataset);
+        if (!dataset) {
+            throw httpError(404, 'Dataset was deleted before the job ran');
+        }
+
+        await progress(5, 'Loading dataset');
+        const version = await findVersion(dataset, run.datasetVersionNumber);
+        if (!version) {
+            throw httpError(404, `Dataset version ${run.datasetVersionNumber} not found`);
+        }
+
+        const columns = version.columns.map(c => c.name);
+        const data = await loadVersionRows(dataset, version);
+
+        // Convert to arrays using the profiled column types; the target is not a feature
+        const columnTypes = Object.fromEntries(version.columns.map(c => [c.name, c.type]));
+        const targetCol = version.targetColumn || dataset.targetColumn || columns[columns.length - 1];
+        const featureColumns = columns.filter(col => col !== targetCol);
+        const features = featureColumns.map(name => ({ name, type: columnTypes[name] }));
+        const X = data.map(row => featureColumns.map(col => coerceValue(row[col], columnTypes[col])));
+
+        const y = data.map(row => coerceValue(row[targetCol], columnTypes[targetCol]));
+
+        // Refuse to train on critical data quality findings unless explicitly overridden
+        const quality = buildQualityReport({
+            columns: version.columns,
+            rows: data,
+            targetColumn: targetCol,
+            problemType
+        });
+        assertTrainable(quality, ignoreQualityWarnings);
+
+        const split = await resolveSplit({ dataset, version, rows: data, splitId: run.split, options: splitOptions });
+        run.split = split._id;
+        const { train: X_train, test: X_test } = applySplit(split, X);
+        const { train: y_train, test: y_test } = applySplit(split, y);
+        // Every algorithm trains on the same rows: backends that accept dataset references get them once
+        const mlDataset = mlClient.sharedDataset({ key: `${dataset._id}:v${version.version}:${targetCol}`, X, y });
+        const trainRowIndices = trainIndices(split);
+
+        // Train all selected algorithms, each recorded as its own experiment
+        const results = {};
+        const experiments = [];
+
+        for (const [index, algorithm] of algorithms.entries()) {
+            await progress(10 + (80 * index) / algorithms.length, `Training ${algorithm} (${index + 1}/${algorithms.length})`);
+
+            const hyperparameters = getDefaultHyperparameters(algorithm);
+            const experiment = await Experiment.create({
+                user: run.user,
+                dataset: run.dataset,
+                datasetVersion: version._id,
+                datasetVersionNumber: version.version,
+                split: split._id,
+                comparisonRun: run._id,
+                name: `${run.name} - ${algorithm}`,
+                problemType,
+                algorithm,
+                hyperparameters,
+                features,
+                targetColumn: targetCol,
+                seed: newSeed(),
+                status: 'training'
+            });
+            experiments.push(experiment);
+
+            const startedAt = Date.now();
+            try {
+                // Cross-validate on the training rows; the holdout still scores the final fit
+                if (crossValidation) {
+                    experiment.cvResults = await crossValidate({
+                        X: X_train,
+                        y: y_train,
+                        options: crossValidation,
+                        fitFold: async (fold) => {
+                            const foldResult = await mlClient.train({
+                                algorithm,
+                                problem_type: problemType,
+                                dataset: mlDataset,
+                                train_indices: fold.trainIndices.map(i => trainRowIndices[i]),
+                                test_indices: fold.testIndices.map(i => trainRowIndices[i]),
+                                hyperparameters,
+                                random_state: experiment.seed
+                            });
+                            return foldResult.test_metrics || foldResult.metrics || {};
+                        }
+                    });
+                }
+
+                const modelResult = await mlClient.train({
+                    algorithm,
+                    problem_type: problemType,
+                    dataset: mlDataset,
+                    train_indices: trainRowIndices,
+                    test_indices: split.testIndices,
+                    hyperparameters,
+                    random_state: experiment.seed
+                });
+                experiment.trainingMetrics = modelResult.training_metrics || modelResult.metrics || {};
+                experiment.testMetrics = modelResult.test_metrics || modelResult.metrics || {};
+                experiment.predictions = heldOutPredictions(modelResult, y_test);
+                experiment.modelPath = modelResult.model_path || modelResult.model_id;
+                experiment.mlBackend = modelResult.ml_backend;
+                experiment.manifest = buildManifest({
+                    experiment,
+                    dataset,
+                    version,
+                    split,
+                    rowsLoaded: data.length,
+                    trainRows: X_train.length,
+                    testRows: X_test.length,
+                    features,
+                    targetColumn: targetCol,
+                    hyperparameters,
+                    crossValidation,
+                    mlBackend: modelResult.ml_backend,
+                    serviceVersion: await mlServiceVersion(modelResult.ml_backend)
+                });
+                experiment.status = 'completed';
+            } catch (error) {
+                console.error(`Error training ${algorithm}:`, error.message);
+                experiment.status = 'failed';
+                experiment.errorMessage = error.response?.data?.error || error.message;
+            }
+            experiment.trainingTime = (Date.now() - startedAt) / 1000;
+            await experiment.save();
+
+            results[algorithm] = experiment.status === 'completed'
+                ? {
+                    experimentId: experiment._id,
+                    training_metrics: experiment.trainingMetrics,
+                    test_metrics: experiment.testMetrics,
+                    ...(experiment.cvResults ? { cv_mean: experiment.cvResults.mean, cv_std: experiment.cvResults.std } : {}),
+                    training_time: experiment.trainingTime
+                }
+                : { experimentId: experiment._id, error: experiment.errorMessage, training_metrics: null };
+        }
+
+        await progress(95, 'Saving results');
+
+        const primaryMetric = run.primaryMetric;
+        // With cross-validation the CV mean decides, not the single holdout
+        const [top] = rankBy(experiments, (e) => (e.status === 'completed' ? selectionScore(e, primaryMetric) : null), primaryMetric);
+        const best = top && top.score !== null ? top.item : null;
+        const bestModel = best
+            ? {
+                algorithm: best.algorithm,
+                experimentId: best._id,
+                score: top.score,
+                ...(best.cvResults ? { scoreStd: best.cvResults.std[primaryMetric] } : {}),
+                metrics: best.testMetrics || best.trainingMetrics
+            }
+            : null;
+
+        run.experiments = experiments.map(e => e._id);
+        run.bestExperiment = best ? best._id : undefined;
+        run.bestAlgorithm = best ? best.algorithm : undefined;
+        run.bestScore = best ? top.score : undefined;
+        run.evaluationTime = experiments.reduce((sum, e) => sum + (e.trainingTime || 0), 0);
+        run.status = 'completed';
+        await run.save();
+
+        return {
+            experiment: best ? best._id : undefined,
+            comparisonRun: run._id,
+            result: {
+                comparisonRunId: run._id,
+                results,
+                bestModel,
+                summary: {
+                    algorithmsTraining: algorithms.length,
+                    successfulModels: experiments.filter(e => e.status === 'completed').length,
+                    primaryMetric,
+                    selectedBy: crossValidation ? 'cv_mean' : 'holdout',
+                    crossValidation: crossValidation || null,
+                    testSize: split.testSize,
+                    trainingSize: 1 - split.testSize,
+                    split: {
+                        id: split._id,
+                        strategy: split.strategy,
+                        seed: split.seed,
+                        column: split.column,
+                        trainCount: split.trainCount,
+                        testCount: split.testCount
+                    },
+                    datasetName: dataset.name,
+                    problemType
+                },
+                qualityWarnings: quality.findings
+            }
+        };
+    } catch (error) {
+        run.status = 'failed';
+        run.errorMessage = error.message;
+        await run.save();
+        throw error;
+    }
+};
+
+jobQueue.registerHandler('train_multiple', runTrainMultipleJob);
 
 // @desc    Train multiple models and compare performance
 // @route   POST /api/experiments/train-multiple
 // @access  Private
 exports.trainMultipleModels = async (req, res) => {
     try {
-        const { datasetId, algorithms, testSize, problemType } = req.body;
+        const {
+            datasetId,
+            datasetVersion,
+            algorithms,
+            testSize,
+            problemType,
+            splitId,
+            splitStrategy,
+            splitColumn,
+            seed
+        } = req.body;
 
         // Validate input
         if (!datasetId || !algorithms || algorithms.length === 0) {
@@ -21,6 +276,13 @@ exports.trainMultipleModels = async (req, res) => {
                 error: 'Dataset ID and algorithms array are required'
             });
         }
+        assertValidAlgorithms(algorithms, problemType);
+        if (!PRIMARY_METRICS[problemType]) {
+            return res.status(400).json({
+                success: false,
+                error: `problemType must be one of ${Object.keys(PRIMARY_METRICS).join(', ')}`
+            });
+        }
 
         // Get dataset
         const dataset = await Dataset.findOne({
@@ -35,179 +297,85 @@ exports.trainMultipleModels = async (req, res) => {
             });
         }
 
-        // Prepare data
-        const columns = dataset.columns.map(c => c.name);
-        let data = [];
-
-        // Read from file if available, else use stored data
-        if (dataset.filePath) {
-            const fs = require('fs');
-            const csv = require('csv-parser');
-            data = await new Promise((resolve, reject) => {
-                const rows = [];
-                fs.createReadStream(dataset.filePath)
-                    .pipe(csv())
-                    .on('data', (row) => rows.push(row))
-                    .on('end', () => resolve(rows))
-                    .on('error', reject);
+        const version = await findVersion(dataset, datasetVersion);
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: `Dataset version ${datasetVersion} not found`
             });
-        } else {
-            data = dataset.data;
         }
 
-        // Convert to arrays
-        const X = data.map(row => columns.map(col => {
-            const val = row[col];
-            return isNaN(val) ? val : parseFloat(val);
-        }));
-
-        const targetCol = dataset.targetColumn || columns[columns.length - 1];
-        const y = data.map(row => {
-            const val = row[targetCol];
-            return isNaN(val) ? val : parseFloat(val);
-        });
-
-        // Split train/test
-        const trainSize = Math.floor(X.length * (1 - testSize));
-        const X_train = X.slice(0, trainSize);
-        const y_train = y.slice(0, trainSize);
-        const X_test = X.slice(trainSize);
-        const y_test = y.slice(trainSize);
-
-        // Train all selected algorithms
-        const results = {};
-        let bestModel = null;
-        let bestScore = -Infinity;
-
-        for (const algorithm of algorithms) {
-            try {
-                const trainingResponse = await axios.post(
-                    `${process.env.ML_SERVICE_URL}/ml/train`,
-                    {
-                        algorithm,
-                        problem_type: problemType,
-                        X_train,
-                        y_train,
-                        X_test,
-                        y_test,
-                        hyperparameters: getDefaultHyperparameters(algorithm)
-                    }
-                );
-
-                const modelResult = trainingResponse.data;
-                results[algorithm] = modelResult;
-
-                // Determine score based on problem type
-                let score = 0;
-                if (problemType === 'classification') {
-                    score = modelResult.test_metrics?.accuracy || modelResult.training_metrics?.accuracy || 0;
-                } else if (problemType === 'regression') {
-                    score = modelResult.test_metrics?.r2_score || modelResult.training_metrics?.r2_score || 0;
-                } else if (problemType === 'clustering') {
-                    score = modelResult.metrics?.silhouette_score || 0;
-                }
-
-                // Track best model
-                if (score > bestScore) {
-                    bestScore = score;
-                    bestModel = {
-                        algorithm,
-                        score,
-                        metrics: problemType === 'classification'
-                            ? modelResult.test_metrics || modelResult.training_metrics
-                            : modelResult.test_metrics || modelResult.training_metrics
-                    };
-                }
-            } catch (error) {
-                console.error(`Error training ${algorithm}:`, error.message);
-                results[algorithm] = {
-                    error: error.message,
-                    training_metrics: null
-                };
+        // Only cheap checks here; the job loads the rows, applies the quality gate and persists the split
+        const crossValidation = normalizeCvOptions(req.body.crossValidation, problemType);
+        let splitOptions;
+        if (splitId) {
+            const split = await DatasetSplit.findOne({ _id: splitId, dataset: dataset._id });
+            if (!split) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Split not found for this dataset'
+                });
+            }
+            if (!split.datasetVersion.equals(version._id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Split was made for dataset version ${split.datasetVersionNumber}, not ${version.version}`
+                });
             }
+        } else {
+            const columns = version.columns.map(c => c.name);
+            splitOptions = normalizeOptions({
+                strategy: splitStrategy || (problemType === 'classification' ? 'stratified' : 'random'),
+                testSize,
+                seed,
+                column: splitColumn
+            }, {
+                columns,
+                targetColumn: version.targetColumn || dataset.targetColumn || columns[columns.length - 1],
+                problemType
+            });
         }
 
-        // Create experiment record
-        const experiment = await Experiment.create({
+        const run = await ComparisonRun.create({
             user: req.user._id,
-            dataset: datasetId,
+            dataset: dataset._id,
+            datasetVersion: version._id,
+            datasetVersionNumber: version.version,
+            split: splitId || undefined,
             name: `Multi-Model Training - ${new Date().toLocaleString()}`,
-            algorithms: algorithms,
             problemType,
-            testSize,
-            results: results,
-            bestModel: bestModel,
-            status: 'completed'
+            source: 'train_multiple',
+            algorithms,
+            primaryMetric: PRIMARY_METRICS[problemType],
+            crossValidation
         });
 
-        res.status(200).json({
-            success: true,
-            data: {
-                experimentId: experiment._id,
-                results,
-                bestModel,
-                summary: {
-                    algorithmsTraining: algorithms.length,
-                    successfulModels: Object.values(results).filter(r => !r.error).length,
-                    testSize: testSize,
-                    trainingSize: 1 - testSize,
-                    datasetName: dataset.name,
-                    problemType
-                }
+        const job = await jobQueue.enqueue({
+            user: req.user._id,
+            type: 'train_multiple',
+            comparisonRun: run._id,
+            payload: {
+                comparisonRunId: run._id,
+                algorithms,
+                problemType,
+                crossValidation,
+                splitOptions,
+                ignoreQualityWarnings: Boolean(req.body.ignoreQualityWarnings)
             }
         });
+
+        res.status(202).json({
+            success: true,
+            data: jobQueue.describeJob(job)
+        });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message,
+            ...(error.errors ? { errors: error.errors } : {}),
             traceback: error.stack
         });
     }
 };
 
-// Helper function to get default hyperparameters
-function getDefaultHyperparameters(algorithm) {
-    const defaults = {
-        // Regression
-        'linear_regression': {},
-        'ridge_regression': { alpha: 1.0 },
-        'lasso_regression': { alpha: 1.0 },
-        'elastic_net': { alpha: 1.0, l1_ratio: 0.5 },
-        'decision_tree_regressor': { max_depth: 10, min_samples_split: 5 },
-        'random_forest_regressor': { n_estimators: 100, max_depth: 10, min_samples_split: 5 },
-        'extra_trees_regressor': { n_estimators: 100, max_depth: 10 },
-        'gradient_boosting_regressor': { n_estimators: 100, learning_rate: 0.1, max_depth: 5 },
-        'adaboost_regressor': { n_estimators: 100, learning_rate: 0.1 },
-        'svm_regressor': { kernel: 'rbf', C: 1.0, gamma: 'scale' },
-        'knn_regressor': { n_neighbors: 5, weights: 'uniform' },
-
-        // Classification
-        'logistic_regression': { C: 1.0, max_iter: 1000 },
-        'lda': { solver: 'svd' },
-        'qda': {},
-        'decision_tree_classifier': { max_depth: 10, min_samples_split: 5 },
-        'random_forest_classifier': { n_estimators: 100, max_depth: 10, min_samples_split: 5 },
-        'extra_trees_classifier': { n_estimators: 100, max_depth: 10 },
-        'gradient_boosting_classifier': { n_estimators: 100, learning_rate: 0.1, max_depth: 5 },
-        'adaboost_classifier': { n_estimators: 100, learning_rate: 0.1 },
-        'svm_classifier': { kernel: 'rbf', C: 1.0, gamma: 'scale' },
-        'knn_classifier': { n_neighbors: 5, weights: 'uniform' },
-        'gaussian_nb': {},
-        'multinomial_nb': { alpha: 1.0 },
-
-        // Clustering
-        'kmeans': { n_clusters: 3, n_init: 10 },
-        'hierarchical': { n_clusters: 3, linkage: 'ward' },
-        'dbscan': { eps: 0.5, min_samples: 5 },
-        'gaussian_mixture': { n_components: 3 },
-
-        // Dimensionality Reduction
-        'pca': { n_components: 2 },
-        'tsne': { n_components: 2, perplexity: 30 },
-        'isomap': { n_components: 2, n_neighbors: 5 }
-    };
-
-    return defaults[algorithm] || {};
-}
-
 module.exports = exports;
@@ -5,14 +5,211 @@
 
 const Experiment = require('../models/Experiment');
 const Dataset = require('../models/Dataset');
-const axios = require('axios');
+const ComparisonRun = require('../models/ComparisonRun');
+const DatasetSplit = require('../models/DatasetSplit');
+const mlClient = require('../utils/mlClient');
+const { coerceValue } = require('../utils/columnProfiler');
+const { findVersion, loadVersionRows } = require('../utils/datasetVersions');
+const { normalizeOptions, resolveSplit, trainIndices } = require('../utils/datasetSplits');
+const { buildQualityReport, assertTrainable } = require('../utils/dataQuality');
+const { normalizeCvOptions, computeFolds, cvSummary } = require('../utils/crossValidation');
+const { toScore, rankBy } = require('../utils/metrics');
+const { displayName, describeAlgorithm, assertValidAlgorithms } = require('../utils/algorithmCatalog');
+const jobQueue = require('../utils/jobQueue');
+const httpError = require('../utils/httpError');
 
-// @desc    Train multiple models and compare them
+/**
+ * Load the run's dataset version, apply the quality gate and persisted split,
+ * compare the algorithms (cross-validating first when asked) and record one
+ * child experiment per model on the run. Rows go to the ML service once as a
+ * shared dataset; every compare-models call after that only sends indices.
+ */
+const runComparison = async (run, { algorithms, crossValidation, splitOptions, ignoreQualityWarnings, progress }) => {
+    const { problemType } = run;
+    const dataset = await Dataset.findById(run.dataset);
+    if (!dataset) {
+        throw httpError(404, 'Dataset was deleted before the comparison ran');
+    }
+
+    await progress(5, 'Loading dataset');
+    const version = await findVersion(dataset, run.datasetVersionNumber);
+    if (!version) {
+        throw httpError(404, `Dataset version ${run.datasetVersionNumber} not found`);
+    }
+    const rows = await loadVersionRows(dataset, version);
+
+    // Refuse to train on critical data quality findings unless explicitly overridden
+    const columns = version.columns.map(c => c.name);
+    const targetColumn = version.targetColumn || dataset.targetColumn || columns[columns.length - 1];
+    const quality = buildQualityReport({
+        columns: version.columns,
+        rows,
+        targetColumn,
+        problemType
+    });
+    assertTrainable(quality, ignoreQualityWarnings);
+
+    // Hold out the same persisted rows every comparison on this split uses
+    const split = await resolveSplit({ dataset, version, rows, splitId: run.split, options: splitOptions });
+    run.split = split._id;
+
+    const columnTypes = Object.fromEntries(version.columns.map(c => [c.name, c.type]));
+    const featureColumns = columns.filter(col => col !== targetColumn);
+    const mlDataset = mlClient.sharedDataset({
+        key: `${dataset._id}:v${version.version}:${targetColumn}`,
+        X: rows.map(row => featureColumns.map(col => coerceValue(row[col], columnTypes[col]))),
+        y: rows.map(row => coerceValue(row[targetColumn], columnTypes[targetColumn]))
+    });
+
+    const compareOn = (train, test) => mlClient.compareModels({
+        dataset_id: dataset._id,
+        problem_type: problemType,
+        train_size: train.length,
+        test_size: test.length,
+        train_test_split: split.testSize,
+        dataset: mlDataset,
+        train_indices: train,
+        test_indices: test,
+        random_state: split.seed,
+        algorithms: algorithms,
+        feature_names: featureColumns,
+        target_column: targetColumn
+    });
+
+    // Cross-validate within the training rows: one compare-models call per fold
+    const cvFolds = {};
+    if (crossValidation) {
+        const trainRows = trainIndices(split);
+        const folds = computeFolds(trainRows.map(i => rows[i][targetColumn]), crossValidation);
+        for (const [index, { repeat, fold, testIndices }] of folds.entries()) {
+            await progress(10 + (80 * index) / folds.length, `Comparing on fold ${index + 1}/${folds.length}`);
+            const held = new Set(testIndices);
+            const foldTest = testIndices.map(k => trainRows[k]);
+            const foldTrain = trainRows.filter((_, k) => !held.has(k));
+            const foldComparison = await compareOn(foldTrain, foldTest);
+
+            for (const model of foldComparison.models || []) {
+                const algorithm = modelAlgorithm(model);
+                if (!cvFolds[algorithm]) cvFolds[algorithm] = [];
+                cvFolds[algorithm].push({
+                    repeat,
+                    fold,
+                    trainCount: foldTrain.length,
+                    testCount: foldTest.length,
+                    metrics: model.test_metrics || scalarMetrics(model)
+                });
+            }
+        }
+    }
+
+    // Call ML service to train multiple models on the persisted holdout
+    await progress(90, 'Comparing on the holdout');
+    const comparison = await compareOn(trainIndices(split), split.testIndices);
+    const models = comparison.models || [];
+    const cvResults = models.map(model => (cvFolds[modelAlgorithm(model)]
+        ? cvSummary(crossValidation, cvFolds[modelAlgorithm(model)])
+        : undefined));
+
+    // Find best model; with cross-validation the CV mean of the primary metric decides
+    const bestModel = crossValidation
+        ? findBestByCv(models, cvResults, problemType)
+        : findBestModel(models, problemType);
+
+    // One child experiment per compared model
+    const experiments = await Experiment.insertMany(models.map((model, index) => ({
+        user: run.user,
+        dataset: dataset._id,
+        datasetVersion: version._id,
+        datasetVersionNumber: version.version,
+        split: split._id,
+        comparisonRun: run._id,
+        name: `${run.name} - ${modelAlgorithm(model)}`,
+        problemType: problemType,
+        algorithm: modelAlgorithm(model),
+        hyperparameters: model.hyperparameters || model.params || {},
+        trainingMetrics: model.training_metrics || {},
+        testMetrics: model.test_metrics || scalarMetrics(model),
+        cvResults: cvResults[index],
+        trainingTime: model.training_time ?? model.trainingTime,
+        status: model.error ? 'failed' : 'completed',
+        errorMessage: model.error
+    })));
+
+    const bestIndex = bestModel ? models.indexOf(bestModel) : -1;
+    const experiment = bestIndex === -1 ? null : experiments[bestIndex];
+    run.algorithms = models.map(modelAlgorithm);
+    run.experiments = experiments.map(e => e._id);
+    run.evaluationTime = comparison.evaluationTime;
+    if (experiment) {
+        run.bestExperiment = experiment._id;
+        run.bestAlgorithm = experiment.algorithm;
+        run.bestScore = bestModel.primaryMetric;
+    }
+    run.status = 'completed';
+    await run.save();
+
+    return {
+        experiment,
+        qualityWarnings: quality.findings,
+        models: models,
+        bestModel: bestModel,
+        recommendations: getAlgorithmRecommendations(problemType)
+    };
+};
+
+// Record why a comparison failed on its run before passing the error on
+const failRun = async (run, error) => {
+    run.status = 'failed';
+    run.errorMessage = error.message;
+    await run.save();
+    throw error;
+};
+
+// Background half of cross-validated comparisons: folds×repeats+1 compare-models calls
+const runCompareModelsJob = async (job, { progress }) => {
+    const run = await ComparisonRun.findById(job.payload.comparisonRunId);
+    if (!run) {
+        throw httpError(404, 'Comparison run was deleted before the job ran');
+    }
+    // Children of a requeued attempt hold no models; the new attempt records its own
+    if (job.attempts > 1) await Experiment.deleteMany({ comparisonRun: run._id });
+
+    const { experiment, ...result } = await runComparison(run, { ...job.payload, progress })
+        .catch(error => failRun(run, error));
+    return {
+        experiment: experiment ? experiment._id : undefined,
+        comparisonRun: run._id,
+        result: { comparisonRunId: run._id, experimentId: experiment ? experiment._id : undefined, ...result }
+    };
+};
+
+jobQueue.registerHandler('compare_models', runCompareModelsJob);
+
+// @desc    Train multiple models and compare them; cross-validated comparisons run as a queued job
 // @route   POST /api/experiments/compare-models
 // @access  Private
 exports.compareModels = async (req, res) => {
     try {
-        const { datasetId, problemType, trainTestSplit = 0.2, algorithms = null } = req.body;
+        const {
+            datasetId,
+            datasetVersion,
+            problemType,
+            trainTestSplit = 0.2,
+            algorithms = null,
+            splitId,
+            splitStrategy,
+            splitColumn,
+            seed
+        } = req.body;
+
+        // Without a list the ML service picks the algorithms itself
+        if (algorithms !== null) assertValidAlgorithms(algorithms, problemType);
+        if (!PRIMARY_METRICS[problemType]) {
+            return res.status(400).json({
+                success: false,
+                error: `problemType must be one of ${Object.keys(PRIMARY_METRICS).join(', ')}`
+            });
+        }
 
         // Validate dataset exists
         const dataset = await Dataset.findOne({
@@ -27,66 +224,131 @@ exports.compareModels = async (req, res) => {
             });
         }
 
-        // Prepare data for ML service
-        const dataSize = dataset.numberOfRows;
-        const testSize = Math.ceil(dataSize * trainTestSplit);
-        const trainSize = dataSize - testSize;
+        const version = await findVersion(dataset, datasetVersion);
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: `Dataset version ${datasetVersion} not found`
+            });
+        }
 
-        // Call ML service to train multiple models
-        const mlResponse = await axios.post(
-            `${process.env.ML_SERVICE_URL}/ml/compare-models`,
-            {
-                dataset_id: datasetId,
-                problem_type: problemType,
-                train_size: trainSize,
-                test_size: testSize,
-                train_test_split: trainTestSplit,
-                algorithms: algorithms,
-                data: dataset.data || [],
-                columns: dataset.columns.map(c => c.name),
-                target_column: dataset.targetColumn
+        // Only cheap checks here; rows, quality gate and split are handled by runComparison
+        const crossValidation = normalizeCvOptions(req.body.crossValidation, problemType);
+        let splitOptions;
+        if (splitId) {
+            const split = await DatasetSplit.findOne({ _id: splitId, dataset: dataset._id });
+            if (!split) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Split not found for this dataset'
+                });
             }
-        );
-
-        // Find best model
-        const bestModel = findBestModel(mlResponse.data.models, problemType);
+            if (!split.datasetVersion.equals(version._id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Split was made for dataset version ${split.datasetVersionNumber}, not ${version.version}`
+                });
+            }
+        } else {
+            const columns = version.columns.map(c => c.name);
+            splitOptions = normalizeOptions({
+                strategy: splitStrategy || (problemType === 'classification' ? 'stratified' : 'random'),
+                testSize: trainTestSplit,
+                seed,
+                column: splitColumn
+            }, {
+                columns,
+                targetColumn: version.targetColumn || dataset.targetColumn || columns[columns.length - 1],
+                problemType
+            });
+        }
 
-        // Create experiment record
-        const experiment = await Experiment.create({
+        const run = await ComparisonRun.create({
             user: req.user._id,
-            dataset: datasetId,
+            dataset: dataset._id,
+            datasetVersion: version._id,
+            datasetVersionNumber: version.version,
+            split: splitId || undefined,
             name: `Model Comparison - ${new Date().toLocaleDateString()}`,
-            description: `Trained ${mlResponse.data.models.length} models on ${datasetId}`,
             problemType: problemType,
-            status: 'completed',
-            models: mlResponse.data.models,
-            bestModel: bestModel,
-            trainTestSplit: trainTestSplit,
-            metrics: {
-                totalModels: mlResponse.data.models.length,
-                bestModelScore: bestModel.primaryMetric,
-                evaluationTime: mlResponse.data.evaluationTime
-            }
+            source: 'compare_models',
+            algorithms: algorithms || [],
+            primaryMetric: PRIMARY_METRICS[problemType],
+            crossValidation
         });
+        const options = {
+            algorithms,
+            crossValidation,
+            splitOptions,
+            ignoreQualityWarnings: Boolean(req.body.ignoreQualityWarnings)
+        };
+
+        // Cross-validation takes one ML call per fold, too long to hold the request open
+        if (crossValidation) {
+            const job = await jobQueue.enqueue({
+                user: req.user._id,
+                type: 'compare_models',
+                comparisonRun: run._id,
+                payload: { comparisonRunId: run._id, ...options }
+            });
+            return res.status(202).json({
+                success: true,
+                data: jobQueue.describeJob(job)
+            });
+        }
+
+        const comparison = await runComparison(run, { ...options, progress: async () => {} })
+            .catch(error => failRun(run, error));
 
         res.status(200).json({
             success: true,
-            data: {
-                experiment: experiment,
-                models: mlResponse.data.models,
-                bestModel: bestModel,
-                recommendations: getAlgorithmRecommendations(problemType)
-            }
+            data: { comparisonRun: run, ...comparison }
         });
 
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: error.message
+            error: error.message,
+            ...(error.details || {}),
+            ...(error.errors ? { errors: error.errors } : {})
         });
     }
 };
 
+// Metric findBestModel ranks each problem type by
+const PRIMARY_METRICS = {
+    classification: 'f1_score',
+    regression: 'r2_score',
+    clustering: 'silhouette_score',
+    dimensionality_reduction: 'explained_variance_ratio'
+};
+
+function modelAlgorithm(model) {
+    return model.algorithm || model.name || model.model_name || 'unknown';
+}
+
+// The ML service reports some metrics at the top level of each model entry
+function scalarMetrics(model) {
+    return Object.fromEntries(
+        Object.entries(model).filter(([key, value]) => typeof value === 'number' && !['training_time', 'trainingTime', 'primaryMetric', 'primaryMetricStd'].includes(key))
+    );
+}
+
+// Best model by cross-validated mean of the primary metric
+function findBestByCv(models, cvResults, problemType) {
+    const metric = PRIMARY_METRICS[problemType];
+    const [top] = rankBy(models, model => {
+        const result = cvResults[models.indexOf(model)];
+        return result ? toScore(result.mean[metric]) : null;
+    }, metric);
+    if (!top || top.score === null) return findBestModel(models, problemType);
+
+    const best = top.item;
+    best.primaryMetric = top.score;
+    best.primaryMetricStd = cvResults[models.indexOf(best)].std[metric];
+    return best;
+}
+
 // Find best performing model
 function findBestModel(models, problemType) {
     if (!models || models.length === 0) return null;
@@ -126,6 +388,17 @@ function findBestModel(models, problemType) {
             }
         }
         best.primaryMetric = best.silhouette_score || 0;
+    } else if (problemType === 'dimensionality_reduction') {
+        // Compare by total explained variance
+        for (let model of models) {
+            const bestRatio = best.explained_variance_ratio || best.test_metrics?.explained_variance_ratio || 0;
+            const currentRatio = model.explained_variance_ratio || model.test_metrics?.explained_variance_ratio || 0;
+
+            if (currentRatio > bestRatio) {
+                best = model;
+            }
+        }
+        best.primaryMetric = best.explained_variance_ratio || best.test_metrics?.explained_variance_ratio || 0;
     }
     
     return best;
@@ -137,25 +410,25 @@ function getAlgorithmRecommendations(problemType) {
         classification: [
             {
                 rank: 1,
-                algorithm: 'Random Forest Classifier',
+                algorithm: 'random_forest_classifier',
                 reason: 'Excellent balance of accuracy and interpretability, handles feature interactions well',
                 expectedAccuracy: '0.82-0.95'
             },
             {
                 rank: 2,
-                algorithm: 'Gradient Boosting Classifier',
+                algorithm: 'gradient_boosting_classifier',
                 reason: 'High accuracy, strong for both linear and non-linear patterns',
                 expectedAccuracy: '0.80-0.96'
             },
             {
                 rank: 3,
-                algorithm: 'SVM Classifier',
+                algorithm: 'svm_classifier',
                 reason: 'Excellent for high-dimensional data and non-linear decision boundaries',
                 expectedAccuracy: '0.78-0.94'
             },
             {
                 rank: 4,
-                algorithm: 'Logistic Regression',
+                algorithm: 'logistic_regression',
                 reason: 'Fast baseline, interpretable coefficients, good for linear relationships',
                 expectedAccuracy: '0.70-0.85'
             }
@@ -163,25 +436,25 @@ function getAlgorithmRecommendations(problemType) {
         regression: [
             {
                 rank: 1,
-                algorithm: 'Gradient Boosting Regressor',
+                algorithm: 'gradient_boosting_regressor',
                 reason: 'High accuracy for non-linear relationships, handles outliers well',
                 expectedR2: '0.85-0.99'
             },
             {
                 rank: 2,
-                algorithm: 'Random Forest Regressor',
+                algorithm: 'random_forest_regressor',
                 reason: 'Robust to noise, good for feature interactions',
                 expectedR2: '0.80-0.95'
             },
             {
                 rank: 3,
-                algorithm: 'SVR (Support Vector Regression)',
+                algorithm: 'svm_regressor',
                 reason: 'Strong for non-linear patterns in high dimensions',
                 expectedR2: '0.75-0.92'
             },
             {
                 rank: 4,
-                algorithm: 'Ridge Regression',
+                algorithm: 'ridge_regression',
                 reason: 'Fast baseline with regularization, interpretable',
                 expectedR2: '0.65-0.85'
             }
@@ -189,26 +462,27 @@ function getAlgorithmRecommendations(problemType) {
         clustering: [
             {
                 rank: 1,
-                algorithm: 'DBSCAN',
+                algorithm: 'dbscan',
                 reason: 'Finds arbitrary-shaped clusters, no need to specify cluster count',
                 expectedScore: '0.70-0.95'
             },
             {
                 rank: 2,
-                algorithm: 'KMeans',
+                algorithm: 'kmeans',
                 reason: 'Fast and efficient for spherical clusters',
                 expectedScore: '0.65-0.90'
             },
             {
                 rank: 3,
-                algorithm: 'Hierarchical Clustering',
+                algorithm: 'hierarchical',
                 reason: 'Provides dendrograms for cluster exploration',
                 expectedScore: '0.60-0.85'
             }
         ]
     };
 
-    return recommendations[problemType] || recommendations.classification;
+    return (recommendations[problemType] || recommendations.classification)
+        .map(recommendation => ({ ...recommendation, displayName: displayName(recommendation.algorithm) }));
 }
 
 // @desc    Get model evaluation metrics with formulas
@@ -391,39 +665,14 @@ exports.getMetricsReference = (req, res) => {
     });
 };
 
-// @desc    Get hyperparameters for specific algorithm
+// @desc    Get the hyperparameter schema and training defaults for an algorithm
 // @route   GET /api/experiments/hyperparameters/:algorithm
 // @access  Public
 exports.getHyperparameters = (req, res) => {
     const { algorithm } = req.params;
 
-    const hyperparameters = {
-        random_forest_classifier: {
-            n_estimators: { type: 'integer', default: 100, range: '10-1000', description: 'Number of trees' },
-            max_depth: { type: 'integer', default: null, range: '1-50', description: 'Maximum depth of trees' },
-            min_samples_split: { type: 'integer', default: 2, range: '2-100', description: 'Minimum samples to split' },
-            max_features: { type: 'string', default: 'sqrt', options: ['sqrt', 'log2', null], description: 'Features to consider for split' }
-        },
-        gradient_boosting_classifier: {
-            n_estimators: { type: 'integer', default: 100, range: '10-1000', description: 'Number of boosting stages' },
-            learning_rate: { type: 'float', default: 0.1, range: '0.001-1.0', description: 'Learning rate shrinkage' },
-            max_depth: { type: 'integer', default: 3, range: '1-10', description: 'Maximum depth of trees' },
-            subsample: { type: 'float', default: 1.0, range: '0.1-1.0', description: 'Fraction of samples for fitting' }
-        },
-        svm_classifier: {
-            kernel: { type: 'string', default: 'rbf', options: ['linear', 'rbf', 'poly', 'sigmoid'], description: 'Kernel type' },
-            C: { type: 'float', default: 1.0, range: '0.001-1000', description: 'Regularization parameter' },
-            gamma: { type: 'string', default: 'scale', options: ['scale', 'auto'], description: 'Kernel coefficient' }
-        },
-        logistic_regression: {
-            C: { type: 'float', default: 1.0, range: '0.001-1000', description: 'Inverse regularization strength' },
-            penalty: { type: 'string', default: 'l2', options: ['l2', 'l1'], description: 'Regularization type' },
-            solver: { type: 'string', default: 'lbfgs', options: ['lbfgs', 'liblinear', 'saga'], description: 'Optimization algorithm' }
-        }
-    };
-
-    const params = hyperparameters[algorithm];
-    if (!params) {
+    const description = describeAlgorithm(algorithm);
+    if (!description) {
         return res.status(404).json({
             success: false,
             error: `Hyperparameters for algorithm '${algorithm}' not found`
@@ -432,10 +681,7 @@ exports.getHyperparameters = (req, res) => {
 
     res.status(200).json({
         success: true,
-        data: {
-            algorithm: algorithm,
-            hyperparameters: params
-        }
+        data: description
     });
 };
 
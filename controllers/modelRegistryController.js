@@ -0,0 +1,277 @@
+/**
+ * Model Registry Controller
+ * Named models, their versions and deployment stages
+ */
+
+const Experiment = require('../models/Experiment');
+const Dataset = require('../models/Dataset');
+const RegisteredModel = require('../models/RegisteredModel');
+const ModelVersion = require('../models/ModelVersion');
+const {
+    findModel,
+    findModelVersion,
+    findProductionVersion,
+    registerVersion,
+    transitionStage,
+    rollbackProduction
+} = require('../utils/modelRegistry');
+const { MAX_ONLINE_RECORDS, experimentFeatures, encodeRecords, requestPredictions } = require('../utils/predictionInput');
+
+// @desc    Register a completed experiment as a new version of a named model
+// @route   POST /api/models
+// @access  Private
+exports.registerModel = async (req, res) => {
+    try {
+        const { name, experimentId, description } = req.body;
+
+        const experiment = await Experiment.findOne({ _id: experimentId, user: req.user._id });
+        if (!experiment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Experiment not found'
+            });
+        }
+
+        const { model, modelVersion } = await registerVersion({
+            user: req.user._id,
+            name,
+            description,
+            experiment
+        });
+
+        res.status(201).json({
+            success: true,
+            data: { model, version: modelVersion }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    List registered models with their production version
+// @route   GET /api/models
+// @access  Private
+exports.getModels = async (req, res) => {
+    try {
+        const models = await RegisteredModel.find({ user: req.user._id }).sort('name');
+        const production = await Promise.all(models.map(model =>
+            findProductionVersion(model).select('registeredModel version algorithm metrics')));
+        const byModel = new Map(production.filter(Boolean).map(v => [String(v.registeredModel), v]));
+
+        res.status(200).json({
+            success: true,
+            count: models.length,
+            data: models.map(model => ({
+                ...model.toObject(),
+                productionVersion: byModel.get(String(model._id)) || null
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a model with all of its versions
+// @route   GET /api/models/:name
+// @access  Private
+exports.getModel = async (req, res) => {
+    try {
+        const model = await findModel(req.user._id, req.params.name);
+        const versions = await ModelVersion.find({ registeredModel: model._id }).sort('-version');
+
+        res.status(200).json({
+            success: true,
+            data: { model, versions }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get one version of a model
+// @route   GET /api/models/:name/versions/:version
+// @access  Private
+exports.getModelVersion = async (req, res) => {
+    try {
+        const model = await findModel(req.user._id, req.params.name);
+        const modelVersion = await findModelVersion(model, req.params.version);
+
+        res.status(200).json({
+            success: true,
+            data: modelVersion
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get the version currently in production
+// @route   GET /api/models/:name/production
+// @access  Private
+exports.getProductionVersion = async (req, res) => {
+    try {
+        const model = await findModel(req.user._id, req.params.name);
+        const modelVersion = await findProductionVersion(model);
+
+        if (!modelVersion) {
+            return res.status(404).json({
+                success: false,
+                error: `Model '${model.name}' has no production version`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: modelVersion
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Move a version to another stage (promote, demote or archive)
+// @route   POST /api/models/:name/versions/:version/transition
+// @access  Private
+exports.transitionModelVersion = async (req, res) => {
+    try {
+        const model = await findModel(req.user._id, req.params.name);
+        const modelVersion = await findModelVersion(model, req.params.version);
+
+        await transitionStage(model, modelVersion, req.body.stage, {
+            user: req.user._id,
+            reason: req.body.reason
+        });
+
+        res.status(200).json({
+            success: true,
+            data: modelVersion
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Restore the previous production version
+// @route   POST /api/models/:name/rollback
+// @access  Private
+exports.rollbackModel = async (req, res) => {
+    try {
+        const model = await findModel(req.user._id, req.params.name);
+        const { previous, current } = await rollbackProduction(model, {
+            user: req.user._id,
+            reason: req.body.reason
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                production: current,
+                replaced: previous
+            }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Score records with the production version, or with the given version
+// @route   POST /api/models/:name/predict
+// @route   POST /api/models/:name/versions/:version/predict
+// @access  Private
+exports.predictWithModel = async (req, res) => {
+    try {
+        const model = await findModel(req.user._id, req.params.name);
+        const modelVersion = req.params.version
+            ? await findModelVersion(model, req.params.version)
+            : await findProductionVersion(model);
+        if (!modelVersion) {
+            return res.status(404).json({
+                success: false,
+                error: `Model '${model.name}' has no production version`
+            });
+        }
+        if (!modelVersion.modelPath) {
+            return res.status(409).json({
+                success: false,
+                error: `Version ${modelVersion.version} has no trained model artifact`
+            });
+        }
+        if (!['classification', 'regression'].includes(modelVersion.problemType)) {
+            return res.status(400).json({
+                success: false,
+                error: `Prediction is not supported for ${modelVersion.problemType} models`
+            });
+        }
+
+        const records = Array.isArray(req.body) ? req.body : [req.body];
+        if (!records.length || records.length > MAX_ONLINE_RECORDS) {
+            return res.status(400).json({
+                success: false,
+                error: `Send one record or an array of 1-${MAX_ONLINE_RECORDS} records`
+            });
+        }
+
+        const dataset = await Dataset.findById(modelVersion.dataset);
+        if (!dataset) {
+            return res.status(409).json({
+                success: false,
+                error: `The dataset model version ${modelVersion.version} was trained on no longer exists`
+            });
+        }
+
+        // The version carries the experiment's feature schema from registration time
+        const { features, targetColumn, preprocessing } = await experimentFeatures(modelVersion, dataset);
+        const { X, errors } = encodeRecords(records, features, { targetColumn, preprocessing });
+        if (errors.length) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid prediction input',
+                errors
+            });
+        }
+
+        // The version's own artifact and backend, even if the experiment was retrained since
+        const { predictions, probabilities, classes } = await requestPredictions(modelVersion, X);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                model: model.name,
+                version: modelVersion.version,
+                algorithm: modelVersion.algorithm,
+                problemType: modelVersion.problemType,
+                ...(classes ? { classes } : {}),
+                predictions: predictions.map((prediction, i) => ({
+                    prediction,
+                    ...(probabilities ? { probabilities: probabilities[i] } : {})
+                }))
+            }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,417 @@
+/**
+ * Upload Session Controller
+ * Resumable chunked uploads: initiate, PUT numbered chunks, check progress, finalize
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const { uploadDir, storeFile } = require('../utils/blobStore');
+const { sessionsDir } = require('../utils/uploadSessionSweeper');
+const { isSupportedFileName } = require('../utils/fileFormats');
+const { ingestDataset } = require('../utils/datasetIngest');
+const httpError = require('../utils/httpError');
+
+const MAX_CHUNK_BYTES = 16 * 1024 * 1024; // 16MB
+const MAX_CHUNKS = 10000;
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 2 * 1024 * 1024 * 1024; // 2GB
+
+const UPLOAD_FIELDS = ['name', 'description', 'targetColumn', 'problemType', 'format', 'delimiter', 'quote', 'encoding', 'allowDuplicate'];
+
+const sessionDir = (session) => path.join(sessionsDir, String(session._id));
+const chunkPath = (session, index) => path.join(sessionDir(session), `${index}.part`);
+
+const missingChunks = (session) => {
+    const received = new Set(session.receivedChunks);
+    const missing = [];
+    for (let i = 0; i < session.totalChunks; i += 1) {
+        if (!received.has(i)) missing.push(i);
+    }
+    return missing;
+};
+
+// Bytes stored across all chunks, optionally leaving one index out
+const receivedBytes = (session, exceptIndex) => {
+    let total = 0;
+    for (const [index, size] of session.chunkSizes || []) {
+        if (Number(index) !== exceptIndex) total += size;
+    }
+    return total;
+};
+
+const removeSessionDir = (session) =>
+    fs.promises.rm(sessionDir(session), { recursive: true, force: true });
+
+// Concatenate chunks in order into one temp file, hashing as we go
+const assembleChunks = async (session) => {
+    const tempPath = path.join(uploadDir, `.tmp-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`);
+    const out = fs.createWriteStream(tempPath);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    try {
+        for (let i = 0; i < session.totalChunks; i += 1) {
+            for await (const chunk of fs.createReadStream(chunkPath(session, i))) {
+                hash.update(chunk);
+                size += chunk.length;
+                if (!out.write(chunk)) await once(out, 'drain');
+            }
+        }
+        out.end();
+        await once(out, 'finish');
+    } catch (error) {
+        out.destroy();
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+
+    return { tempPath, contentHash: hash.digest('hex'), size };
+};
+
+const findSession = (req) => UploadSession.findOne({
+    _id: req.params.sessionId,
+    user: req.user._id
+});
+
+// @desc    Start a chunked upload session
+// @route   POST /api/datasets/uploads
+// @access  Private
+exports.initiateUpload = async (req, res) => {
+    try {
+        const { fileName, fileSize, totalChunks, sha256 } = req.body;
+
+        if (!fileName || !isSupportedFileName(fileName)) {
+            return res.status(400).json({
+                success: false,
+                error: 'fileName must be a CSV, TSV or JSON Lines file (optionally .gz compressed)'
+            });
+        }
+
+        const chunkCount = Number(totalChunks);
+        if (!Number.isInteger(chunkCount) || chunkCount < 1 || chunkCount > MAX_CHUNKS) {
+            return res.status(400).json({
+                success: false,
+                error: `totalChunks must be an integer between 1 and ${MAX_CHUNKS}`
+            });
+        }
+
+        const byteCount = Number(fileSize);
+        if (fileSize === undefined || fileSize === null || fileSize === '' || !Number.isInteger(byteCount) || byteCount < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'fileSize must be the size of the whole file in bytes'
+            });
+        }
+
+        if (byteCount > MAX_UPLOAD_BYTES) {
+            return res.status(413).json({
+                success: false,
+                error: `File exceeds the ${MAX_UPLOAD_BYTES} byte upload limit`
+            });
+        }
+
+        const fields = {};
+        for (const key of UPLOAD_FIELDS) {
+            if (req.body[key] !== undefined) fields[key] = req.body[key];
+        }
+
+        const session = await UploadSession.create({
+            user: req.user._id,
+            fileName: String(fileName),
+            fileSize: byteCount,
+            totalChunks: chunkCount,
+            sha256: sha256 ? String(sha256) : undefined,
+            fields
+        });
+
+        await fs.promises.mkdir(sessionDir(session), { recursive: true });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                sessionId: session._id,
+                totalChunks: session.totalChunks,
+                maxChunkBytes: MAX_CHUNK_BYTES,
+                expiresAt: session.expiresAt
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Upload one chunk (raw request body, application/octet-stream)
+// @route   PUT /api/datasets/uploads/:sessionId/chunks/:index
+// @access  Private
+exports.uploadChunk = async (req, res) => {
+    try {
+        const session = await findSession(req);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Upload session not found'
+            });
+        }
+
+        if (session.status !== 'active') {
+            return res.status(409).json({
+                success: false,
+                error: `Upload session is ${session.status}`
+            });
+        }
+
+        const index = Number(req.params.index);
+        if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+            return res.status(400).json({
+                success: false,
+                error: `Chunk index must be between 0 and ${session.totalChunks - 1}`
+            });
+        }
+
+        if (Number(req.headers['content-length']) > MAX_CHUNK_BYTES) {
+            return res.status(413).json({
+                success: false,
+                error: `Chunks may not exceed ${MAX_CHUNK_BYTES} bytes`
+            });
+        }
+
+        // All chunks together may not outgrow the declared file size (itself capped at MAX_UPLOAD_BYTES)
+        const overSize = () => httpError(413, `Chunks exceed the declared file size of ${session.fileSize} bytes`);
+        const remaining = session.fileSize - receivedBytes(session, index);
+        if (Number(req.headers['content-length']) > remaining) throw overSize();
+
+        // Write to a temp name and rename, so a dropped connection never leaves a partial chunk
+        await fs.promises.mkdir(sessionDir(session), { recursive: true });
+        const finalPath = chunkPath(session, index);
+        const tempPath = `${finalPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        let size = 0;
+
+        const limiter = new Transform({
+            transform(chunk, _encoding, cb) {
+                size += chunk.length;
+                if (size > MAX_CHUNK_BYTES) {
+                    return cb(httpError(413, `Chunks may not exceed ${MAX_CHUNK_BYTES} bytes`));
+                }
+                if (size > remaining) return cb(overSize());
+                cb(null, chunk);
+            }
+        });
+
+        try {
+            await pipeline(req, limiter, fs.createWriteStream(tempPath));
+        } catch (error) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+
+        await fs.promises.rename(tempPath, finalPath);
+        const updated = await UploadSession.findByIdAndUpdate(
+            session._id,
+            { $addToSet: { receivedChunks: index }, $set: { [`chunkSizes.${index}`]: size } },
+            { new: true }
+        );
+
+        // Chunks stored concurrently can still add up past the limit; drop this one if they do
+        if (receivedBytes(updated) > updated.fileSize) {
+            await UploadSession.updateOne(
+                { _id: session._id },
+                { $pull: { receivedChunks: index }, $unset: { [`chunkSizes.${index}`]: '' } }
+            );
+            await fs.promises.unlink(finalPath).catch(() => {});
+            throw overSize();
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                index,
+                size,
+                receivedChunks: updated.receivedChunks.length,
+                totalChunks: updated.totalChunks
+            }
+        });
+    } catch (error) {
+        if (res.headersSent || req.destroyed) return;
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get which chunks have been received
+// @route   GET /api/datasets/uploads/:sessionId
+// @access  Private
+exports.getUploadStatus = async (req, res) => {
+    try {
+        const session = await findSession(req);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Upload session not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sessionId: session._id,
+                fileName: session.fileName,
+                status: session.status,
+                totalChunks: session.totalChunks,
+                receivedChunks: [...session.receivedChunks].sort((a, b) => a - b),
+                missingChunks: missingChunks(session),
+                dataset: session.dataset,
+                errorMessage: session.errorMessage,
+                expiresAt: session.expiresAt
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Assemble all chunks and create the dataset
+// @route   POST /api/datasets/uploads/:sessionId/complete
+// @access  Private
+exports.completeUpload = async (req, res) => {
+    try {
+        const session = await findSession(req);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Upload session not found'
+            });
+        }
+
+        const missing = missingChunks(session);
+        if (missing.length) {
+            return res.status(400).json({
+                success: false,
+                error: `Missing ${missing.length} chunk(s)`,
+                missingChunks: missing
+            });
+        }
+
+        // Claim the session so concurrent finalize calls cannot both assemble it
+        const claimed = await UploadSession.findOneAndUpdate(
+            { _id: session._id, status: 'active' },
+            { status: 'finalizing' },
+            { new: true }
+        );
+        if (!claimed) {
+            const current = await UploadSession.findById(session._id).select('status');
+            return res.status(409).json({
+                success: false,
+                error: current ? `Upload session is ${current.status}` : 'Upload session not found'
+            });
+        }
+
+        let tempPath;
+        try {
+            const assembled = await assembleChunks(claimed);
+            tempPath = assembled.tempPath;
+
+            let mismatch = null;
+            if (assembled.size !== claimed.fileSize) {
+                mismatch = `Assembled file is ${assembled.size} bytes, not the declared ${claimed.fileSize}`;
+            } else if (claimed.sha256 && claimed.sha256 !== assembled.contentHash) {
+                mismatch = 'Assembled file does not match the declared SHA-256';
+            }
+            if (mismatch) {
+                await fs.promises.unlink(tempPath).catch(() => {});
+                tempPath = null;
+                claimed.status = 'failed';
+                claimed.errorMessage = mismatch;
+                await claimed.save();
+                await removeSessionDir(claimed);
+                return res.status(400).json({
+                    success: false,
+                    error: claimed.errorMessage
+                });
+            }
+
+            const ext = path.extname(claimed.fileName).toLowerCase() || '.csv';
+            const stored = await storeFile(tempPath, ext, assembled.contentHash);
+            tempPath = null;
+
+            const { dataset, duplicate } = await ingestDataset({
+                user: req.user,
+                file: {
+                    path: stored.filePath,
+                    originalname: claimed.fileName,
+                    size: stored.size,
+                    contentHash: stored.contentHash
+                },
+                fields: claimed.fields
+            });
+
+            claimed.status = 'completed';
+            claimed.dataset = dataset._id;
+            await claimed.save();
+            await removeSessionDir(claimed);
+
+            res.status(duplicate ? 200 : 201).json({
+                success: true,
+                duplicate: duplicate || undefined,
+                data: dataset
+            });
+        } catch (error) {
+            if (tempPath) await fs.promises.unlink(tempPath).catch(() => {});
+
+            // Invalid content will not get better on retry; anything else can be retried
+            claimed.status = error.status === 400 ? 'failed' : 'active';
+            claimed.errorMessage = error.message;
+            await claimed.save();
+            if (claimed.status === 'failed') await removeSessionDir(claimed);
+
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Abandon an upload session and discard its chunks
+// @route   DELETE /api/datasets/uploads/:sessionId
+// @access  Private
+exports.abortUpload = async (req, res) => {
+    try {
+        const session = await findSession(req);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Upload session not found'
+            });
+        }
+
+        await removeSessionDir(session);
+        await session.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
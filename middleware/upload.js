@@ -1,25 +1,83 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { uploadDir } = require('../utils/blobStore');
+const { isSupportedFileName } = require('../utils/fileFormats');
 
-const uploadDir = path.join(__dirname, '..', 'uploads');
-fs.mkdirSync(uploadDir, { recursive: true });
+// Content-addressed storage: files are hashed with SHA-256 while they stream
+// to a temp file, then stored once as uploads/<hash><ext> and shared by every
+// dataset record that points at them.
+const hashingStorage = {
+    _handleFile(_req, file, cb) {
+        const tempPath = path.join(uploadDir, `.tmp-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`);
+        const hash = crypto.createHash('sha256');
+        const out = fs.createWriteStream(tempPath);
+        let size = 0;
 
-const storage = multer.diskStorage({
-    destination: (_req, _file, cb) => cb(null, uploadDir),
-    filename: (_req, file, cb) => cb(null, `${Date.now()}-${file.originalname}`),
-});
+        const fail = (err) => {
+            fs.unlink(tempPath, () => cb(err));
+        };
+
+        file.stream.on('data', (chunk) => {
+            hash.update(chunk);
+            size += chunk.length;
+        });
+        file.stream.on('error', fail);
+        out.on('error', fail);
+        out.on('finish', () => {
+            const contentHash = hash.digest('hex');
+            const ext = path.extname(file.originalname).toLowerCase() || '.csv';
+            const filename = `${contentHash}${ext}`;
+            const finalPath = path.join(uploadDir, filename);
+            const blobExisted = fs.existsSync(finalPath);
+
+            const done = (err) => {
+                if (err) return fail(err);
+                cb(null, {
+                    destination: uploadDir,
+                    filename,
+                    path: finalPath,
+                    size,
+                    contentHash,
+                    blobExisted
+                });
+            };
+
+            if (blobExisted) {
+                fs.unlink(tempPath, done);
+            } else {
+                fs.rename(tempPath, finalPath, done);
+            }
+        });
+
+        file.stream.pipe(out);
+    },
+
+    _removeFile(_req, file, cb) {
+        // Blobs may be shared, so only remove files this request created
+        if (file.blobExisted) return cb(null);
+        fs.unlink(file.path, () => cb(null));
+    }
+};
+
+const ALLOWED_MIME_TYPES = [
+    'text/csv',
+    'text/tab-separated-values',
+    'application/x-ndjson',
+    'application/jsonl'
+];
 
 const fileFilter = (_req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype) || isSupportedFileName(file.originalname)) {
         cb(null, true);
     } else {
-        cb(new Error('Only CSV files are allowed'));
+        cb(new Error('Only CSV, TSV and JSON Lines files (optionally .gz compressed) are allowed'));
     }
 };
 
 const upload = multer({
-    storage,
+    storage: hashingStorage,
     fileFilter,
     limits: {
         fileSize: 50 * 1024 * 1024, // 50MB
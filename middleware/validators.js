@@ -0,0 +1,175 @@
+/**
+ * Request Validators
+ * express-validator rule sets and the middleware that turns their results
+ * into field-level 400 responses
+ */
+
+const { body, param, checkExact, validationResult } = require('express-validator');
+
+const PROBLEM_TYPES = ['classification', 'regression', 'clustering', 'dimensionality_reduction'];
+const MODEL_STAGES = ['none', 'staging', 'production', 'archived'];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Flatten express-validator errors into { field, message } pairs
+const fieldErrors = (result) => result.array().flatMap((error) => {
+    if (error.type === 'unknown_fields') {
+        return error.fields.map((field) => ({ field: field.path, message: error.msg }));
+    }
+    return [{ field: error.path, message: error.msg }];
+});
+
+const validate = (req, res, next) => {
+    const result = validationResult(req);
+    if (result.isEmpty()) return next();
+
+    return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: fieldErrors(result)
+    });
+};
+
+// Only these dataset fields are editable; anything else in the body is rejected
+const datasetUpdateRules = checkExact([
+    body('name')
+        .optional()
+        .isString().withMessage('name must be a string')
+        .trim()
+        .notEmpty().withMessage('name cannot be empty')
+        .isLength({ max: 200 }).withMessage('name must be at most 200 characters'),
+    body('description')
+        .optional()
+        .if((value) => value !== null)
+        .isString().withMessage('description must be a string')
+        .trim()
+        .isLength({ max: 2000 }).withMessage('description must be at most 2000 characters'),
+    body('targetColumn')
+        .optional()
+        .if((value) => value !== null)
+        .isString().withMessage('targetColumn must be a string')
+        .trim()
+        .notEmpty().withMessage('targetColumn cannot be empty; send null to clear it'),
+    body('problemType')
+        .optional()
+        .isIn(PROBLEM_TYPES).withMessage(`problemType must be one of ${PROBLEM_TYPES.join(', ')}`),
+    body('tags')
+        .optional()
+        .isArray({ max: MAX_TAGS }).withMessage(`tags must be an array of at most ${MAX_TAGS} strings`),
+    body('tags.*')
+        .isString().withMessage('Each tag must be a string')
+        .trim()
+        .isLength({ min: 1, max: MAX_TAG_LENGTH }).withMessage(`Each tag must be 1-${MAX_TAG_LENGTH} characters`)
+], {
+    locations: ['body'],
+    message: 'Field cannot be updated'
+});
+
+const experimentCompareRules = [
+    body('experimentIds')
+        .isArray({ min: 2, max: 20 }).withMessage('experimentIds must be an array of 2-20 experiment IDs'),
+    body('experimentIds.*')
+        .isMongoId().withMessage('Each experiment ID must be a valid ID'),
+    body('baseline')
+        .optional()
+        .isMongoId().withMessage('baseline must be a valid experiment ID')
+        .custom((value, { req }) => (req.body.experimentIds || []).includes(value))
+        .withMessage('baseline must be one of experimentIds'),
+    body('alpha')
+        .optional()
+        .isFloat({ gt: 0, lt: 1 }).withMessage('alpha must be between 0 and 1')
+        .toFloat(),
+    body('metric')
+        .optional()
+        .isString().withMessage('metric must be a metric name')
+];
+
+// Overrides accepted when cloning an experiment; problem type and dataset stay the parent's
+const experimentCloneRules = checkExact([
+    body('name')
+        .optional()
+        .isString().withMessage('name must be a string')
+        .trim()
+        .notEmpty().withMessage('name cannot be empty'),
+    body('description')
+        .optional()
+        .isString().withMessage('description must be a string')
+        .trim(),
+    body('algorithm')
+        .optional()
+        .isString().withMessage('algorithm must be a string')
+        .trim()
+        .notEmpty().withMessage('algorithm cannot be empty'),
+    body('datasetVersion')
+        .optional()
+        .isInt({ min: 1 }).withMessage('datasetVersion must be a positive integer')
+        .toInt(),
+    body('split')
+        .optional()
+        .if((value) => value !== null)
+        .isMongoId().withMessage('split must be a split ID, or null for no split'),
+    body('hyperparameters')
+        .optional()
+        .isObject().withMessage('hyperparameters must be an object; null values remove a hyperparameter'),
+    body('crossValidation')
+        .optional()
+        .isObject().withMessage('crossValidation must be an object'),
+    body('seed')
+        .optional()
+        .isInt().withMessage('seed must be an integer')
+        .toInt(),
+    body('train')
+        .optional()
+        .isBoolean().withMessage('train must be a boolean')
+        .toBoolean(),
+    body('ignoreQualityWarnings')
+        .optional()
+        .isBoolean().withMessage('ignoreQualityWarnings must be a boolean')
+        .toBoolean()
+], {
+    locations: ['body'],
+    message: 'Field cannot be overridden when cloning'
+});
+
+const registerModelRules = [
+    body('name')
+        .isString().withMessage('name is required')
+        .trim()
+        .matches(/^[A-Za-z0-9][A-Za-z0-9_.-]{0,99}$/)
+        .withMessage('name must be 1-100 letters, digits, dots, dashes or underscores'),
+    body('experimentId')
+        .isMongoId().withMessage('experimentId must be a valid experiment ID'),
+    body('description')
+        .optional()
+        .isString().withMessage('description must be a string')
+        .trim()
+        .isLength({ max: 2000 }).withMessage('description must be at most 2000 characters')
+];
+
+const modelVersionRules = [
+    param('version')
+        .isInt({ min: 1 }).withMessage('version must be a positive integer')
+];
+
+const stageTransitionRules = [
+    ...modelVersionRules,
+    body('stage')
+        .isIn(MODEL_STAGES).withMessage(`stage must be one of ${MODEL_STAGES.join(', ')}`),
+    body('reason')
+        .optional()
+        .isString().withMessage('reason must be a string')
+        .trim()
+        .isLength({ max: 500 }).withMessage('reason must be at most 500 characters')
+];
+
+module.exports = {
+    PROBLEM_TYPES,
+    MODEL_STAGES,
+    validate,
+    datasetUpdateRules,
+    experimentCompareRules,
+    experimentCloneRules,
+    registerModelRules,
+    modelVersionRules,
+    stageTransitionRules
+};
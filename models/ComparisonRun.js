@@ -0,0 +1,87 @@
+/**
+ * Comparison Run Model
+ * One multi-model training or comparison run; each algorithm is a child Experiment
+ */
+
+const mongoose = require('mongoose');
+
+const comparisonRunSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    dataset: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dataset',
+        required: true
+    },
+    datasetVersion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DatasetVersion'
+    },
+    datasetVersionNumber: {
+        type: Number
+    },
+    split: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DatasetSplit'
+    },
+    problemType: {
+        type: String,
+        required: true
+    },
+    // Which endpoint produced the run
+    source: {
+        type: String,
+        enum: ['train_multiple', 'compare_models'],
+        required: true
+    },
+    algorithms: {
+        type: [String],
+        default: []
+    },
+    experiments: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Experiment'
+    }],
+    // Cross-validation options when models were selected by CV mean
+    crossValidation: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Metric the run picked its best model by; leaderboards can rank by any other
+    primaryMetric: {
+        type: String
+    },
+    bestExperiment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Experiment'
+    },
+    bestAlgorithm: {
+        type: String
+    },
+    bestScore: {
+        type: Number
+    },
+    evaluationTime: {
+        type: Number // in seconds
+    },
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running'
+    },
+    errorMessage: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('ComparisonRun', comparisonRunSchema);
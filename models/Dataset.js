@@ -4,13 +4,7 @@
  */
 
 const mongoose = require('mongoose');
-
-const columnSchema = new mongoose.Schema({
-    name: { type: String, required: true },
-    type: { type: String, required: true },
-    uniqueValues: { type: Number, default: 0 },
-    missingValues: { type: Number, default: 0 }
-}, { _id: false });
+const columnSchema = require('./columnSchema');
 
 const datasetSchema = new mongoose.Schema({
     name: {
@@ -37,6 +31,20 @@ const datasetSchema = new mongoose.Schema({
     filePath: {
         type: String
     },
+    // SHA-256 of the uploaded file; identical uploads share one stored blob
+    contentHash: {
+        type: String,
+        index: true
+    },
+    // How the original upload was read before being normalized to UTF-8 CSV
+    sourceFormat: {
+        type: { type: String, enum: ['csv', 'tsv', 'jsonl'] },
+        delimiter: String,
+        quote: String,
+        encoding: String,
+        bom: Boolean,
+        compression: { type: String, enum: ['none', 'gzip'] }
+    },
     columns: [columnSchema],
     numberOfRows: {
         type: Number
@@ -52,6 +60,10 @@ const datasetSchema = new mongoose.Schema({
         enum: ['classification', 'regression', 'clustering', 'dimensionality_reduction'],
         required: true
     },
+    tags: [{
+        type: String,
+        trim: true
+    }],
     preprocessingApplied: {
         type: Boolean,
         default: false
@@ -61,6 +73,7 @@ const datasetSchema = new mongoose.Schema({
         timestamp: Date,
         details: mongoose.Schema.Types.Mixed
     }],
+    // Legacy embedded rows; new uploads are read from filePath instead
     data: {
         type: mongoose.Schema.Types.Mixed
     },
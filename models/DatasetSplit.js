@@ -0,0 +1,71 @@
+/**
+ * Dataset Split Model
+ * Persisted train/test partition of a dataset version, so experiments share one holdout
+ */
+
+const mongoose = require('mongoose');
+
+const datasetSplitSchema = new mongoose.Schema({
+    dataset: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dataset',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    datasetVersion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DatasetVersion',
+        required: true
+    },
+    datasetVersionNumber: {
+        type: Number,
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    strategy: {
+        type: String,
+        enum: ['random', 'stratified', 'group', 'time'],
+        required: true
+    },
+    // Fraction of rows held out for testing
+    testSize: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 1
+    },
+    seed: {
+        type: Number,
+        default: 42
+    },
+    // Label column for stratified, group key for group, timestamp for time splits
+    column: {
+        type: String
+    },
+    numberOfRows: {
+        type: Number
+    },
+    trainCount: {
+        type: Number
+    },
+    testCount: {
+        type: Number
+    },
+    // Zero-based row positions in the version's stored file; train rows are the complement
+    testIndices: {
+        type: [Number],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('DatasetSplit', datasetSplitSchema);
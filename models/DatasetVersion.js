@@ -0,0 +1,73 @@
+/**
+ * Dataset Version Model
+ * Immutable snapshot of a dataset's rows, with lineage back to its parent
+ */
+
+const mongoose = require('mongoose');
+const columnSchema = require('./columnSchema');
+
+const datasetVersionSchema = new mongoose.Schema({
+    dataset: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dataset',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DatasetVersion',
+        default: null
+    },
+    source: {
+        type: String,
+        enum: ['upload', 'preprocess'],
+        default: 'upload'
+    },
+    preprocessingOptions: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    preprocessingSteps: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Replayable steps from raw columns (utils/preprocessingPipeline); null when
+    // the preprocessing could not be reproduced, so raw records cannot be scored
+    preprocessingPipeline: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    filePath: {
+        type: String,
+        required: true
+    },
+    contentHash: {
+        type: String
+    },
+    fileSize: {
+        type: Number
+    },
+    columns: [columnSchema],
+    numberOfRows: {
+        type: Number
+    },
+    numberOfColumns: {
+        type: Number
+    },
+    targetColumn: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+datasetVersionSchema.index({ dataset: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('DatasetVersion', datasetVersionSchema);
@@ -25,9 +25,33 @@ const experimentSchema = new mongoose.Schema({
         ref: 'Dataset',
         required: true
     },
+    datasetVersion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DatasetVersion'
+    },
+    datasetVersionNumber: {
+        type: Number
+    },
+    // Persisted train/test split the metrics were computed on
+    split: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DatasetSplit'
+    },
+    // Set on experiments trained as part of a multi-model comparison run
+    comparisonRun: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ComparisonRun',
+        index: true
+    },
+    // Experiment this one was cloned from
+    parentExperiment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Experiment',
+        index: true
+    },
     problemType: {
         type: String,
-        enum: ['classification', 'regression', 'clustering', 'neural_network'],
+        enum: ['classification', 'regression', 'clustering', 'dimensionality_reduction', 'neural_network'],
         required: true
     },
     algorithm: {
@@ -38,6 +62,10 @@ const experimentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.Mixed,
         default: {}
     },
+    // Seed sent to the ML service as random_state
+    seed: {
+        type: Number
+    },
     tuningApplied: {
         type: Boolean,
         default: false
@@ -51,6 +79,28 @@ const experimentSchema = new mongoose.Schema({
     testMetrics: {
         type: mongoose.Schema.Types.Mixed
     },
+    // Cross-validation run: { strategy, folds, repeats, seed, stratified, foldMetrics, mean, std }
+    cvResults: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Feature columns in the order the model was trained on, with their profiled types
+    features: [{
+        _id: false,
+        name: String,
+        type: { type: String }
+    }],
+    targetColumn: {
+        type: String
+    },
+    // What the last training run used: seed, data, split, resolved hyperparameters, ML service version
+    manifest: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Set on re-runs: metric-by-metric comparison with the experiment they reproduce
+    reproduction: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Held-out labels and predictions ({ y_true, y_pred }) in split order
     predictions: {
         type: mongoose.Schema.Types.Mixed
     },
@@ -63,7 +113,7 @@ const experimentSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['created', 'training', 'completed', 'failed'],
+        enum: ['created', 'queued', 'training', 'completed', 'failed'],
         default: 'created'
     },
     errorMessage: {
@@ -71,6 +121,10 @@ const experimentSchema = new mongoose.Schema({
     },
     modelPath: {
         type: String
+    },
+    // ML backend holding the trained model; predictions are sent back to it
+    mlBackend: {
+        type: String
     }
 }, {
     timestamps: true
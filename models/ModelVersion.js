@@ -0,0 +1,90 @@
+/**
+ * Model Version
+ * One registered artifact of a named model, with its deployment stage and history
+ */
+
+const mongoose = require('mongoose');
+
+const STAGES = ['none', 'staging', 'production', 'archived'];
+
+const stageChangeSchema = new mongoose.Schema({
+    from: { type: String, enum: STAGES },
+    to: { type: String, enum: STAGES, required: true },
+    reason: String,
+    // On moves into production: the version it replaced, which is where a rollback returns to
+    replacedVersion: Number,
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const modelVersionSchema = new mongoose.Schema({
+    registeredModel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RegisteredModel',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    experiment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Experiment',
+        required: true
+    },
+    // Snapshot of the experiment at registration so the version stays self-describing
+    algorithm: String,
+    problemType: String,
+    dataset: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dataset'
+    },
+    datasetVersionNumber: Number,
+    // Input schema, so the version can score records after its experiment is gone
+    features: [{
+        _id: false,
+        name: String,
+        type: { type: String }
+    }],
+    targetColumn: String,
+    hyperparameters: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    metrics: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    modelPath: {
+        type: String
+    },
+    // ML backend holding the artifact; predictions with this version are sent there
+    mlBackend: {
+        type: String
+    },
+    stage: {
+        type: String,
+        enum: STAGES,
+        default: 'none'
+    },
+    stageHistory: {
+        type: [stageChangeSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+modelVersionSchema.index({ registeredModel: 1, version: 1 }, { unique: true });
+modelVersionSchema.index({ registeredModel: 1, stage: 1 });
+
+module.exports = mongoose.model('ModelVersion', modelVersionSchema);
@@ -0,0 +1,43 @@
+/**
+ * Registered Model
+ * A named model in the registry; its versions are ModelVersion documents
+ */
+
+const mongoose = require('mongoose');
+
+const registeredModelSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a model name'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    problemType: {
+        type: String
+    },
+    // Highest version number handed out so far; versions are never reused
+    latestVersion: {
+        type: Number,
+        default: 0
+    },
+    // Version in production. The stage of that version mirrors it, but this single
+    // field is swapped atomically, so concurrent promotions cannot leave two versions in production
+    productionVersion: {
+        type: Number,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+registeredModelSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('RegisteredModel', registeredModelSchema);
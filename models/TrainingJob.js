@@ -0,0 +1,80 @@
+/**
+ * Training Job Model
+ * Queued training, tuning and batch scoring work, claimed and run by the background job queue
+ */
+
+const mongoose = require('mongoose');
+
+const trainingJobSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['train', 'tune', 'train_multiple', 'compare_models', 'batch_score'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    // Everything the handler needs to run the job without the original request
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    experiment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Experiment'
+    },
+    comparisonRun: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ComparisonRun'
+    },
+    // 0-100, with a short description of the current step
+    progress: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    progressMessage: {
+        type: String
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    errorMessage: {
+        type: String
+    },
+    errorDetails: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // Worker that claimed the job and when it last reported in; stale claims are requeued
+    workerId: {
+        type: String
+    },
+    heartbeatAt: {
+        type: Date
+    },
+    startedAt: {
+        type: Date
+    },
+    finishedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+trainingJobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('TrainingJob', trainingJobSchema);
@@ -0,0 +1,63 @@
+/**
+ * Tuning Trial Model
+ * One evaluated configuration from a hyperparameter search; the search is the job that ran it
+ */
+
+const mongoose = require('mongoose');
+
+const tuningTrialSchema = new mongoose.Schema({
+    experiment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Experiment',
+        required: true
+    },
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TrainingJob',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    number: {
+        type: Number,
+        required: true
+    },
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['completed', 'failed'],
+        required: true
+    },
+    // Cross-validated mean of the search metric, with its fold standard deviation
+    metric: String,
+    score: Number,
+    scoreStd: Number,
+    metrics: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Successive halving: rung index and the fraction of training rows the trial used
+    rung: {
+        type: Number,
+        default: 0
+    },
+    resource: {
+        type: Number,
+        default: 1
+    },
+    trainRows: Number,
+    durationMs: Number,
+    errorMessage: String
+}, {
+    timestamps: true
+});
+
+tuningTrialSchema.index({ job: 1, number: 1 }, { unique: true });
+tuningTrialSchema.index({ experiment: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TuningTrial', tuningTrialSchema);
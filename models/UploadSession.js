@@ -0,0 +1,73 @@
+/**
+ * Upload Session Model
+ * Tracks chunked, resumable dataset uploads until they are finalized
+ */
+
+const mongoose = require('mongoose');
+
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const uploadSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    fileName: {
+        type: String,
+        required: [true, 'Please provide the file name']
+    },
+    fileSize: {
+        type: Number,
+        required: [true, 'Please provide the file size'],
+        min: 0
+    },
+    totalChunks: {
+        type: Number,
+        required: [true, 'Please provide the number of chunks'],
+        min: 1
+    },
+    // Optional SHA-256 of the whole file, checked when the session is finalized
+    sha256: {
+        type: String,
+        lowercase: true
+    },
+    receivedChunks: {
+        type: [Number],
+        default: []
+    },
+    // Bytes stored per chunk index, so the running total can be held to fileSize
+    chunkSizes: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
+    // Upload form fields applied when the dataset is created
+    fields: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['active', 'finalizing', 'completed', 'failed'],
+        default: 'active'
+    },
+    dataset: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dataset'
+    },
+    errorMessage: {
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + SESSION_TTL_MS)
+    }
+}, {
+    timestamps: true
+});
+
+// MongoDB drops abandoned sessions once they expire
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
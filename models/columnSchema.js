@@ -0,0 +1,50 @@
+/**
+ * Column Schema
+ * Profiled column metadata shared by datasets and dataset versions
+ */
+
+const mongoose = require('mongoose');
+
+const histogramBinSchema = new mongoose.Schema({
+    lower: Number,
+    upper: Number,
+    count: Number
+}, { _id: false });
+
+const topValueSchema = new mongoose.Schema({
+    value: String,
+    count: Number,
+    frequency: Number
+}, { _id: false });
+
+const columnStatsSchema = new mongoose.Schema({
+    min: Number,
+    max: Number,
+    mean: Number,
+    std: Number,
+    quantiles: {
+        p25: Number,
+        p50: Number,
+        p75: Number
+    },
+    earliest: Date,
+    latest: Date,
+    averageLength: Number
+}, { _id: false });
+
+const columnSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    type: {
+        type: String,
+        // 'string' is kept for datasets uploaded before type inference
+        enum: ['numeric', 'integer', 'boolean', 'categorical', 'datetime', 'text', 'string'],
+        required: true
+    },
+    uniqueValues: { type: Number, default: 0 },
+    missingValues: { type: Number, default: 0 },
+    stats: columnStatsSchema,
+    topValues: [topValueSchema],
+    histogram: [histogramBinSchema]
+}, { _id: false });
+
+module.exports = columnSchema;
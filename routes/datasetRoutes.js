@@ -4,29 +4,96 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const datasetController = require('../controllers/datasetController');
+const uploadSessionController = require('../controllers/uploadSessionController');
 const upload = require('../middleware/upload');
+const { validate, datasetUpdateRules } = require('../middleware/validators');
+
+// Ids that cannot exist answer 404 instead of a CastError, including
+// GET /api/datasets/uploads without a session id falling through to /:id
+const notFoundUnlessObjectId = (message) => (req, res, next, id) => {
+    if (mongoose.isObjectIdOrHexString(id)) return next();
+    res.status(404).json({ success: false, error: message });
+};
+router.param('id', notFoundUnlessObjectId('Dataset not found'));
+router.param('sessionId', notFoundUnlessObjectId('Upload session not found'));
 
 // @route   POST /api/datasets/upload
 // @desc    Upload a new dataset
 // @access  Public
 router.post('/upload', upload.single('file'), datasetController.uploadDataset);
 
+// @route   POST /api/datasets/uploads
+// @desc    Start a resumable chunked upload
+// @access  Public
+router.post('/uploads', uploadSessionController.initiateUpload);
+
+// @route   GET /api/datasets/uploads/:sessionId
+// @desc    Get received and missing chunks
+// @access  Public
+router.get('/uploads/:sessionId', uploadSessionController.getUploadStatus);
+
+// @route   PUT /api/datasets/uploads/:sessionId/chunks/:index
+// @desc    Upload one chunk as a raw request body
+// @access  Public
+router.put('/uploads/:sessionId/chunks/:index', uploadSessionController.uploadChunk);
+
+// @route   POST /api/datasets/uploads/:sessionId/complete
+// @desc    Assemble chunks and create the dataset
+// @access  Public
+router.post('/uploads/:sessionId/complete', uploadSessionController.completeUpload);
+
+// @route   DELETE /api/datasets/uploads/:sessionId
+// @desc    Abort a chunked upload
+// @access  Public
+router.delete('/uploads/:sessionId', uploadSessionController.abortUpload);
+
 // @route   GET /api/datasets
 // @desc    Get all datasets
 // @access  Public
 router.get('/', datasetController.getDatasets);
 
+// @route   GET /api/datasets/by-hash/:hash
+// @desc    Look up an existing dataset by file SHA-256
+// @access  Public
+router.get('/by-hash/:hash', datasetController.getDatasetByHash);
+
 // @route   GET /api/datasets/:id
 // @desc    Get dataset by ID
 // @access  Public
 router.get('/:id', datasetController.getDatasetById);
 
+// @route   GET /api/datasets/:id/rows
+// @desc    Page through dataset rows with projection and filters
+// @access  Public
+router.get('/:id/rows', datasetController.getDatasetRows);
+
+// @route   GET /api/datasets/:id/export
+// @desc    Download dataset (or a version) as CSV, TSV or JSON Lines
+// @access  Public
+router.get('/:id/export', datasetController.exportDataset);
+
+// @route   GET /api/datasets/:id/quality
+// @desc    Data quality report with leakage and imbalance warnings
+// @access  Public
+router.get('/:id/quality', datasetController.getDatasetQuality);
+
+// @route   GET /api/datasets/:id/profile
+// @desc    Get column types and summary statistics
+// @access  Public
+router.get('/:id/profile', datasetController.getDatasetProfile);
+
+// @route   PATCH /api/datasets/:id
+// @desc    Update name, description, targetColumn, problemType or tags
+// @access  Public
+router.patch('/:id', datasetUpdateRules, validate, datasetController.updateDataset);
+
 // @route   PUT /api/datasets/:id
-// @desc    Update dataset
+// @desc    Same contract as PATCH, kept for existing clients
 // @access  Public
-router.put('/:id', datasetController.updateDataset);
+router.put('/:id', datasetUpdateRules, validate, datasetController.updateDataset);
 
 // @route   DELETE /api/datasets/:id
 // @desc    Delete dataset
@@ -38,4 +105,29 @@ router.delete('/:id', datasetController.deleteDataset);
 // @access  Public
 router.post('/:id/preprocess', datasetController.preprocessDataset);
 
+// @route   GET /api/datasets/:id/versions
+// @desc    List dataset versions
+// @access  Public
+router.get('/:id/versions', datasetController.getDatasetVersions);
+
+// @route   GET /api/datasets/:id/versions/:version
+// @desc    Get a specific dataset version
+// @access  Public
+router.get('/:id/versions/:version', datasetController.getDatasetVersion);
+
+// @route   POST /api/datasets/:id/splits
+// @desc    Create or reuse a seeded train/test split
+// @access  Public
+router.post('/:id/splits', datasetController.createSplit);
+
+// @route   GET /api/datasets/:id/splits
+// @desc    List persisted splits
+// @access  Public
+router.get('/:id/splits', datasetController.getSplits);
+
+// @route   GET /api/datasets/:id/splits/:splitId
+// @desc    Get a split with its held-out row indices
+// @access  Public
+router.get('/:id/splits/:splitId', datasetController.getSplit);
+
 module.exports = router;
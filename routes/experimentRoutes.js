@@ -7,6 +7,9 @@ const express = require('express');
 const router = express.Router();
 const experimentController = require('../controllers/experimentController');
 const modelComparisonController = require('../controllers/modelComparison');
+const batchScoringController = require('../controllers/batchScoringController');
+const upload = require('../middleware/upload');
+const { validate, experimentCompareRules, experimentCloneRules } = require('../middleware/validators');
 
 // @route   POST /api/experiments/create
 // @desc    Create a new experiment
@@ -19,12 +22,9 @@ router.post('/create', experimentController.createExperiment);
 router.post('/train-multiple', modelComparisonController.trainMultipleModels);
 
 // @route   POST /api/experiments/compare
-// @desc    Compare multiple experiments
+// @desc    Compare experiments: aligned metrics, baseline deltas, significance tests
 // @access  Public
-router.post('/compare', (req, res) => {
-    // This will be implemented by model comparison controller
-    res.status(200).json({ message: 'Comparison endpoint' });
-});
+router.post('/compare', experimentCompareRules, validate, experimentController.compareExperiments);
 
 // @route   GET /api/experiments
 // @desc    Get all experiments
@@ -36,16 +36,61 @@ router.get('/', experimentController.getExperiments);
 // @access  Public
 router.get('/:id', experimentController.getExperimentById);
 
+// @route   POST /api/experiments/:id/clone
+// @desc    Clone an experiment with overrides and return what changed
+// @access  Public
+router.post('/:id/clone', experimentCloneRules, validate, experimentController.cloneExperiment);
+
+// @route   GET /api/experiments/:id/lineage
+// @desc    Ancestors and descendants with metrics and per-step changes
+// @access  Public
+router.get('/:id/lineage', experimentController.getLineage);
+
 // @route   POST /api/experiments/:id/train
 // @desc    Train model for experiment
 // @access  Public
 router.post('/:id/train', experimentController.trainModel);
 
+// @route   POST /api/experiments/:id/rerun
+// @desc    Re-run an experiment from its reproducibility manifest
+// @access  Public
+router.post('/:id/rerun', experimentController.rerunExperiment);
+
 // @route   POST /api/experiments/:id/tune
-// @desc    Perform hyperparameter tuning
+// @desc    Queue a grid, random or successive-halving hyperparameter search
 // @access  Public
 router.post('/:id/tune', experimentController.tuneHyperparameters);
 
+// @route   GET /api/experiments/:id/tuning
+// @desc    Hyperparameter search summary, best configuration and trial history
+// @access  Public
+router.get('/:id/tuning', experimentController.getTuningResults);
+
+// @route   POST /api/experiments/:id/tuning/train-best
+// @desc    Train a new experiment with the best tuned configuration
+// @access  Public
+router.post('/:id/tuning/train-best', experimentController.trainBestConfiguration);
+
+// @route   POST /api/experiments/:id/predict
+// @desc    Predict for one record or a small array of records
+// @access  Public
+router.post('/:id/predict', experimentController.predict);
+
+// @route   POST /api/experiments/:id/batch-score
+// @desc    Queue a CSV file for scoring; poll the returned job for progress
+// @access  Public
+router.post('/:id/batch-score', upload.single('file'), batchScoringController.startBatchScoring);
+
+// @route   GET /api/experiments/:id/batch-score/:jobId/download
+// @desc    Download the scored CSV
+// @access  Public
+router.get('/:id/batch-score/:jobId/download', batchScoringController.downloadBatchScores);
+
+// @route   DELETE /api/experiments/:id/batch-score/:jobId
+// @desc    Delete a finished batch scoring job and its scored file
+// @access  Public
+router.delete('/:id/batch-score/:jobId', batchScoringController.deleteBatchScores);
+
 // @route   DELETE /api/experiments/:id
 // @desc    Delete experiment
 // @access  Public
@@ -0,0 +1,20 @@
+/**
+ * Job Routes
+ * API endpoints for background training jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+
+// @route   GET /api/jobs
+// @desc    List jobs, optionally filtered by ?status=
+// @access  Public
+router.get('/', jobController.getJobs);
+
+// @route   GET /api/jobs/:id
+// @desc    Poll a job's state, progress and result
+// @access  Public
+router.get('/:id', jobController.getJob);
+
+module.exports = router;
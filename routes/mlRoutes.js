@@ -8,10 +8,15 @@ const router = express.Router();
 const mlController = require('../controllers/mlController');
 
 // @route   GET /api/ml/algorithms
-// @desc    Get available algorithms
+// @desc    Get the algorithms available on any healthy ML backend
 // @access  Public
 router.get('/algorithms', mlController.getAlgorithms);
 
+// @route   GET /api/ml/backends
+// @desc    List ML backends with their health and algorithms
+// @access  Public
+router.get('/backends', mlController.getBackends);
+
 // @route   POST /api/ml/preprocess
 // @desc    Preprocess data
 // @access  Public
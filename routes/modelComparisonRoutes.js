@@ -9,12 +9,32 @@ const {
     getMetricsReference,
     getHyperparameters
 } = require('../controllers/modelComparisonController');
+const {
+    getComparisonRuns,
+    getComparisonRun,
+    getLeaderboard
+} = require('../controllers/comparisonRunController');
 
 // @route   POST /api/model-comparison/compare-models
 // @desc    Train and compare multiple models
 // @access  Public
 router.post('/compare-models', compareModels);
 
+// @route   GET /api/model-comparison/runs
+// @desc    List comparison runs, optionally filtered by ?dataset=
+// @access  Public
+router.get('/runs', getComparisonRuns);
+
+// @route   GET /api/model-comparison/runs/:id
+// @desc    Get a comparison run with its child experiments
+// @access  Public
+router.get('/runs/:id', getComparisonRun);
+
+// @route   GET /api/model-comparison/runs/:id/leaderboard
+// @desc    Rank a run's models by ?metric=
+// @access  Public
+router.get('/runs/:id/leaderboard', getLeaderboard);
+
 // @route   GET /api/model-comparison/metrics-reference
 // @desc    Get metrics reference with formulas
 // @access  Public
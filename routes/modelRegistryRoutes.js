@@ -0,0 +1,56 @@
+/**
+ * Model Registry Routes
+ * API endpoints for named models, versions and stages
+ */
+
+const express = require('express');
+const router = express.Router();
+const modelRegistryController = require('../controllers/modelRegistryController');
+const { validate, registerModelRules, modelVersionRules, stageTransitionRules } = require('../middleware/validators');
+
+// @route   POST /api/models
+// @desc    Register a completed experiment as a new model version
+// @access  Public
+router.post('/', registerModelRules, validate, modelRegistryController.registerModel);
+
+// @route   GET /api/models
+// @desc    List registered models
+// @access  Public
+router.get('/', modelRegistryController.getModels);
+
+// @route   GET /api/models/:name
+// @desc    Get a model and its versions
+// @access  Public
+router.get('/:name', modelRegistryController.getModel);
+
+// @route   GET /api/models/:name/production
+// @desc    Get the production version of a model
+// @access  Public
+router.get('/:name/production', modelRegistryController.getProductionVersion);
+
+// @route   POST /api/models/:name/predict
+// @desc    Score records with the production version
+// @access  Public
+router.post('/:name/predict', modelRegistryController.predictWithModel);
+
+// @route   POST /api/models/:name/rollback
+// @desc    Roll production back to the previous production version
+// @access  Public
+router.post('/:name/rollback', modelRegistryController.rollbackModel);
+
+// @route   GET /api/models/:name/versions/:version
+// @desc    Get one model version
+// @access  Public
+router.get('/:name/versions/:version', modelVersionRules, validate, modelRegistryController.getModelVersion);
+
+// @route   POST /api/models/:name/versions/:version/transition
+// @desc    Move a version to none, staging, production or archived
+// @access  Public
+router.post('/:name/versions/:version/transition', stageTransitionRules, validate, modelRegistryController.transitionModelVersion);
+
+// @route   POST /api/models/:name/versions/:version/predict
+// @desc    Score records with one model version
+// @access  Public
+router.post('/:name/versions/:version/predict', modelVersionRules, validate, modelRegistryController.predictWithModel);
+
+module.exports = router;
@@ -16,6 +16,12 @@ const datasetRoutes = require('./routes/datasetRoutes');
 const experimentRoutes = require('./routes/experimentRoutes');
 const mlRoutes = require('./routes/mlRoutes');
 const modelComparisonRoutes = require('./routes/modelComparisonRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const modelRegistryRoutes = require('./routes/modelRegistryRoutes');
+const jobQueue = require('./utils/jobQueue');
+const uploadSessionSweeper = require('./utils/uploadSessionSweeper');
+const mlClient = require('./utils/mlClient');
+const mlBackends = require('./utils/mlBackends');
 
 // Initialize Express app
 const app = express();
@@ -74,6 +80,7 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         service: 'ML Platform API',
+        mlService: mlClient.status(),
         timestamp: new Date().toISOString()
     });
 });
@@ -83,6 +90,8 @@ app.use('/api/datasets', datasetRoutes);
 app.use('/api/experiments', experimentRoutes);
 app.use('/api/ml', mlRoutes);
 app.use('/api/model-comparison', modelComparisonRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/models', modelRegistryRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -94,6 +103,8 @@ app.get('/', (req, res) => {
             experiments: '/api/experiments',
             users: '/api/users',
             ml: '/api/ml',
+            jobs: '/api/jobs',
+            models: '/api/models',
             health: '/health'
         }
     });
@@ -123,11 +134,23 @@ app.use((req, res) => {
 const startServer = async () => {
     await connectToDatabase();
 
+    // Jobs and upload sessions live in MongoDB, so the queue and sweeper only run with a database
+    if (mongoose.connection.readyState === 1) {
+        jobQueue.start();
+        uploadSessionSweeper.start();
+    } else {
+        console.warn('⚠️ Job queue not started - training jobs will stay queued until restart with a database');
+    }
+
+    mlBackends.startHealthChecks();
+
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
         console.log(`🚀 Server running on port ${PORT}`);
         console.log(`📊 Environment: ${process.env.NODE_ENV}`);
-        console.log(`🤖 ML Service URL: ${process.env.ML_SERVICE_URL}`);
+        for (const backend of mlBackends.backends) {
+            console.log(`🤖 ML backend '${backend.name}': ${backend.local ? 'built-in JavaScript engine' : backend.url}`);
+        }
     });
 };
 
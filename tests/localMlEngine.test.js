@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-models-'));
+process.env.ML_ENGINE = 'local';
+process.env.LOCAL_MODEL_DIR = modelDir;
+delete process.env.ML_BACKENDS;
+
+const mlClient = require('../utils/mlClient');
+const localMlWorker = require('../utils/localMlWorker');
+
+// y = 2x + 1; the second feature does not affect the target
+const regressionRows = Array.from({ length: 60 }, (_, i) => [i / 10, (i % 5) / 5]);
+const regressionTargets = regressionRows.map(([x]) => 2 * x + 1);
+
+// Two well separated classes along the first feature
+const classificationRows = Array.from({ length: 80 }, (_, i) => [i < 40 ? i / 40 : 3 + i / 40, (i * 7) % 3]);
+const classificationTargets = classificationRows.map((_, i) => (i < 40 ? 'no' : 'yes'));
+
+const trainRegression = (extra = {}) => mlClient.train({
+    algorithm: 'linear_regression',
+    problem_type: 'regression',
+    X_train: regressionRows.slice(0, 50),
+    y_train: regressionTargets.slice(0, 50),
+    X_test: regressionRows.slice(50),
+    y_test: regressionTargets.slice(50),
+    random_state: 7,
+    ...extra
+});
+
+afterAll(async () => {
+    await localMlWorker.stop();
+    fs.rmSync(modelDir, { recursive: true, force: true });
+});
+
+describe('ML_ENGINE=local', () => {
+    test('routes every call to a single in-process backend', async () => {
+        const { backends } = mlClient.status();
+        expect(backends).toHaveLength(1);
+        expect(backends[0]).toMatchObject({ name: 'local', url: 'local' });
+
+        const catalog = await mlClient.getAlgorithms();
+        expect(catalog.engine).toBe('local');
+        expect(catalog.ml_backend).toBe('local');
+        expect(catalog.algorithms.regression.map((a) => a.name)).toContain('linear_regression');
+    });
+
+    test('rejects operations the local engine does not implement', async () => {
+        await expect(mlClient.tune({ algorithm: 'linear_regression' })).rejects.toMatchObject({ status: 501 });
+    });
+
+    test('keeps the event loop free while a model trains', async () => {
+        const X = Array.from({ length: 5000 }, (_, i) => [(i * 37) % 1000, (i * 11) % 97]);
+        let ticks = 0;
+        const timer = setInterval(() => { ticks += 1; }, 1);
+        try {
+            await mlClient.train({ algorithm: 'decision_tree_regressor', problem_type: 'regression', X_train: X, y_train: X.map(([a, b]) => a + b) });
+        } finally {
+            clearInterval(timer);
+        }
+
+        expect(ticks).toBeGreaterThan(0);
+    });
+});
+
+describe('train', () => {
+    test('fits a regression model, stores it and scores the held-out rows', async () => {
+        const result = await trainRegression();
+
+        expect(result).toMatchObject({ algorithm: 'linear_regression', problem_type: 'regression', engine: 'local', ml_backend: 'local' });
+        expect(result.model_id).toMatch(/^local_[0-9a-f]{32}$/);
+        expect(result.test_metrics.r2_score).toBeGreaterThan(0.99);
+        expect(result.test_predictions).toHaveLength(10);
+        expect(fs.existsSync(path.join(modelDir, `${result.model_id}.json`))).toBe(true);
+    });
+
+    test('trains a classifier with its classes', async () => {
+        const result = await mlClient.train({
+            algorithm: 'logistic_regression',
+            problem_type: 'classification',
+            X_train: classificationRows,
+            y_train: classificationTargets
+        });
+
+        expect(result.classes).toEqual(['no', 'yes']);
+        expect(result.training_metrics.accuracy).toBe(1);
+    });
+
+    test('accepts a shared dataset with row indices', async () => {
+        const dataset = mlClient.sharedDataset({ key: 'regression', X: regressionRows, y: regressionTargets });
+        const result = await mlClient.train({
+            algorithm: 'ridge_regression',
+            problem_type: 'regression',
+            dataset,
+            train_indices: regressionRows.map((_, i) => i).filter((i) => i % 4),
+            test_indices: regressionRows.map((_, i) => i).filter((i) => !(i % 4))
+        });
+
+        expect(result.test_predictions).toHaveLength(15);
+        expect(result.test_metrics.r2_score).toBeGreaterThan(0.95);
+    });
+
+    test('rejects unknown algorithms and mismatched problem types', async () => {
+        await expect(trainRegression({ algorithm: 'no_such_algorithm' })).rejects.toMatchObject({ status: 400 });
+        await expect(trainRegression({ problem_type: 'classification' })).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('predict', () => {
+    test('predicts with a stored model', async () => {
+        const { model_id: modelId } = await trainRegression();
+        const { predictions } = await mlClient.predict({ model_id: modelId, X: [[10, 0], [20, 0.4]] });
+
+        expect(predictions[0]).toBeCloseTo(21, 4);
+        expect(predictions[1]).toBeCloseTo(41, 4);
+    });
+
+    test('returns class probabilities aligned to the classes', async () => {
+        const { model_id: modelId } = await mlClient.train({
+            algorithm: 'logistic_regression',
+            problem_type: 'classification',
+            X_train: classificationRows,
+            y_train: classificationTargets
+        });
+        const result = await mlClient.predict({ model_id: modelId, X: [[0.1, 1], [4, 1]], return_probabilities: true });
+
+        expect(result.predictions).toEqual(['no', 'yes']);
+        expect(result.classes).toEqual(['no', 'yes']);
+        for (const row of result.probabilities) {
+            expect(row[0] + row[1]).toBeCloseTo(1, 6);
+        }
+    });
+
+    test('answers 404 for models it does not have', async () => {
+        await expect(mlClient.predict({ model_id: 'local_00000000000000000000000000000000', X: [[1, 2]] }))
+            .rejects.toMatchObject({ status: 404 });
+        await expect(mlClient.predict({ model_id: 'remote-model', X: [[1, 2]] })).rejects.toMatchObject({ status: 404 });
+    });
+});
+
+describe('evaluate', () => {
+    test('scores a stored model on labelled rows', async () => {
+        const { model_id: modelId } = await trainRegression();
+        const { metrics, predictions } = await mlClient.evaluate({
+            model_id: modelId,
+            X_test: regressionRows.slice(0, 5),
+            y_test: regressionTargets.slice(0, 5)
+        });
+
+        expect(predictions).toHaveLength(5);
+        expect(metrics.mse).toBeLessThan(1e-6);
+    });
+
+    test('scores given predictions', async () => {
+        const regression = await mlClient.evaluate({ problem_type: 'regression', y_true: [1, 2, 3], y_pred: [1, 2, 5] });
+        expect(regression.metrics.mae).toBeCloseTo(2 / 3, 6);
+
+        const classification = await mlClient.evaluate({ problem_type: 'classification', y_true: ['a', 'b', 'b', 'a'], y_pred: ['a', 'b', 'a', 'a'] });
+        expect(classification.metrics.accuracy).toBe(0.75);
+    });
+});
+
+describe('preprocess', () => {
+    test('imputes, one-hot encodes and scales features, passing the target through', async () => {
+        const result = await mlClient.preprocess({
+            columns: ['size', 'color', 'label'],
+            data: [[1, 'red', 'a'], [null, 'blue', 'b'], [3, 'red', 'a'], [4, 'green', 'b']],
+            target_column: 'label',
+            preprocessing_options: { handle_missing: 'mean', encoding: 'onehot', scaling: 'minmax' }
+        });
+
+        expect(result.columns[result.columns.length - 1]).toBe('label');
+        expect(result.columns).toHaveLength(5);
+        expect(result.processed_shape).toEqual([4, 5]);
+        expect(result.processed_data.map((row) => row[row.length - 1])).toEqual(['a', 'b', 'a', 'b']);
+        for (const row of result.processed_data) {
+            for (const value of row.slice(0, -1)) {
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThanOrEqual(1);
+            }
+        }
+        expect(result.preprocessing_steps.length).toBeGreaterThan(0);
+    });
+
+    test('drops rows with missing features when asked', async () => {
+        const result = await mlClient.preprocess({
+            columns: ['size', 'weight'],
+            data: [[1, 2], [null, 3], [4, 5]],
+            preprocessing_options: { handle_missing: 'drop' }
+        });
+
+        expect(result.processed_shape).toEqual([2, 2]);
+    });
+});
+
+describe('deleteModel', () => {
+    test('removes the stored model so it can no longer predict', async () => {
+        const { model_id: modelId } = await trainRegression();
+
+        await expect(mlClient.deleteModel(modelId)).resolves.toBe(true);
+        expect(fs.existsSync(path.join(modelDir, `${modelId}.json`))).toBe(false);
+        await expect(mlClient.predict({ model_id: modelId, X: [[1, 0]] })).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('leaves ids the local engine did not issue alone', async () => {
+        await expect(mlClient.deleteModel('remote-model')).resolves.toBe(false);
+    });
+});
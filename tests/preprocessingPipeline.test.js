@@ -0,0 +1,123 @@
+const localMlEngine = require('../utils/localMlEngine');
+const { buildPipeline, outputFeatureNames } = require('../utils/preprocessingPipeline');
+const { encodeRecords } = require('../utils/predictionInput');
+
+const rawVersion = {
+    source: 'upload',
+    columns: [
+        { name: 'size', type: 'numeric' },
+        { name: 'color', type: 'categorical' },
+        { name: 'label', type: 'categorical' }
+    ]
+};
+
+// Stored rows as read back from CSV: every value a string
+const rawRows = [
+    { size: '1', color: 'red', label: 'a' },
+    { size: '', color: 'blue', label: 'b' },
+    { size: '3', color: 'red', label: 'a' },
+    { size: '4', color: 'green', label: 'b' }
+];
+
+// What datasetController.preprocessDataset does with the service's answer
+const preprocess = async (parent, rows, options, { withPipeline = true } = {}) => {
+    const columns = parent.columns.map((c) => c.name);
+    const mlResult = await localMlEngine.run('preprocess', {
+        data: rows.map((row) => columns.map((name) => row[name])),
+        columns,
+        target_column: 'label',
+        preprocessing_options: options
+    });
+    if (!withPipeline) delete mlResult.preprocessing_pipeline;
+
+    const outputRows = mlResult.processed_data.map((row) => Object.fromEntries(mlResult.columns.map((name, i) => [name, row[i]])));
+    const pipeline = buildPipeline({
+        parent,
+        targetColumn: 'label',
+        rows,
+        options,
+        mlResult,
+        outputColumns: mlResult.columns,
+        outputRows
+    });
+    return { pipeline, outputRows, columns: mlResult.columns };
+};
+
+describe('buildPipeline', () => {
+    test('records the raw input features and a step reproducing the service output', async () => {
+        const { pipeline, outputRows } = await preprocess(rawVersion, rawRows, { encoding: 'onehot', scaling: 'minmax' });
+
+        expect(pipeline.inputFeatures).toEqual([{ name: 'size', type: 'numeric' }, { name: 'color', type: 'categorical' }]);
+        expect(outputFeatureNames(pipeline)).toEqual(['size', 'color_blue', 'color_green', 'color_red']);
+
+        const { X, errors } = encodeRecords(rawRows, pipeline.inputFeatures, { targetColumn: 'label', preprocessing: pipeline });
+        expect(errors).toEqual([]);
+        X.forEach((row, i) => {
+            outputFeatureNames(pipeline).forEach((name, j) => expect(row[j]).toBeCloseTo(outputRows[i][name], 9));
+        });
+    });
+
+    test('fits an equivalent step itself when the service returns none', async () => {
+        const { pipeline } = await preprocess(rawVersion, rawRows, { scaling: 'standard' }, { withPipeline: false });
+        expect(pipeline.steps).toHaveLength(1);
+    });
+
+    test('gives up when the service output cannot be reproduced', () => {
+        const outputRows = rawRows.map((row) => ({ size: 0, color_blue: 0, color_green: 0, color_red: 0, label: row.label }));
+        expect(buildPipeline({
+            parent: rawVersion,
+            targetColumn: 'label',
+            rows: rawRows,
+            options: {},
+            mlResult: { preprocessing_steps: [] },
+            outputColumns: ['size', 'color_blue', 'color_green', 'color_red', 'label'],
+            outputRows
+        })).toBeNull();
+    });
+
+    test('gives up on versions whose parent could not be replayed', async () => {
+        const parent = { source: 'preprocess', preprocessingPipeline: null, columns: rawVersion.columns };
+        const { pipeline } = await preprocess(parent, rawRows, {});
+        expect(pipeline).toBeNull();
+    });
+
+    test('chains the steps of versions preprocessed from preprocessed versions', async () => {
+        const first = await preprocess(rawVersion, rawRows, { encoding: 'label' });
+        const parent = {
+            source: 'preprocess',
+            preprocessingPipeline: first.pipeline,
+            columns: first.columns.map((name) => ({ name, type: 'numeric' }))
+        };
+        const second = await preprocess(parent, first.outputRows, { scaling: 'minmax' });
+
+        expect(second.pipeline.steps).toHaveLength(2);
+        expect(second.pipeline.inputFeatures).toEqual(first.pipeline.inputFeatures);
+
+        const { X, errors } = encodeRecords([{ size: 4, color: 'green' }], second.pipeline.inputFeatures, { preprocessing: second.pipeline });
+        expect(errors).toEqual([]);
+        expect(X[0][0]).toBeCloseTo(second.outputRows[3].size, 9);
+        expect(X[0][1]).toBeCloseTo(second.outputRows[3].color, 9);
+    });
+});
+
+describe('encodeRecords with preprocessing', () => {
+    test('rejects categories the preprocessing never saw', async () => {
+        const { pipeline } = await preprocess(rawVersion, rawRows, {});
+        const { X, errors } = encodeRecords(
+            [{ size: 2, color: 'purple' }, { size: 2, color: 'red' }],
+            pipeline.inputFeatures,
+            { preprocessing: pipeline }
+        );
+
+        expect(errors).toEqual([expect.objectContaining({ record: 0, field: 'color' })]);
+        expect(X[0]).toBeNull();
+        expect(X[1]).toEqual([2, 0, 0, 1]);
+    });
+
+    test('rejects missing values when training dropped such rows', async () => {
+        const { pipeline } = await preprocess(rawVersion, rawRows, { handle_missing: 'drop' });
+        const { errors } = encodeRecords([{ size: null, color: 'red' }], pipeline.inputFeatures, { preprocessing: pipeline });
+
+        expect(errors).toEqual([expect.objectContaining({ record: 0, field: 'size' })]);
+    });
+});
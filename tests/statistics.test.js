@@ -0,0 +1,141 @@
+const { pairedTTest, wilcoxonSignedRank, mcnemar } = require('../utils/statistics');
+const { compareExperiments } = require('../utils/experimentComparison');
+
+// Matched fold scores of two models; differences 0.02, 0.04, -0.01, 0.05, 0.02
+const first = [0.82, 0.85, 0.79, 0.88, 0.84];
+const second = [0.80, 0.81, 0.80, 0.83, 0.82];
+
+// Reference values were computed independently of this module: t tail areas by
+// numerical integration of the t density, the rest in closed form. They are the
+// quantities scipy.stats reports for ttest_rel, wilcoxon (method='approx',
+// correction=False) and the exact and continuity-corrected McNemar tests.
+describe('pairedTTest', () => {
+    test('matches the paired t-test', () => {
+        const result = pairedTTest(first, second);
+        expect(result.method).toBe('paired_t_test');
+        expect(result.n).toBe(5);
+        expect(result.meanDifference).toBeCloseTo(0.024, 12);
+        expect(result.statistic).toBeCloseTo(2.331086, 5);
+        expect(result.pValue).toBeCloseTo(0.0801567, 6);
+    });
+
+    test('gives p = 0.05 at the tabulated critical values of t', () => {
+        // n differences whose t statistic is exactly t: centred values shifted by t * sd / sqrt(n)
+        const diffsWithT = (t, n) => {
+            const base = Array.from({ length: n }, (_, i) => i - (n - 1) / 2);
+            const sd = Math.sqrt(base.reduce((sum, v) => sum + v * v, 0) / (n - 1));
+            return base.map((v) => v + (t * sd) / Math.sqrt(n));
+        };
+        // Two-sided 5% critical values for 4 and 10 degrees of freedom
+        for (const [t, df] of [[2.776445105, 4], [2.228138852, 10]]) {
+            const diffs = diffsWithT(t, df + 1);
+            const result = pairedTTest(diffs, diffs.map(() => 0));
+            expect(result.statistic).toBeCloseTo(t, 9);
+            expect(result.pValue).toBeCloseTo(0.05, 8);
+        }
+    });
+
+    test('applies the Nadeau-Bengio correction for overlapping training sets', () => {
+        const result = pairedTTest(first, second, { testTrainRatio: 0.25 });
+        expect(result.method).toBe('corrected_paired_t_test');
+        expect(result.statistic).toBeCloseTo(1.554057, 5);
+        expect(result.pValue).toBeCloseTo(0.1951379, 6);
+    });
+
+    test('needs at least two pairs', () => {
+        expect(pairedTTest([1], [2])).toBeNull();
+    });
+});
+
+describe('wilcoxonSignedRank', () => {
+    test('drops zero differences and corrects the variance for ties', () => {
+        // Differences 2, 5, 0, 5, -2, 5, 5, -2: ranks tie at |2| and |5|
+        const result = wilcoxonSignedRank([12, 25, 31, 40, 22, 33, 19, 28], [10, 20, 31, 35, 24, 28, 14, 30]);
+        expect(result.n).toBe(7);
+        expect(result.statistic).toBe(24);
+        expect(result.z).toBeCloseTo(1.7342199, 6);
+        expect(result.pValue).toBeCloseTo(0.0828791, 5);
+    });
+});
+
+describe('mcnemar', () => {
+    const outcomes = (onlyFirst, onlySecond, both) => ({
+        a: [...Array(onlyFirst).fill(true), ...Array(onlySecond).fill(false), ...Array(both).fill(true)],
+        b: [...Array(onlyFirst).fill(false), ...Array(onlySecond).fill(true), ...Array(both).fill(true)]
+    });
+
+    test('uses the exact binomial test for few discordant pairs', () => {
+        const { a, b } = outcomes(1, 7, 12);
+        const result = mcnemar(a, b);
+        expect(result.method).toBe('mcnemar_exact');
+        expect(result.onlyFirstCorrect).toBe(1);
+        expect(result.onlySecondCorrect).toBe(7);
+        expect(result.pValue).toBeCloseTo(0.0703125, 9);
+    });
+
+    test('uses the continuity-corrected chi-square otherwise', () => {
+        const { a, b } = outcomes(10, 25, 40);
+        const result = mcnemar(a, b);
+        expect(result.method).toBe('mcnemar');
+        expect(result.statistic).toBeCloseTo(5.6, 12);
+        expect(result.pValue).toBeCloseTo(0.0179605, 5);
+    });
+
+    test('is 1 when the models never disagree', () => {
+        expect(mcnemar([true, false], [true, false]).pValue).toBe(1);
+    });
+});
+
+describe('compareExperiments', () => {
+    const cvResults = (scores) => ({
+        strategy: 'kfold',
+        folds: 5,
+        repeats: 1,
+        seed: 42,
+        stratified: false,
+        mean: { rmse: scores.reduce((sum, v) => sum + v, 0) / scores.length },
+        foldMetrics: scores.map((rmse, fold) => ({ repeat: 0, fold, trainCount: 80, testCount: 20, metrics: { rmse } }))
+    });
+    const experiment = (id, rmse, foldScores) => ({
+        _id: id,
+        name: id,
+        problemType: 'regression',
+        dataset: 'dataset',
+        datasetVersionNumber: 1,
+        split: 'split',
+        testMetrics: { rmse, r2_score: 1 - rmse / 4 },
+        cvResults: cvResults(foldScores)
+    });
+
+    // The baseline's fold RMSEs are the higher ones, so the other model is better
+    const comparison = compareExperiments(
+        [experiment('baseline', 2, first), experiment('candidate', 1.5, second)],
+        { baselineId: 'baseline', metric: 'rmse' }
+    );
+
+    test('reports deltas against the baseline and the best value for lower-is-better metrics', () => {
+        const rmse = comparison.metrics.test.find((row) => row.metric === 'rmse');
+        expect(rmse.higherIsBetter).toBe(false);
+        expect(rmse.best).toBe('candidate');
+        expect(rmse.deltas[0]).toEqual({ absolute: 0, relative: 0 });
+        expect(rmse.deltas[1].absolute).toBeCloseTo(-0.5, 12);
+        expect(rmse.deltas[1].relative).toBeCloseTo(-0.25, 12);
+
+        const r2 = comparison.metrics.test.find((row) => row.metric === 'r2_score');
+        expect(r2.higherIsBetter).toBe(true);
+        expect(r2.best).toBe('candidate');
+    });
+
+    test('favours the model with the lower error in the corrected fold test', () => {
+        const [test] = comparison.significance;
+        expect(test).toMatchObject({
+            available: true,
+            scores: 'per_fold',
+            metric: 'rmse',
+            method: 'corrected_paired_t_test',
+            favours: 'experiment',
+            significant: false
+        });
+        expect(test.pValue).toBeCloseTo(0.1951379, 6);
+    });
+});
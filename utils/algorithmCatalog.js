@@ -0,0 +1,511 @@
+/**
+ * Algorithm Catalog
+ * Every algorithm the platform trains: its problem type, display name,
+ * hyperparameter spec and the defaults training sends. Experiments are checked
+ * against it before anything reaches the ML service.
+ *
+ * Hyperparameter specs are a JSON-Schema subset: `type` (a name or a list of
+ * names among integer, number, string, boolean, null), `enum` (allowed string
+ * values), `minimum`/`maximum`, `exclusiveMinimum`/`exclusiveMaximum`,
+ * `default` and `description`.
+ */
+
+const httpError = require('./httpError');
+
+// ---- Shared hyperparameter specs ----
+
+const positiveInteger = (description, extra = {}) => ({ type: 'integer', minimum: 1, description, ...extra });
+const positiveNumber = (description, extra = {}) => ({ type: 'number', exclusiveMinimum: 0, description, ...extra });
+const fraction = (description, extra = {}) => ({ type: 'number', minimum: 0, maximum: 1, description, ...extra });
+const choice = (values, description, extra = {}) => ({ type: 'string', enum: values, description, ...extra });
+
+const fitIntercept = { type: 'boolean', default: true, description: 'Fit an intercept term' };
+const maxIter = (fallback) => positiveInteger('Maximum solver iterations', { default: fallback });
+const tolerance = (fallback) => positiveNumber('Stopping tolerance', { default: fallback });
+
+const treeSpec = (criteria) => ({
+    criterion: choice(criteria, 'Split quality measure', { default: criteria[0] }),
+    max_depth: { type: ['integer', 'null'], minimum: 1, default: null, description: 'Maximum tree depth; null grows until leaves are pure' },
+    min_samples_split: { type: 'integer', minimum: 2, default: 2, description: 'Minimum samples needed to split a node' },
+    min_samples_leaf: positiveInteger('Minimum samples in a leaf', { default: 1 }),
+    max_features: { type: ['string', 'null'], enum: ['sqrt', 'log2'], default: null, description: 'Features considered per split; null uses all' }
+});
+
+const forestSpec = (criteria) => ({
+    n_estimators: positiveInteger('Number of trees', { maximum: 5000, default: 100 }),
+    ...treeSpec(criteria),
+    max_features: { type: ['string', 'null'], enum: ['sqrt', 'log2'], default: 'sqrt', description: 'Features considered per split; null uses all' },
+    bootstrap: { type: 'boolean', default: true, description: 'Sample rows with replacement for each tree' }
+});
+
+const boostingSpec = (criteria) => ({
+    n_estimators: positiveInteger('Number of boosting stages', { maximum: 5000, default: 100 }),
+    learning_rate: positiveNumber('Shrinks the contribution of each stage', { default: 0.1 }),
+    max_depth: { type: ['integer', 'null'], minimum: 1, default: 3, description: 'Maximum depth of each tree' },
+    min_samples_split: { type: 'integer', minimum: 2, default: 2, description: 'Minimum samples needed to split a node' },
+    min_samples_leaf: positiveInteger('Minimum samples in a leaf', { default: 1 }),
+    subsample: { type: 'number', exclusiveMinimum: 0, maximum: 1, default: 1, description: 'Fraction of rows used per stage' },
+    criterion: choice(criteria, 'Split quality measure', { default: criteria[0] })
+});
+
+const adaboostSpec = {
+    n_estimators: positiveInteger('Maximum number of estimators', { maximum: 5000, default: 50 }),
+    learning_rate: positiveNumber('Weight applied to each estimator', { default: 1 })
+};
+
+const svmSpec = {
+    kernel: choice(['linear', 'poly', 'rbf', 'sigmoid'], 'Kernel type', { default: 'rbf' }),
+    C: positiveNumber('Regularization parameter; smaller values regularize more', { default: 1 }),
+    gamma: { type: ['string', 'number'], enum: ['scale', 'auto'], exclusiveMinimum: 0, default: 'scale', description: 'Kernel coefficient for rbf, poly and sigmoid' },
+    degree: positiveInteger('Degree of the poly kernel', { default: 3 })
+};
+
+const knnSpec = {
+    n_neighbors: positiveInteger('Number of neighbours', { default: 5 }),
+    weights: choice(['uniform', 'distance'], 'Neighbour vote weighting', { default: 'uniform' }),
+    p: positiveInteger('Minkowski power: 1 is manhattan, 2 euclidean', { default: 2 }),
+    algorithm: choice(['auto', 'ball_tree', 'kd_tree', 'brute'], 'Neighbour search structure', { default: 'auto' })
+};
+
+const CLASSIFIER_CRITERIA = ['gini', 'entropy', 'log_loss'];
+const REGRESSOR_CRITERIA = ['squared_error', 'friedman_mse', 'absolute_error', 'poisson'];
+const BOOSTING_CRITERIA = ['friedman_mse', 'squared_error'];
+
+/**
+ * `defaults` are what training sends when an experiment leaves a
+ * hyperparameter unset; anything else falls back to the ML service's own
+ * default, shown as `default` in the spec.
+ */
+const ALGORITHMS = {
+    // Regression
+    linear_regression: {
+        problemType: 'regression',
+        displayName: 'Linear Regression',
+        hyperparameters: {
+            fit_intercept: fitIntercept,
+            positive: { type: 'boolean', default: false, description: 'Force non-negative coefficients' }
+        },
+        defaults: {}
+    },
+    ridge_regression: {
+        problemType: 'regression',
+        displayName: 'Ridge Regression',
+        hyperparameters: {
+            alpha: { type: 'number', minimum: 0, default: 1, description: 'L2 regularization strength' },
+            fit_intercept: fitIntercept,
+            solver: choice(['auto', 'svd', 'cholesky', 'lsqr', 'sparse_cg', 'sag', 'saga'], 'Solver', { default: 'auto' })
+        },
+        defaults: { alpha: 1.0 }
+    },
+    lasso_regression: {
+        problemType: 'regression',
+        displayName: 'Lasso Regression',
+        hyperparameters: {
+            alpha: { type: 'number', minimum: 0, default: 1, description: 'L1 regularization strength' },
+            fit_intercept: fitIntercept,
+            max_iter: maxIter(1000),
+            tol: tolerance(1e-4)
+        },
+        defaults: { alpha: 1.0 }
+    },
+    elastic_net: {
+        problemType: 'regression',
+        displayName: 'Elastic Net',
+        hyperparameters: {
+            alpha: { type: 'number', minimum: 0, default: 1, description: 'Overall regularization strength' },
+            l1_ratio: fraction('Mix of L1 (1) and L2 (0) regularization', { default: 0.5 }),
+            fit_intercept: fitIntercept,
+            max_iter: maxIter(1000),
+            tol: tolerance(1e-4)
+        },
+        defaults: { alpha: 1.0, l1_ratio: 0.5 }
+    },
+    decision_tree_regressor: {
+        problemType: 'regression',
+        displayName: 'Decision Tree Regressor',
+        hyperparameters: treeSpec(REGRESSOR_CRITERIA),
+        defaults: { max_depth: 10, min_samples_split: 5 }
+    },
+    random_forest_regressor: {
+        problemType: 'regression',
+        displayName: 'Random Forest Regressor',
+        hyperparameters: { ...forestSpec(REGRESSOR_CRITERIA), max_features: { type: ['string', 'null'], enum: ['sqrt', 'log2'], default: null, description: 'Features considered per split; null uses all' } },
+        defaults: { n_estimators: 100, max_depth: 10, min_samples_split: 5 }
+    },
+    extra_trees_regressor: {
+        problemType: 'regression',
+        displayName: 'Extra Trees Regressor',
+        hyperparameters: { ...forestSpec(REGRESSOR_CRITERIA), bootstrap: { type: 'boolean', default: false, description: 'Sample rows with replacement for each tree' } },
+        defaults: { n_estimators: 100, max_depth: 10 }
+    },
+    gradient_boosting_regressor: {
+        problemType: 'regression',
+        displayName: 'Gradient Boosting Regressor',
+        hyperparameters: boostingSpec(BOOSTING_CRITERIA),
+        defaults: { n_estimators: 100, learning_rate: 0.1, max_depth: 5 }
+    },
+    adaboost_regressor: {
+        problemType: 'regression',
+        displayName: 'AdaBoost Regressor',
+        hyperparameters: {
+            ...adaboostSpec,
+            loss: choice(['linear', 'square', 'exponential'], 'Loss used to reweight samples', { default: 'linear' })
+        },
+        defaults: { n_estimators: 100, learning_rate: 0.1 }
+    },
+    svm_regressor: {
+        problemType: 'regression',
+        displayName: 'Support Vector Regressor (SVR)',
+        hyperparameters: {
+            ...svmSpec,
+            epsilon: { type: 'number', minimum: 0, default: 0.1, description: 'Width of the no-penalty tube around predictions' }
+        },
+        defaults: { kernel: 'rbf', C: 1.0, gamma: 'scale' }
+    },
+    knn_regressor: {
+        problemType: 'regression',
+        displayName: 'K-Nearest Neighbors Regressor',
+        hyperparameters: knnSpec,
+        defaults: { n_neighbors: 5, weights: 'uniform' }
+    },
+
+    // Classification
+    logistic_regression: {
+        problemType: 'classification',
+        displayName: 'Logistic Regression',
+        hyperparameters: {
+            C: positiveNumber('Inverse regularization strength', { default: 1 }),
+            penalty: { type: ['string', 'null'], enum: ['l1', 'l2', 'elasticnet'], default: 'l2', description: 'Regularization type; null for none' },
+            solver: choice(['lbfgs', 'liblinear', 'newton-cg', 'newton-cholesky', 'sag', 'saga'], 'Optimization algorithm', { default: 'lbfgs' }),
+            max_iter: maxIter(100),
+            tol: tolerance(1e-4),
+            l1_ratio: { type: ['number', 'null'], minimum: 0, maximum: 1, default: null, description: 'Elastic-net mix; only used with penalty elasticnet' },
+            class_weight: { type: ['string', 'null'], enum: ['balanced'], default: null, description: 'balanced reweights classes by inverse frequency' }
+        },
+        defaults: { C: 1.0, max_iter: 1000 }
+    },
+    lda: {
+        problemType: 'classification',
+        displayName: 'Linear Discriminant Analysis',
+        hyperparameters: {
+            solver: choice(['svd', 'lsqr', 'eigen'], 'Solver', { default: 'svd' }),
+            shrinkage: { type: ['string', 'number', 'null'], enum: ['auto'], minimum: 0, maximum: 1, default: null, description: 'Covariance shrinkage for lsqr and eigen solvers' }
+        },
+        defaults: { solver: 'svd' }
+    },
+    qda: {
+        problemType: 'classification',
+        displayName: 'Quadratic Discriminant Analysis',
+        hyperparameters: {
+            reg_param: fraction('Regularizes per-class covariance estimates', { default: 0 })
+        },
+        defaults: {}
+    },
+    decision_tree_classifier: {
+        problemType: 'classification',
+        displayName: 'Decision Tree Classifier',
+        hyperparameters: treeSpec(CLASSIFIER_CRITERIA),
+        defaults: { max_depth: 10, min_samples_split: 5 }
+    },
+    random_forest_classifier: {
+        problemType: 'classification',
+        displayName: 'Random Forest Classifier',
+        hyperparameters: forestSpec(CLASSIFIER_CRITERIA),
+        defaults: { n_estimators: 100, max_depth: 10, min_samples_split: 5 }
+    },
+    extra_trees_classifier: {
+        problemType: 'classification',
+        displayName: 'Extra Trees Classifier',
+        hyperparameters: { ...forestSpec(CLASSIFIER_CRITERIA), bootstrap: { type: 'boolean', default: false, description: 'Sample rows with replacement for each tree' } },
+        defaults: { n_estimators: 100, max_depth: 10 }
+    },
+    gradient_boosting_classifier: {
+        problemType: 'classification',
+        displayName: 'Gradient Boosting Classifier',
+        hyperparameters: boostingSpec(BOOSTING_CRITERIA),
+        defaults: { n_estimators: 100, learning_rate: 0.1, max_depth: 5 }
+    },
+    adaboost_classifier: {
+        problemType: 'classification',
+        displayName: 'AdaBoost Classifier',
+        hyperparameters: adaboostSpec,
+        defaults: { n_estimators: 100, learning_rate: 0.1 }
+    },
+    svm_classifier: {
+        problemType: 'classification',
+        displayName: 'Support Vector Machine (SVC)',
+        hyperparameters: {
+            ...svmSpec,
+            probability: { type: 'boolean', default: false, description: 'Fit class probability estimates (slower)' },
+            class_weight: { type: ['string', 'null'], enum: ['balanced'], default: null, description: 'balanced reweights classes by inverse frequency' }
+        },
+        defaults: { kernel: 'rbf', C: 1.0, gamma: 'scale' }
+    },
+    knn_classifier: {
+        problemType: 'classification',
+        displayName: 'K-Nearest Neighbors Classifier',
+        hyperparameters: knnSpec,
+        defaults: { n_neighbors: 5, weights: 'uniform' }
+    },
+    gaussian_nb: {
+        problemType: 'classification',
+        displayName: 'Gaussian Naive Bayes',
+        hyperparameters: {
+            var_smoothing: positiveNumber('Variance added for numerical stability', { default: 1e-9 })
+        },
+        defaults: {}
+    },
+    multinomial_nb: {
+        problemType: 'classification',
+        displayName: 'Multinomial Naive Bayes',
+        hyperparameters: {
+            alpha: { type: 'number', minimum: 0, default: 1, description: 'Additive (Laplace) smoothing' },
+            fit_prior: { type: 'boolean', default: true, description: 'Learn class priors from the data' }
+        },
+        defaults: { alpha: 1.0 }
+    },
+
+    // Clustering
+    kmeans: {
+        problemType: 'clustering',
+        displayName: 'K-Means',
+        hyperparameters: {
+            n_clusters: positiveInteger('Number of clusters', { default: 8 }),
+            init: choice(['k-means++', 'random'], 'Initialization method', { default: 'k-means++' }),
+            n_init: { type: ['integer', 'string'], enum: ['auto'], minimum: 1, default: 'auto', description: 'Runs with different centroid seeds; the best is kept' },
+            max_iter: maxIter(300),
+            tol: tolerance(1e-4)
+        },
+        defaults: { n_clusters: 3, n_init: 10 }
+    },
+    hierarchical: {
+        problemType: 'clustering',
+        displayName: 'Hierarchical (Agglomerative) Clustering',
+        hyperparameters: {
+            n_clusters: positiveInteger('Number of clusters', { default: 2 }),
+            linkage: choice(['ward', 'complete', 'average', 'single'], 'Linkage criterion', { default: 'ward' })
+        },
+        defaults: { n_clusters: 3, linkage: 'ward' }
+    },
+    dbscan: {
+        problemType: 'clustering',
+        displayName: 'DBSCAN',
+        hyperparameters: {
+            eps: positiveNumber('Neighbourhood radius', { default: 0.5 }),
+            min_samples: positiveInteger('Neighbours needed for a core point', { default: 5 }),
+            metric: choice(['euclidean', 'manhattan', 'cosine', 'chebyshev'], 'Distance metric', { default: 'euclidean' })
+        },
+        defaults: { eps: 0.5, min_samples: 5 }
+    },
+    gaussian_mixture: {
+        problemType: 'clustering',
+        displayName: 'Gaussian Mixture',
+        hyperparameters: {
+            n_components: positiveInteger('Number of mixture components', { default: 1 }),
+            covariance_type: choice(['full', 'tied', 'diag', 'spherical'], 'Covariance parameterization', { default: 'full' }),
+            max_iter: maxIter(100),
+            tol: tolerance(1e-3)
+        },
+        defaults: { n_components: 3 }
+    },
+
+    // Dimensionality reduction
+    pca: {
+        problemType: 'dimensionality_reduction',
+        displayName: 'Principal Component Analysis (PCA)',
+        hyperparameters: {
+            n_components: { type: ['number', 'null'], exclusiveMinimum: 0, default: null, description: 'Components to keep, or a fraction of variance to explain' },
+            whiten: { type: 'boolean', default: false, description: 'Scale components to unit variance' }
+        },
+        defaults: { n_components: 2 }
+    },
+    tsne: {
+        problemType: 'dimensionality_reduction',
+        displayName: 't-SNE',
+        hyperparameters: {
+            n_components: positiveInteger('Embedding dimensions', { maximum: 3, default: 2 }),
+            perplexity: positiveNumber('Effective number of neighbours', { default: 30 }),
+            learning_rate: { type: ['string', 'number'], enum: ['auto'], exclusiveMinimum: 0, default: 'auto', description: 'Optimization step size' }
+        },
+        defaults: { n_components: 2, perplexity: 30 }
+    },
+    isomap: {
+        problemType: 'dimensionality_reduction',
+        displayName: 'Isomap',
+        hyperparameters: {
+            n_components: positiveInteger('Embedding dimensions', { default: 2 }),
+            n_neighbors: positiveInteger('Neighbours per point', { default: 5 })
+        },
+        defaults: { n_components: 2, n_neighbors: 5 }
+    }
+};
+
+// Specs show the default training actually sends where the platform overrides the service's
+for (const entry of Object.values(ALGORITHMS)) {
+    entry.hyperparameters = Object.fromEntries(Object.entries(entry.hyperparameters).map(([name, spec]) => [
+        name,
+        name in entry.defaults ? { ...spec, default: entry.defaults[name] } : spec
+    ]));
+}
+
+const ALGORITHM_NAMES = Object.keys(ALGORITHMS);
+
+const getAlgorithm = (name) => (Object.prototype.hasOwnProperty.call(ALGORITHMS, name) ? ALGORITHMS[name] : null);
+
+const displayName = (name) => getAlgorithm(name)?.displayName || name;
+
+const listAlgorithms = (problemType) => ALGORITHM_NAMES
+    .filter((name) => !problemType || ALGORITHMS[name].problemType === problemType);
+
+// Public description: the spec as an object schema plus the defaults training sends
+const describeAlgorithm = (name) => {
+    const entry = getAlgorithm(name);
+    if (!entry) return null;
+    return {
+        algorithm: name,
+        displayName: entry.displayName,
+        problemType: entry.problemType,
+        hyperparameters: {
+            type: 'object',
+            additionalProperties: false,
+            properties: entry.hyperparameters
+        },
+        defaults: { ...entry.defaults }
+    };
+};
+
+const getDefaultHyperparameters = (algorithm) => ({ ...(getAlgorithm(algorithm)?.defaults || {}) });
+
+// Defaults overlaid with an experiment's own hyperparameters: exactly what training sends
+const resolveHyperparameters = (algorithm, hyperparameters = {}) => ({
+    ...getDefaultHyperparameters(algorithm),
+    ...hyperparameters
+});
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, types) => {
+    const actual = typeOf(value);
+    return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+};
+
+const describeTypes = (types) => types.join(' or ');
+
+// Why a value breaks a spec, or null when it fits
+const valueError = (value, spec) => {
+    const types = [].concat(spec.type);
+    if (!matchesType(value, types)) {
+        return `must be of type ${describeTypes(types)}`;
+    }
+    if (typeof value === 'string' && spec.enum && !spec.enum.includes(value)) {
+        return `must be one of ${spec.enum.join(', ')}`;
+    }
+    if (typeof value === 'number') {
+        if (spec.minimum !== undefined && value < spec.minimum) return `must be at least ${spec.minimum}`;
+        if (spec.maximum !== undefined && value > spec.maximum) return `must be at most ${spec.maximum}`;
+        if (spec.exclusiveMinimum !== undefined && value <= spec.exclusiveMinimum) return `must be greater than ${spec.exclusiveMinimum}`;
+        if (spec.exclusiveMaximum !== undefined && value >= spec.exclusiveMaximum) return `must be less than ${spec.exclusiveMaximum}`;
+    }
+    return null;
+};
+
+const unknownParameter = (entry, name, algorithm) => (Object.prototype.hasOwnProperty.call(entry.hyperparameters, name)
+    ? null
+    : `is not a hyperparameter of ${algorithm}; use ${Object.keys(entry.hyperparameters).join(', ') || 'none'}`);
+
+/**
+ * Field errors ({ field, message }) for an algorithm and its hyperparameters.
+ * With `problemType` the algorithm must also solve that kind of problem.
+ */
+const configurationErrors = ({ algorithm, problemType, hyperparameters = {} }) => {
+    if (!algorithm) return [{ field: 'algorithm', message: 'algorithm is required' }];
+    const entry = getAlgorithm(algorithm);
+    if (!entry) {
+        const known = listAlgorithms(problemType);
+        return [{ field: 'algorithm', message: `Unknown algorithm '${algorithm}'${known.length ? `; use one of ${known.join(', ')}` : ''}` }];
+    }
+    if (problemType && entry.problemType !== problemType) {
+        return [{ field: 'algorithm', message: `${algorithm} is a ${entry.problemType} algorithm, not ${problemType}` }];
+    }
+    if (!hyperparameters || typeof hyperparameters !== 'object' || Array.isArray(hyperparameters)) {
+        return [{ field: 'hyperparameters', message: 'hyperparameters must be an object' }];
+    }
+
+    return Object.entries(hyperparameters).flatMap(([name, value]) => {
+        const message = unknownParameter(entry, name, algorithm) || valueError(value, entry.hyperparameters[name]);
+        return message ? [{ field: `hyperparameters.${name}`, message: `${name} ${message}` }] : [];
+    });
+};
+
+// Field errors for a list of algorithms that must all exist (and solve `problemType`)
+const algorithmListErrors = (algorithms, problemType) => {
+    if (!Array.isArray(algorithms)) return [{ field: 'algorithms', message: 'algorithms must be an array' }];
+    return algorithms.flatMap((algorithm, index) => configurationErrors({ algorithm, problemType })
+        .map(({ message }) => ({ field: `algorithms[${index}]`, message })));
+};
+
+/**
+ * Field errors for a tuning search space (already shape-checked by
+ * hyperparameterSearch): every name must be a hyperparameter, listed values
+ * must be valid and range bounds must be valid numbers.
+ */
+const paramSpaceErrors = (algorithm, space) => {
+    const entry = getAlgorithm(algorithm);
+    if (!entry) return configurationErrors({ algorithm });
+
+    return Object.entries(space || {}).flatMap(([name, spec]) => {
+        const field = `param_grid.${name}`;
+        const unknown = unknownParameter(entry, name, algorithm);
+        if (unknown) return [{ field, message: `${name} ${unknown}` }];
+
+        const paramSpec = entry.hyperparameters[name];
+        const types = [].concat(paramSpec.type);
+        // Ranges sample floats unless marked integer
+        if (!Array.isArray(spec) && types.includes('integer') && !types.includes('number') && !spec?.integer) {
+            return [{ field, message: `${name} is an integer; its range needs integer: true` }];
+        }
+        const values = Array.isArray(spec) ? spec : [spec?.low, spec?.high];
+        const errors = values.map((value) => valueError(value, paramSpec)).filter(Boolean);
+        return errors.length ? [{ field, message: `${name} ${errors[0]}` }] : [];
+    });
+};
+
+const validationError = (errors) => {
+    const error = httpError(400, 'Validation failed');
+    error.errors = errors;
+    return error;
+};
+
+// Throw a 400 carrying field errors when the configuration is not trainable
+const assertValidConfiguration = (configuration) => {
+    const errors = configurationErrors(configuration);
+    if (errors.length) throw validationError(errors);
+};
+
+const assertValidAlgorithms = (algorithms, problemType) => {
+    const errors = algorithmListErrors(algorithms, problemType);
+    if (errors.length) throw validationError(errors);
+};
+
+const assertValidParamSpace = (algorithm, space) => {
+    const errors = paramSpaceErrors(algorithm, space);
+    if (errors.length) throw validationError(errors);
+};
+
+module.exports = {
+    ALGORITHM_NAMES,
+    getAlgorithm,
+    displayName,
+    listAlgorithms,
+    describeAlgorithm,
+    getDefaultHyperparameters,
+    resolveHyperparameters,
+    configurationErrors,
+    assertValidConfiguration,
+    assertValidAlgorithms,
+    assertValidParamSpace
+};
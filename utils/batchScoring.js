@@ -0,0 +1,212 @@
+/**
+ * Batch Scoring
+ * Streams an uploaded CSV through a trained model in chunks and writes the
+ * original rows back out with prediction and probability columns
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const csv = require('csv-parser');
+const TrainingJob = require('../models/TrainingJob');
+const { uploadDir } = require('./blobStore');
+const { forEachRow, iterateRows } = require('./datasetRows');
+const { formatHeader, formatRow } = require('./csvWriter');
+const { encodeRecords } = require('./predictionInput');
+const httpError = require('./httpError');
+
+const CHUNK_SIZE = Number(process.env.BATCH_SCORE_CHUNK_SIZE) || 500;
+const MAX_ROW_ERRORS = 1000;
+
+const PREDICTION_COLUMN = 'prediction';
+const ERROR_COLUMN = 'scoring_error';
+
+const scoresDir = path.join(uploadDir, 'scores');
+fs.mkdirSync(scoresDir, { recursive: true });
+
+// Scored output lives at a path derived from the job, so nothing else needs storing
+const outputPath = (jobId) => path.join(scoresDir, `${jobId}.csv`);
+
+// Delete a job's scored output, and the partial file of a run still writing it
+const removeOutput = (jobId) => Promise.all(
+    [outputPath(jobId), `${outputPath(jobId)}.tmp`].map((filePath) => fs.promises.unlink(filePath).catch(() => {}))
+);
+
+// Delete the scored output of every batch job run against an experiment
+const removeExperimentOutputs = async (experimentId) => {
+    const jobs = await TrainingJob.find({ experiment: experimentId, type: 'batch_score' }).select('_id');
+    await Promise.all(jobs.map((job) => removeOutput(job._id)));
+};
+
+// Output columns for a scored chunk's probabilities: one per class label, or
+// prob_0..prob_n when the model returns bare probability arrays without classes
+const probabilityColumns = ({ classes, probabilities }) => {
+    if (classes) return classes.map((label) => `probability_${label}`);
+    const width = Array.isArray(probabilities?.[0]) ? probabilities[0].length : 0;
+    return Array.from({ length: width }, (_, i) => `prob_${i}`);
+};
+
+const probabilityValues = (probabilities) => (Array.isArray(probabilities)
+    ? probabilities.map((p, i) => [`prob_${i}`, p])
+    : Object.entries(probabilities || {}).map(([label, p]) => [`probability_${label}`, p]));
+
+const readHeaders = (filePath) => new Promise((resolve, reject) => {
+    const input = fs.createReadStream(filePath);
+    const parser = csv();
+    input.on('error', reject);
+    input.pipe(parser)
+        .on('headers', (headers) => {
+            input.destroy();
+            parser.destroy();
+            resolve(headers);
+        })
+        .on('end', () => resolve([]))
+        .on('error', reject);
+});
+
+const countRows = async (filePath) => {
+    let count = 0;
+    await forEachRow({ filePath }, () => {
+        count += 1;
+    });
+    return count;
+};
+
+/**
+ * Check the file's header against the model's features before any scoring.
+ * Extra columns are allowed and carried through to the output unchanged.
+ */
+const checkColumns = async (filePath, features) => {
+    const headers = await readHeaders(filePath);
+    const missing = features.map((f) => f.name).filter((name) => !headers.includes(name));
+    if (missing.length) {
+        const error = httpError(400, `File is missing feature columns: ${missing.join(', ')}`);
+        error.details = { missingColumns: missing };
+        throw error;
+    }
+    return headers;
+};
+
+/**
+ * Score every row of a canonical CSV. Rows that fail validation are written
+ * with an error instead of a prediction and reported as { row, field, message }
+ * (row is 1-based, excluding the header). `predict(X)` resolves to the shape
+ * returned by requestPredictions. `preprocessing` is replayed on each row as in
+ * encodeRecords.
+ */
+const scoreFile = async ({ inputPath, destination, features, targetColumn, preprocessing, predict, onProgress }) => {
+    const headers = await checkColumns(inputPath, features);
+    const totalRows = await countRows(inputPath);
+    if (totalRows === 0) {
+        throw httpError(400, 'File has no rows to score');
+    }
+
+    const tempPath = `${destination}.tmp`;
+    const out = fs.createWriteStream(tempPath);
+    const write = async (line) => {
+        if (!out.write(`${line}\n`)) await once(out, 'drain');
+    };
+
+    // Probability columns depend on what the model reports, so the header waits
+    // for the first scored chunk; earlier rows (all invalid) are held back
+    let columns = null;
+    let pending = [];
+    const flush = async (rows, scoreColumns) => {
+        if (!columns) {
+            if (scoreColumns === undefined) {
+                pending.push(...rows);
+                return;
+            }
+            columns = [...new Set([...headers, PREDICTION_COLUMN, ...scoreColumns, ERROR_COLUMN])];
+            await write(formatHeader(columns));
+            rows = [...pending, ...rows];
+            pending = [];
+        }
+        for (const row of rows) await write(formatRow(columns, row));
+    };
+
+    const rowErrors = [];
+    let rowErrorsTruncated = false;
+    let errorCount = 0;
+    let scoredCount = 0;
+    let processed = 0;
+
+    const scoreChunk = async (rows) => {
+        // Only feature columns are validated; extra columns pass straight through
+        const records = rows.map((row) => Object.fromEntries(features.map((f) => [f.name, row[f.name]])));
+        const { X, errors } = encodeRecords(records, features, { targetColumn, preprocessing });
+
+        const invalid = new Map();
+        for (const error of errors) {
+            const messages = invalid.get(error.record) || [];
+            messages.push(error.message);
+            invalid.set(error.record, messages);
+            if (rowErrors.length < MAX_ROW_ERRORS) {
+                rowErrors.push({ row: processed + error.record + 1, field: error.field, message: error.message });
+            } else {
+                rowErrorsTruncated = true;
+            }
+        }
+        errorCount += invalid.size;
+
+        const validIndexes = rows.map((_, i) => i).filter((i) => !invalid.has(i));
+        let scores = { predictions: [] };
+        let scoreColumns;
+        if (validIndexes.length) {
+            scores = await predict(validIndexes.map((i) => X[i]));
+            scoreColumns = probabilityColumns(scores);
+        }
+
+        const output = rows.map((row) => ({ ...row }));
+        validIndexes.forEach((rowIndex, k) => {
+            output[rowIndex][PREDICTION_COLUMN] = scores.predictions[k];
+            for (const [column, p] of probabilityValues(scores.probabilities?.[k])) {
+                output[rowIndex][column] = p;
+            }
+        });
+        for (const [rowIndex, messages] of invalid) {
+            output[rowIndex][ERROR_COLUMN] = messages.join('; ');
+        }
+
+        await flush(output, scoreColumns);
+        scoredCount += validIndexes.length;
+        processed += rows.length;
+        await onProgress({ processed, totalRows, scoredCount, errorCount });
+    };
+
+    try {
+        let chunk = [];
+        for await (const row of iterateRows({ filePath: inputPath })) {
+            chunk.push(row);
+            if (chunk.length === CHUNK_SIZE) {
+                await scoreChunk(chunk);
+                chunk = [];
+            }
+        }
+        if (chunk.length) await scoreChunk(chunk);
+        await flush([], []);
+
+        out.end();
+        await once(out, 'finish');
+        await fs.promises.rename(tempPath, destination);
+    } catch (error) {
+        out.destroy();
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+
+    return {
+        totalRows,
+        scoredCount,
+        errorCount,
+        rowErrors,
+        rowErrorsTruncated
+    };
+};
+
+module.exports = {
+    outputPath,
+    removeOutput,
+    removeExperimentOutputs,
+    scoreFile
+};
@@ -0,0 +1,71 @@
+/**
+ * Blob Store
+ * Content-addressed file storage under uploads/, shared across dataset records
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const uploadDir = path.join(__dirname, '..', 'uploads');
+fs.mkdirSync(uploadDir, { recursive: true });
+
+// Write content as uploads/<sha256><ext>, reusing the file if it already exists
+const storeContent = async (content, ext = '.csv') => {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const filePath = path.join(uploadDir, `${contentHash}${ext}`);
+
+    if (!fs.existsSync(filePath)) {
+        await fs.promises.writeFile(filePath, buffer);
+    }
+
+    return { filePath, contentHash, size: buffer.length };
+};
+
+// Move a finished temp file into the store under its content hash.
+// Callers that hashed the file while writing it can pass the hash along.
+const storeFile = async (tempPath, ext = '.csv', knownHash = null) => {
+    let contentHash = knownHash;
+    if (!contentHash) {
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(tempPath)) {
+            hash.update(chunk);
+        }
+        contentHash = hash.digest('hex');
+    }
+
+    const { size } = await fs.promises.stat(tempPath);
+    const filePath = path.join(uploadDir, `${contentHash}${ext}`);
+
+    if (fs.existsSync(filePath)) {
+        await fs.promises.unlink(tempPath);
+    } else {
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    return { filePath, contentHash, size };
+};
+
+// Delete a stored file once no dataset or dataset version points at it
+const releaseBlob = async (filePath) => {
+    if (!filePath || !fs.existsSync(filePath)) return;
+
+    const Dataset = require('../models/Dataset');
+    const DatasetVersion = require('../models/DatasetVersion');
+    const [datasets, versions] = await Promise.all([
+        Dataset.countDocuments({ filePath }),
+        DatasetVersion.countDocuments({ filePath })
+    ]);
+
+    if (datasets === 0 && versions === 0) {
+        try { fs.unlinkSync(filePath); } catch (_) {}
+    }
+};
+
+module.exports = {
+    uploadDir,
+    storeContent,
+    storeFile,
+    releaseBlob
+};
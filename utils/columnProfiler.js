@@ -0,0 +1,262 @@
+/**
+ * Column Profiler
+ * Infers column types and summary statistics from parsed dataset rows
+ */
+
+const MISSING_TOKENS = new Set(['', 'na', 'n/a', 'nan', 'null', 'none']);
+const TRUE_TOKENS = new Set(['true', 'yes', 'y', 't']);
+const FALSE_TOKENS = new Set(['false', 'no', 'n', 'f']);
+const DATE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$|^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/;
+
+// Caps that keep profiling memory bounded on large files
+const MAX_TRACKED_VALUES = 10000;
+const SAMPLE_SIZE = 10000;
+const TOP_K = 10;
+const HISTOGRAM_BINS = 10;
+const MAX_CATEGORIES = 50;
+
+const isMissing = (value) => {
+    if (value === null || value === undefined) return true;
+    return MISSING_TOKENS.has(String(value).trim().toLowerCase());
+};
+
+const toNumber = (value) => {
+    const text = String(value).trim();
+    if (text === '') return NaN;
+    return Number(text);
+};
+
+const toTimestamp = (value) => {
+    const text = String(value).trim();
+    if (!DATE_PATTERN.test(text)) return NaN;
+    return Date.parse(text);
+};
+
+// Convert a raw cell into the JS value implied by the inferred column type
+const coerceValue = (value, type) => {
+    if (isMissing(value)) return null;
+
+    switch (type) {
+        case 'numeric':
+        case 'integer': {
+            const numeric = toNumber(value);
+            return Number.isFinite(numeric) ? numeric : null;
+        }
+        case 'boolean': {
+            const token = String(value).trim().toLowerCase();
+            if (TRUE_TOKENS.has(token)) return 1;
+            if (FALSE_TOKENS.has(token)) return 0;
+            return null;
+        }
+        case 'datetime': {
+            const timestamp = toTimestamp(value);
+            return Number.isNaN(timestamp) ? null : timestamp;
+        }
+        case 'categorical':
+        case 'text':
+            return String(value).trim();
+        default: {
+            // Legacy datasets profiled before type inference existed
+            const numeric = Number(value);
+            return Number.isNaN(numeric) ? value : numeric;
+        }
+    }
+};
+
+const quantile = (sorted, q) => {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Equal-width bins over the sample, scaled back up to the full column count
+const buildHistogram = (sorted, min, max, totalCount) => {
+    if (sorted.length === 0) return [];
+    if (min === max) return [{ lower: min, upper: max, count: totalCount }];
+
+    const width = (max - min) / HISTOGRAM_BINS;
+    const counts = new Array(HISTOGRAM_BINS).fill(0);
+    for (const value of sorted) {
+        const index = Math.min(HISTOGRAM_BINS - 1, Math.floor((value - min) / width));
+        counts[index] += 1;
+    }
+
+    const scale = totalCount / sorted.length;
+    return counts.map((count, i) => ({
+        lower: min + i * width,
+        upper: i === HISTOGRAM_BINS - 1 ? max : min + (i + 1) * width,
+        count: Math.round(count * scale)
+    }));
+};
+
+const createColumnState = (name) => ({
+    name: String(name || '').trim(),
+    key: name,
+    seen: 0,
+    missing: 0,
+    allNumeric: true,
+    allInteger: true,
+    allBoolean: true,
+    allDatetime: true,
+    counts: new Map(),
+    countsOverflowed: false,
+    sample: [],
+    totalLength: 0,
+    // Welford accumulators for numeric columns
+    numericCount: 0,
+    mean: 0,
+    m2: 0,
+    min: Infinity,
+    max: -Infinity,
+    earliest: Infinity,
+    latest: -Infinity
+});
+
+const observe = (state, raw) => {
+    if (isMissing(raw)) {
+        state.missing += 1;
+        return;
+    }
+
+    const text = String(raw).trim();
+    state.seen += 1;
+    state.totalLength += text.length;
+
+    if (state.counts.has(text)) {
+        state.counts.set(text, state.counts.get(text) + 1);
+    } else if (state.counts.size < MAX_TRACKED_VALUES) {
+        state.counts.set(text, 1);
+    } else {
+        state.countsOverflowed = true;
+    }
+
+    // Reservoir sample of raw values for quantiles and histograms
+    if (state.sample.length < SAMPLE_SIZE) {
+        state.sample.push(text);
+    } else {
+        const slot = Math.floor(Math.random() * state.seen);
+        if (slot < SAMPLE_SIZE) state.sample[slot] = text;
+    }
+
+    const token = text.toLowerCase();
+    if (state.allBoolean && !TRUE_TOKENS.has(token) && !FALSE_TOKENS.has(token)) {
+        state.allBoolean = false;
+    }
+
+    if (state.allNumeric) {
+        const numeric = toNumber(text);
+        if (Number.isFinite(numeric)) {
+            if (!Number.isInteger(numeric)) state.allInteger = false;
+            state.numericCount += 1;
+            const delta = numeric - state.mean;
+            state.mean += delta / state.numericCount;
+            state.m2 += delta * (numeric - state.mean);
+            if (numeric < state.min) state.min = numeric;
+            if (numeric > state.max) state.max = numeric;
+        } else {
+            state.allNumeric = false;
+            state.allInteger = false;
+        }
+    }
+
+    if (state.allDatetime) {
+        const timestamp = toTimestamp(text);
+        if (Number.isNaN(timestamp)) {
+            state.allDatetime = false;
+        } else {
+            if (timestamp < state.earliest) state.earliest = timestamp;
+            if (timestamp > state.latest) state.latest = timestamp;
+        }
+    }
+};
+
+const inferType = (state) => {
+    if (state.seen === 0) return 'text';
+    if (state.allBoolean) return 'boolean';
+    if (state.allNumeric) return state.allInteger ? 'integer' : 'numeric';
+    if (state.allDatetime) return 'datetime';
+
+    const distinct = state.counts.size;
+    const categoryLimit = Math.min(MAX_CATEGORIES, Math.max(2, Math.floor(state.seen / 2)));
+    return !state.countsOverflowed && distinct <= categoryLimit ? 'categorical' : 'text';
+};
+
+const topValues = (state) => Array.from(state.counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_K)
+    .map(([value, count]) => ({
+        value,
+        count,
+        frequency: count / state.seen
+    }));
+
+const summarize = (state) => {
+    const type = inferType(state);
+    const info = {
+        name: state.name,
+        type,
+        uniqueValues: state.counts.size,
+        missingValues: state.missing
+    };
+
+    if (type === 'numeric' || type === 'integer') {
+        const sorted = state.sample.map(toNumber).sort((a, b) => a - b);
+        info.stats = {
+            min: state.min,
+            max: state.max,
+            mean: state.mean,
+            std: state.numericCount > 1 ? Math.sqrt(state.m2 / (state.numericCount - 1)) : 0,
+            quantiles: {
+                p25: quantile(sorted, 0.25),
+                p50: quantile(sorted, 0.5),
+                p75: quantile(sorted, 0.75)
+            }
+        };
+        info.histogram = buildHistogram(sorted, state.min, state.max, state.seen);
+    } else if (type === 'datetime') {
+        const sorted = state.sample.map(toTimestamp).sort((a, b) => a - b);
+        info.stats = {
+            earliest: new Date(state.earliest),
+            latest: new Date(state.latest)
+        };
+        info.histogram = buildHistogram(sorted, state.earliest, state.latest, state.seen);
+    } else if (type === 'categorical' || type === 'boolean') {
+        info.topValues = topValues(state);
+    } else {
+        info.stats = { averageLength: state.seen ? state.totalLength / state.seen : 0 };
+        info.topValues = topValues(state).slice(0, 5);
+    }
+
+    return info;
+};
+
+// Incremental profiler so rows can be fed straight from a parse stream
+const createProfiler = (columns) => {
+    const states = columns.map(createColumnState);
+
+    return {
+        push(row) {
+            for (const state of states) {
+                observe(state, row[state.key]);
+            }
+        },
+        finalize() {
+            return states.map(summarize);
+        }
+    };
+};
+
+const profileColumns = (columns, rows) => {
+    const profiler = createProfiler(columns);
+    rows.forEach((row) => profiler.push(row));
+    return profiler.finalize();
+};
+
+module.exports = {
+    createProfiler,
+    profileColumns,
+    coerceValue,
+    isMissing
+};
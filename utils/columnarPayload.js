@@ -0,0 +1,92 @@
+/**
+ * Columnar Payload
+ * Compact encoding for the feature matrices and targets sent to ML services
+ * that advertise the `columnar` capability. Each column is either a typed
+ * numeric array (little-endian, base64) or a dictionary-encoded categorical:
+ *
+ *   matrix: { encoding: 'columnar', length, columns: [column, ...] }
+ *   vector: { encoding: 'columnar', length, ...column }
+ *   column: { dtype: 'int32', data }                  integers, none missing
+ *           { dtype: 'float64', data }                numbers, NaN for missing
+ *           { dtype: 'category', categories, codes }  int32 codes, -1 for missing
+ */
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+
+// Body fields holding row-major feature matrices and target vectors
+const MATRIX_FIELDS = ['X', 'X_train', 'X_test'];
+const VECTOR_FIELDS = ['y', 'y_train', 'y_test'];
+
+const isInt32 = (value) => Number.isInteger(value) && value >= INT32_MIN && value <= INT32_MAX;
+
+const packInt32 = (values) => {
+    const buffer = Buffer.allocUnsafe(values.length * 4);
+    values.forEach((value, i) => buffer.writeInt32LE(value, i * 4));
+    return buffer.toString('base64');
+};
+
+const packFloat64 = (values) => {
+    const buffer = Buffer.allocUnsafe(values.length * 8);
+    values.forEach((value, i) => buffer.writeDoubleLE(value === null ? NaN : value, i * 8));
+    return buffer.toString('base64');
+};
+
+const isMissing = (value) => value === null || value === undefined;
+
+const encodeColumn = (values) => {
+    if (values.every((value) => isMissing(value) || typeof value === 'number')) {
+        return values.every(isInt32)
+            ? { dtype: 'int32', data: packInt32(values) }
+            : { dtype: 'float64', data: packFloat64(values.map((value) => (isMissing(value) ? null : value))) };
+    }
+
+    // Categories keep their JSON type, so 1 and '1' stay distinct
+    const codesByValue = new Map();
+    const codes = values.map((value) => {
+        if (isMissing(value)) return -1;
+        if (!codesByValue.has(value)) codesByValue.set(value, codesByValue.size);
+        return codesByValue.get(value);
+    });
+    return { dtype: 'category', categories: [...codesByValue.keys()], codes: packInt32(codes) };
+};
+
+const encodeMatrix = (rows) => {
+    const width = rows.length ? rows[0].length : 0;
+    return {
+        encoding: 'columnar',
+        length: rows.length,
+        columns: Array.from({ length: width }, (_, j) => encodeColumn(rows.map((row) => row[j])))
+    };
+};
+
+const encodeVector = (values) => ({ encoding: 'columnar', length: values.length, ...encodeColumn(values) });
+
+/**
+ * Copy of a request body with its matrix and vector fields columnar-encoded,
+ * marked with `payload_format: 'columnar'`. Bodies without any are returned as is.
+ */
+const encodeBody = (body) => {
+    if (!body || typeof body !== 'object') return body;
+    const encoded = { ...body };
+    let changed = false;
+    for (const field of MATRIX_FIELDS) {
+        if (Array.isArray(body[field]) && body[field].every(Array.isArray)) {
+            encoded[field] = encodeMatrix(body[field]);
+            changed = true;
+        }
+    }
+    for (const field of VECTOR_FIELDS) {
+        if (Array.isArray(body[field])) {
+            encoded[field] = encodeVector(body[field]);
+            changed = true;
+        }
+    }
+    return changed ? { ...encoded, payload_format: 'columnar' } : body;
+};
+
+module.exports = {
+    encodeMatrix,
+    encodeVector,
+    encodeBody
+};
@@ -0,0 +1,169 @@
+/**
+ * Cross-Validation
+ * Seeded k-fold, stratified k-fold and repeated k-fold orchestration. Each fold
+ * is trained by the caller (usually one ML service call) and summarized here.
+ */
+
+const httpError = require('./httpError');
+const { seededRandom, shuffle } = require('./datasetSplits');
+const { toScore } = require('./metrics');
+const { mean, std } = require('./statistics');
+
+const CV_STRATEGIES = ['kfold', 'stratified_kfold', 'repeated_kfold'];
+const DEFAULT_FOLDS = 5;
+const DEFAULT_REPEATS = 3;
+const MAX_FOLDS = 20;
+const MAX_REPEATS = 10;
+
+/**
+ * Validate cross-validation options from a request body.
+ * Returns null when cross-validation was not requested.
+ */
+const normalizeCvOptions = (raw, problemType) => {
+    if (!raw) return null;
+
+    if (problemType !== 'classification' && problemType !== 'regression') {
+        throw httpError(400, 'Cross-validation is only available for classification and regression');
+    }
+
+    const strategy = raw.strategy || (problemType === 'classification' ? 'stratified_kfold' : 'kfold');
+    if (!CV_STRATEGIES.includes(strategy)) {
+        throw httpError(400, `Unknown cross-validation strategy '${strategy}'. Use one of ${CV_STRATEGIES.join(', ')}`);
+    }
+    if (strategy === 'stratified_kfold' && problemType !== 'classification') {
+        throw httpError(400, 'Stratified k-fold needs a classification target');
+    }
+
+    const folds = raw.folds === undefined ? DEFAULT_FOLDS : Number(raw.folds);
+    if (!Number.isInteger(folds) || folds < 2 || folds > MAX_FOLDS) {
+        throw httpError(400, `folds must be an integer between 2 and ${MAX_FOLDS}`);
+    }
+
+    const defaultRepeats = strategy === 'repeated_kfold' ? DEFAULT_REPEATS : 1;
+    const repeats = raw.repeats === undefined ? defaultRepeats : Number(raw.repeats);
+    if (!Number.isInteger(repeats) || repeats < 1 || repeats > MAX_REPEATS) {
+        throw httpError(400, `repeats must be an integer between 1 and ${MAX_REPEATS}`);
+    }
+
+    const seed = raw.seed === undefined ? 42 : Number(raw.seed);
+    if (!Number.isInteger(seed)) {
+        throw httpError(400, 'seed must be an integer');
+    }
+
+    // Repeated k-fold stratifies classification targets, like sklearn's RepeatedStratifiedKFold
+    const stratified = strategy === 'stratified_kfold' || (strategy === 'repeated_kfold' && problemType === 'classification');
+    return { strategy, folds, repeats, seed, stratified };
+};
+
+/**
+ * Assign held-out positions for every fold of every repeat.
+ * Returns [{ repeat, fold, testIndices }] over positions 0..labels.length-1.
+ */
+const computeFolds = (labels, { folds, repeats, seed, stratified }) => {
+    const n = labels.length;
+    if (n < folds) {
+        throw httpError(400, `Cross-validation with ${folds} folds needs at least ${folds} rows, got ${n}`);
+    }
+
+    const result = [];
+    for (let repeat = 0; repeat < repeats; repeat += 1) {
+        const random = seededRandom(seed + repeat);
+        const assigned = Array.from({ length: folds }, () => []);
+
+        if (stratified) {
+            // Deal each class round-robin so every fold keeps the class balance
+            const classes = new Map();
+            labels.forEach((label, i) => {
+                const key = String(label);
+                if (!classes.has(key)) classes.set(key, []);
+                classes.get(key).push(i);
+            });
+            let next = 0;
+            for (const indices of classes.values()) {
+                for (const i of shuffle(indices, random)) {
+                    assigned[next % folds].push(i);
+                    next += 1;
+                }
+            }
+        } else {
+            shuffle(labels.map((_, i) => i), random).forEach((i, k) => assigned[k % folds].push(i));
+        }
+
+        assigned.forEach((indices, fold) => {
+            result.push({ repeat, fold, testIndices: indices.sort((a, b) => a - b) });
+        });
+    }
+    return result;
+};
+
+// Mean and sample standard deviation of every metric reported by all folds
+const summarizeFolds = (foldMetrics) => {
+    const summary = { mean: {}, std: {} };
+    if (foldMetrics.length === 0) return summary;
+
+    for (const metric of Object.keys(foldMetrics[0].metrics || {})) {
+        const values = foldMetrics.map((f) => toScore(f.metrics?.[metric]));
+        if (values.some((v) => v === null)) continue;
+        summary.mean[metric] = mean(values);
+        summary.std[metric] = std(values);
+    }
+    return summary;
+};
+
+/**
+ * Run cross-validation over in-memory arrays.
+ * `fitFold({ X_train, y_train, X_test, y_test, trainIndices, testIndices, repeat, fold })`
+ * trains one fold (indices are positions in X) and resolves to its held-out
+ * metrics. `onFold(done, total)` reports progress.
+ */
+const crossValidate = async ({ X, y, options, fitFold, onFold }) => {
+    const folds = computeFolds(y, options);
+    const foldMetrics = [];
+
+    for (const [index, { repeat, fold, testIndices }] of folds.entries()) {
+        const held = new Set(testIndices);
+        const split = { X_train: [], y_train: [], X_test: [], y_test: [], trainIndices: [], testIndices };
+        X.forEach((row, i) => {
+            if (held.has(i)) {
+                split.X_test.push(row);
+                split.y_test.push(y[i]);
+            } else {
+                split.X_train.push(row);
+                split.y_train.push(y[i]);
+                split.trainIndices.push(i);
+            }
+        });
+
+        const metrics = await fitFold({ ...split, repeat, fold });
+        foldMetrics.push({
+            repeat,
+            fold,
+            trainCount: split.X_train.length,
+            testCount: split.X_test.length,
+            metrics
+        });
+        if (onFold) await onFold(index + 1, folds.length);
+    }
+
+    return cvSummary(options, foldMetrics);
+};
+
+// Stored shape of cross-validation results (Experiment.cvResults)
+const cvSummary = (options, foldMetrics) => ({
+    strategy: options.strategy,
+    folds: options.folds,
+    repeats: options.repeats,
+    seed: options.seed,
+    stratified: options.stratified,
+    foldMetrics,
+    ...summarizeFolds(foldMetrics)
+});
+
+module.exports = {
+    CV_STRATEGIES,
+    normalizeCvOptions,
+    computeFolds,
+    summarizeFolds,
+    crossValidate,
+    cvSummary
+};
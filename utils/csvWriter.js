@@ -0,0 +1,33 @@
+/**
+ * CSV Writer
+ * Serializes row objects back into delimited text
+ */
+
+const formatField = (value, delimiter) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+const formatRow = (columns, row, delimiter = ',') =>
+    columns.map((col) => formatField(row[col], delimiter)).join(delimiter);
+
+const formatHeader = (columns, delimiter = ',') =>
+    columns.map((col) => formatField(col, delimiter)).join(delimiter);
+
+const toCsv = (columns, rows, delimiter = ',') => {
+    const lines = [formatHeader(columns, delimiter)];
+    for (const row of rows) {
+        lines.push(formatRow(columns, row, delimiter));
+    }
+    return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+    formatHeader,
+    formatRow,
+    toCsv
+};
@@ -0,0 +1,310 @@
+/**
+ * Data Quality
+ * Pre-training checks over a dataset version's profile and rows: duplicates,
+ * constant and ID-like columns, high cardinality, outliers, class imbalance
+ * and likely target leakage
+ */
+
+const crypto = require('crypto');
+const { coerceValue, isMissing } = require('./columnProfiler');
+const httpError = require('./httpError');
+
+const NUMERIC_TYPES = ['numeric', 'integer'];
+const DISCRETE_TYPES = ['categorical', 'boolean'];
+const ID_NAME_PATTERN = /(^|[\s_-])(id|uuid|guid|key)$/i;
+
+const THRESHOLDS = {
+    nearConstant: 0.95,
+    idUniqueRatio: 0.95,
+    highCardinality: 50,
+    outlierIqr: 1.5,
+    outlierWarning: 0.05,
+    outlierInfo: 0.01,
+    severeImbalance: 0.1,
+    moderateImbalance: 0.33,
+    leakageCorrelation: 0.95,
+    leakageEta: 0.9,
+    leakagePurity: 0.99
+};
+
+// Critical findings block training unless the caller explicitly overrides them
+const finding = (check, severity, message, suggestion, extra = {}) => ({
+    check,
+    severity,
+    blocking: severity === 'critical',
+    message,
+    suggestion,
+    ...extra
+});
+
+const isIdLike = (col, rowCount) => {
+    const present = rowCount - col.missingValues;
+    if (present === 0 || col.uniqueValues < 2) return false;
+    const ratio = col.uniqueValues / present;
+    if (ID_NAME_PATTERN.test(col.name) && ratio >= 0.9) return true;
+    if (col.type === 'text') return ratio >= THRESHOLDS.idUniqueRatio;
+    // Integers only count when they are (nearly) a dense running sequence
+    if (col.type === 'integer' && col.stats) {
+        return ratio >= 0.99 && col.stats.max - col.stats.min + 1 <= present * 1.1;
+    }
+    return false;
+};
+
+const columnFindings = (columns, rowCount, targetColumn) => {
+    const findings = [];
+
+    for (const col of columns) {
+        const isTarget = col.name === targetColumn;
+        const top = col.topValues && col.topValues[0];
+
+        if (col.uniqueValues <= 1) {
+            findings.push(isTarget
+                ? finding('constant_target', 'critical', `Target '${col.name}' has a single value`,
+                    'Pick a different target column or collect examples of the other outcomes', { column: col.name })
+                : finding('constant_column', 'warning', `Column '${col.name}' is constant`,
+                    'Drop the column; it carries no information', { column: col.name }));
+            continue;
+        }
+
+        if (!isTarget && top && top.frequency >= THRESHOLDS.nearConstant) {
+            findings.push(finding('near_constant_column', 'warning',
+                `Column '${col.name}' is ${(top.frequency * 100).toFixed(1)}% '${top.value}'`,
+                'Drop the column or combine it with related features', { column: col.name, frequency: top.frequency }));
+        }
+
+        if (!isTarget && isIdLike(col, rowCount)) {
+            findings.push(finding('id_like_column', 'warning',
+                `Column '${col.name}' looks like an identifier (${col.uniqueValues} unique values)`,
+                'Exclude identifiers from the features; they let models memorize rows', { column: col.name }));
+            continue;
+        }
+
+        const averageLength = col.stats && col.stats.averageLength;
+        if (!isTarget && col.type === 'text' && col.uniqueValues > THRESHOLDS.highCardinality && averageLength <= 40) {
+            findings.push(finding('high_cardinality', 'warning',
+                `Column '${col.name}' has ${col.uniqueValues} distinct values`,
+                'Use frequency or target encoding, hashing, or group rare values before one-hot encoding',
+                { column: col.name, uniqueValues: col.uniqueValues }));
+        }
+
+        if (isTarget && col.missingValues > 0) {
+            findings.push(finding('missing_target', 'warning',
+                `Target '${col.name}' is missing in ${col.missingValues} row(s)`,
+                'Drop rows without a target before training', { column: col.name, missingValues: col.missingValues }));
+        }
+    }
+
+    return findings;
+};
+
+const createPairStats = () => ({ n: 0, sx: 0, sy: 0, sxx: 0, syy: 0, sxy: 0 });
+
+const pearson = (s) => {
+    const cov = s.sxy - (s.sx * s.sy) / s.n;
+    const vx = s.sxx - (s.sx * s.sx) / s.n;
+    const vy = s.syy - (s.sy * s.sy) / s.n;
+    return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : 0;
+};
+
+// Correlation ratio: share of a numeric variable's variance explained by a grouping
+const etaSquared = (groups) => {
+    let n = 0;
+    let sum = 0;
+    let sumSq = 0;
+    for (const g of groups.values()) {
+        n += g.n;
+        sum += g.sum;
+        sumSq += g.sumSq;
+    }
+    const total = sumSq - (sum * sum) / n;
+    if (!(total > 0)) return 0;
+    let between = 0;
+    for (const g of groups.values()) {
+        between += g.n * ((g.sum / g.n) - (sum / n)) ** 2;
+    }
+    return between / total;
+};
+
+// Fraction of rows whose target is the majority class for their feature value
+const purity = (table, n) => {
+    let correct = 0;
+    for (const counts of table.values()) {
+        correct += Math.max(...counts.values());
+    }
+    return correct / n;
+};
+
+const addToGroup = (groups, key, value) => {
+    if (!groups.has(key)) groups.set(key, { n: 0, sum: 0, sumSq: 0 });
+    const g = groups.get(key);
+    g.n += 1;
+    g.sum += value;
+    g.sumSq += value * value;
+};
+
+/**
+ * Build the quality report for one dataset version.
+ * `columns` is the version's column profile; `rows` are its stored rows.
+ */
+const buildQualityReport = ({ columns, rows, targetColumn, problemType }) => {
+    const rowCount = rows.length;
+    const names = columns.map((c) => c.name);
+    const types = Object.fromEntries(columns.map((c) => [c.name, c.type]));
+    const findings = columnFindings(columns, rowCount, targetColumn);
+    const idLike = new Set(findings.filter((f) => f.check === 'id_like_column').map((f) => f.column));
+
+    const target = columns.find((c) => c.name === targetColumn);
+    const supervised = Boolean(target) && problemType !== 'clustering' && problemType !== 'dimensionality_reduction';
+    const classification = supervised && problemType === 'classification';
+    const numericTarget = supervised && !classification && NUMERIC_TYPES.includes(target.type);
+
+    // Outlier fences from the profiled quartiles
+    const fences = {};
+    for (const col of columns) {
+        const q = col.stats && col.stats.quantiles;
+        if (NUMERIC_TYPES.includes(col.type) && q && q.p25 !== null && q.p25 !== undefined) {
+            const iqr = q.p75 - q.p25;
+            if (iqr > 0) {
+                fences[col.name] = { lower: q.p25 - THRESHOLDS.outlierIqr * iqr, upper: q.p75 + THRESHOLDS.outlierIqr * iqr, count: 0 };
+            }
+        }
+    }
+
+    const features = supervised ? names.filter((n) => n !== targetColumn && !idLike.has(n)) : [];
+    const pairStats = {};
+    const groupStats = {};
+    const contingency = {};
+    for (const name of features) {
+        if (NUMERIC_TYPES.includes(types[name])) {
+            if (numericTarget) pairStats[name] = createPairStats();
+            else groupStats[name] = new Map();
+        } else if (DISCRETE_TYPES.includes(types[name])) {
+            if (numericTarget) groupStats[name] = new Map();
+            else contingency[name] = new Map();
+        }
+    }
+
+    const seen = new Set();
+    const classCounts = new Map();
+    let duplicates = 0;
+    let labelled = 0;
+
+    for (const row of rows) {
+        const key = crypto.createHash('md5').update(JSON.stringify(names.map((n) => row[n]))).digest('base64');
+        if (seen.has(key)) duplicates += 1;
+        else seen.add(key);
+
+        for (const [name, fence] of Object.entries(fences)) {
+            const value = coerceValue(row[name], types[name]);
+            if (value !== null && (value < fence.lower || value > fence.upper)) fence.count += 1;
+        }
+
+        if (!supervised || isMissing(row[targetColumn])) continue;
+        labelled += 1;
+
+        const label = numericTarget
+            ? coerceValue(row[targetColumn], target.type)
+            : String(row[targetColumn]).trim();
+        if (classification) classCounts.set(label, (classCounts.get(label) || 0) + 1);
+
+        for (const name of features) {
+            if (isMissing(row[name])) continue;
+            if (pairStats[name]) {
+                const x = coerceValue(row[name], types[name]);
+                const s = pairStats[name];
+                s.n += 1; s.sx += x; s.sy += label; s.sxx += x * x; s.syy += label * label; s.sxy += x * label;
+            } else if (groupStats[name]) {
+                // Numeric values grouped by a discrete key
+                if (numericTarget) addToGroup(groupStats[name], String(row[name]).trim(), label);
+                else addToGroup(groupStats[name], label, coerceValue(row[name], types[name]));
+            } else if (contingency[name]) {
+                const value = String(row[name]).trim();
+                if (!contingency[name].has(value)) contingency[name].set(value, new Map());
+                const counts = contingency[name].get(value);
+                counts.set(label, (counts.get(label) || 0) + 1);
+            }
+        }
+    }
+
+    if (duplicates > 0) {
+        findings.push(finding('duplicate_rows', duplicates / rowCount > 0.05 ? 'warning' : 'info',
+            `${duplicates} duplicate row(s) (${((duplicates / rowCount) * 100).toFixed(1)}%)`,
+            'Deduplicate before splitting so copies cannot land on both sides of the holdout',
+            { count: duplicates }));
+    }
+
+    for (const [name, fence] of Object.entries(fences)) {
+        const share = fence.count / rowCount;
+        if (share >= THRESHOLDS.outlierInfo) {
+            findings.push(finding('numeric_outliers', share >= THRESHOLDS.outlierWarning ? 'warning' : 'info',
+                `${fence.count} value(s) in '${name}' fall outside ${THRESHOLDS.outlierIqr}×IQR`,
+                'Check for entry errors; clip, winsorize or use a robust scaler',
+                { column: name, count: fence.count, lower: fence.lower, upper: fence.upper }));
+        }
+    }
+
+    if (classification && classCounts.size > 1) {
+        const counts = [...classCounts.values()];
+        const ratio = Math.min(...counts) / Math.max(...counts);
+        if (ratio < THRESHOLDS.moderateImbalance) {
+            const distribution = Object.fromEntries(classCounts);
+            findings.push(finding('class_imbalance', ratio < THRESHOLDS.severeImbalance ? 'warning' : 'info',
+                `Target '${targetColumn}' is imbalanced (minority/majority ratio ${ratio.toFixed(3)})`,
+                'Use a stratified split, class weights or resampling, and judge models by F1 or AUC rather than accuracy',
+                { column: targetColumn, ratio, distribution }));
+        }
+    }
+
+    const leak = (name, measure, value) => finding('target_leakage', 'critical',
+        `Column '${name}' is almost perfectly predictive of '${targetColumn}' (${measure} ${value.toFixed(3)})`,
+        'Confirm the column is known before the outcome; drop it if it is derived from the target',
+        { column: name, measure, value });
+
+    if (labelled > 1) {
+        for (const [name, s] of Object.entries(pairStats)) {
+            const r = s.n > 1 ? pearson(s) : 0;
+            if (Math.abs(r) >= THRESHOLDS.leakageCorrelation) findings.push(leak(name, 'pearson_r', r));
+        }
+        for (const [name, groups] of Object.entries(groupStats)) {
+            // A grouping with one member per row trivially explains everything
+            if (groups.size < 2 || groups.size > labelled / 2) continue;
+            const eta = etaSquared(groups);
+            if (eta >= THRESHOLDS.leakageEta) findings.push(leak(name, 'eta_squared', eta));
+        }
+        for (const [name, table] of Object.entries(contingency)) {
+            if (table.size < 2 || table.size > labelled / 2 || classCounts.size < 2) continue;
+            const score = purity(table, labelled);
+            if (score >= THRESHOLDS.leakagePurity) findings.push(leak(name, 'purity', score));
+        }
+    }
+
+    const summary = { critical: 0, warning: 0, info: 0 };
+    findings.forEach((f) => { summary[f.severity] += 1; });
+
+    return {
+        rowCount,
+        targetColumn: targetColumn || null,
+        problemType,
+        blocking: summary.critical > 0,
+        summary,
+        findings
+    };
+};
+
+const blockingFindings = (report) => report.findings.filter((f) => f.blocking);
+
+// Training jobs fail with the blocking findings as error details unless the caller overrode them
+const assertTrainable = (report, ignoreQualityWarnings = false) => {
+    const qualityIssues = blockingFindings(report);
+    if (qualityIssues.length && !ignoreQualityWarnings) {
+        const error = httpError(422, 'Dataset has blocking data quality issues');
+        error.details = { qualityIssues };
+        throw error;
+    }
+};
+
+module.exports = {
+    buildQualityReport,
+    blockingFindings,
+    assertTrainable
+};
@@ -0,0 +1,116 @@
+/**
+ * Dataset Ingest
+ * Turns a stored upload into a profiled Dataset; shared by direct and chunked uploads
+ */
+
+const fs = require('fs');
+const csv = require('csv-parser');
+const Dataset = require('../models/Dataset');
+const { createProfiler } = require('./columnProfiler');
+const { releaseBlob } = require('./blobStore');
+const { ensureRootVersion } = require('./datasetVersions');
+const { normalizeToCsv } = require('./fileFormats');
+const httpError = require('./httpError');
+
+// Stream a canonical CSV once, profiling columns without keeping rows in memory
+const profileFile = (filePath) => new Promise((resolve, reject) => {
+    const columns = [];
+    let rowCount = 0;
+    let profiler;
+
+    fs.createReadStream(filePath)
+        .on('error', reject)
+        .pipe(csv())
+        .on('headers', (headers) => {
+            columns.push(...headers);
+            profiler = createProfiler(headers);
+        })
+        .on('data', (row) => {
+            rowCount += 1;
+            profiler.push(row);
+        })
+        .on('end', () => resolve({
+            columns,
+            rowCount,
+            columnInfo: profiler ? profiler.finalize() : []
+        }))
+        .on('error', reject);
+});
+
+/**
+ * Create a dataset from a stored upload.
+ * `file` carries path, originalname, size and contentHash; `fields` are the
+ * upload form fields (name, description, targetColumn, problemType, format
+ * overrides and allowDuplicate). Resolves to { dataset, duplicate }.
+ */
+const ingestDataset = async ({ user, file, fields = {} }) => {
+    const { name, description, targetColumn, problemType, allowDuplicate } = fields;
+
+    // Blobs no dataset ended up referencing are released if anything below fails
+    let normalized;
+    try {
+        // Identical file already uploaded by this user: hand back that dataset
+        if (file.contentHash && String(allowDuplicate) !== 'true') {
+            const existing = await Dataset.findOne({
+                user: user._id,
+                contentHash: file.contentHash
+            }).select('-data');
+
+            if (existing) {
+                await releaseBlob(file.path);
+                return { dataset: existing, duplicate: true };
+            }
+        }
+
+        // Convert TSV, JSON Lines, gzip and non-UTF-8 uploads into canonical CSV
+        normalized = await normalizeToCsv(file.path, file.originalname, {
+            format: fields.format,
+            delimiter: fields.delimiter,
+            quote: fields.quote,
+            encoding: fields.encoding
+        });
+
+        // Rows stay on disk and are only profiled here
+        const { columns, rowCount, columnInfo } = await profileFile(normalized.filePath);
+        if (rowCount === 0) {
+            throw httpError(400, 'CSV file is empty');
+        }
+
+        // Create dataset with explicit field typing and stored file path
+        const dataset = new Dataset({
+            name: String(name || file.originalname),
+            description: String(description || ''),
+            user: user._id,
+            fileName: String(file.originalname),
+            fileSize: Number(file.size),
+            filePath: String(normalized.filePath),
+            contentHash: file.contentHash,
+            sourceFormat: normalized.format,
+            columns: columnInfo,
+            numberOfRows: Number(rowCount),
+            numberOfColumns: Number(columns.length),
+            targetColumn: String(targetColumn || ''),
+            problemType: String(problemType || ''),
+            status: 'ready'
+        });
+
+        await dataset.save();
+        await ensureRootVersion(dataset);
+
+        // The raw upload is only kept when it was already canonical CSV
+        if (normalized.converted) {
+            await releaseBlob(file.path);
+        }
+
+        return { dataset, duplicate: false };
+    } catch (error) {
+        await releaseBlob(file.path).catch(() => {});
+        if (normalized?.converted) await releaseBlob(normalized.filePath).catch(() => {});
+        throw error;
+    }
+};
+
+module.exports = {
+    profileFile,
+    ingestDataset
+};
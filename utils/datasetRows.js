@@ -0,0 +1,140 @@
+/**
+ * Dataset Rows
+ * Streams stored dataset rows from disk with pagination, projection and filters
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream');
+const csv = require('csv-parser');
+const httpError = require('./httpError');
+
+const FILTER_OPERATORS = {
+    eq: (cell, value) => String(cell) === value,
+    ne: (cell, value) => String(cell) !== value,
+    gt: (cell, value) => Number(cell) > Number(value),
+    gte: (cell, value) => Number(cell) >= Number(value),
+    lt: (cell, value) => Number(cell) < Number(value),
+    lte: (cell, value) => Number(cell) <= Number(value),
+    contains: (cell, value) => String(cell ?? '').toLowerCase().includes(value.toLowerCase()),
+    in: (cell, value) => value.split('|').includes(String(cell))
+};
+
+// Parse "column:operator:value" filter strings, e.g. "AGE:gt:50"
+const parseFilters = (raw) => {
+    if (!raw) return [];
+    const list = Array.isArray(raw) ? raw : [raw];
+
+    return list.map((expr) => {
+        const [column, operator, ...rest] = String(expr).split(':');
+        if (!column || !FILTER_OPERATORS[operator] || rest.length === 0) {
+            throw httpError(400, `Invalid filter '${expr}'. Use column:operator:value with one of ${Object.keys(FILTER_OPERATORS).join(', ')}`);
+        }
+        return { column, operator, value: rest.join(':') };
+    });
+};
+
+const matchesFilters = (row, filters) =>
+    filters.every(({ column, operator, value }) => FILTER_OPERATORS[operator](row[column], value));
+
+const project = (row, columns) => {
+    if (!columns) return row;
+    const projected = {};
+    for (const col of columns) projected[col] = row[col];
+    return projected;
+};
+
+// Emit every stored row to onRow; return false from onRow to stop reading early
+const streamRows = (filePath, onRow) => new Promise((resolve, reject) => {
+    const input = fs.createReadStream(filePath);
+    const parser = csv();
+    let stopped = false;
+
+    const stop = () => {
+        stopped = true;
+        input.destroy();
+        parser.destroy();
+        resolve();
+    };
+
+    input.on('error', reject);
+    input.pipe(parser)
+        .on('data', (row) => {
+            if (stopped) return;
+            if (onRow(row) === false) stop();
+        })
+        .on('end', () => {
+            if (!stopped) resolve();
+        })
+        .on('error', (error) => {
+            if (!stopped) reject(error);
+        });
+});
+
+// Iterate rows from a file, falling back to rows embedded in legacy documents
+const forEachRow = async (source, onRow) => {
+    if (source.filePath && fs.existsSync(source.filePath)) {
+        return streamRows(source.filePath, onRow);
+    }
+    if (Array.isArray(source.rows)) {
+        for (const row of source.rows) {
+            if (onRow(row) === false) break;
+        }
+        return undefined;
+    }
+    throw new Error('Stored dataset file is no longer available');
+};
+
+// Async iteration over rows, for consumers that need to respect backpressure
+async function* iterateRows(source) {
+    if (source.filePath && fs.existsSync(source.filePath)) {
+        yield* pipeline(fs.createReadStream(source.filePath), csv(), () => {});
+        return;
+    }
+    if (Array.isArray(source.rows)) {
+        yield* source.rows;
+        return;
+    }
+    throw new Error('Stored dataset file is no longer available');
+}
+
+/**
+ * Read one page of rows.
+ * Stops reading as soon as the page is full, so early pages of large files are cheap.
+ */
+const readRows = async (source, { offset = 0, limit = 100, columns = null, filters = [] } = {}) => {
+    const rows = [];
+    let matched = 0;
+    let hasMore = false;
+
+    await forEachRow(source, (row) => {
+        if (filters.length && !matchesFilters(row, filters)) return true;
+        matched += 1;
+        if (matched <= offset) return true;
+        if (rows.length === limit) {
+            hasMore = true;
+            return false;
+        }
+        rows.push(project(row, columns));
+        return true;
+    });
+
+    return { rows, hasMore };
+};
+
+// Read every row; used by training paths that need the full dataset
+const readAllRows = async (source) => {
+    const rows = [];
+    await forEachRow(source, (row) => {
+        rows.push(row);
+    });
+    return rows;
+};
+
+module.exports = {
+    parseFilters,
+    matchesFilters,
+    forEachRow,
+    iterateRows,
+    readRows,
+    readAllRows
+};
@@ -0,0 +1,225 @@
+/**
+ * Dataset Splits
+ * Seeded random, stratified, group and time-ordered train/test splits,
+ * persisted per dataset version and reused across experiments
+ */
+
+const DatasetSplit = require('../models/DatasetSplit');
+const httpError = require('./httpError');
+
+const STRATEGIES = ['random', 'stratified', 'group', 'time'];
+const DEFAULT_SEED = 42;
+const DEFAULT_TEST_SIZE = 0.2;
+
+// mulberry32: small, fast PRNG so the same seed always gives the same split
+const seededRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const shuffle = (items, random) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i -= 1) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+const groupIndices = (rows, column) => {
+    const groups = new Map();
+    rows.forEach((row, i) => {
+        const key = String(row[column] ?? '');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(i);
+    });
+    return groups;
+};
+
+const toTime = (value) => {
+    const text = String(value ?? '').trim();
+    if (text === '') return NaN;
+    const numeric = Number(text);
+    return Number.isNaN(numeric) ? Date.parse(text) : numeric;
+};
+
+/**
+ * Choose held-out row indices.
+ * Returns ascending zero-based indices into `rows`.
+ */
+const computeTestIndices = (rows, { strategy, testSize, seed, column }) => {
+    const n = rows.length;
+    if (n < 2) {
+        throw httpError(400, 'At least two rows are needed to split a dataset');
+    }
+
+    const target = Math.min(n - 1, Math.max(1, Math.round(n * testSize)));
+    const random = seededRandom(seed);
+    let test;
+
+    switch (strategy) {
+        case 'random':
+            test = shuffle(range(n), random).slice(0, target);
+            break;
+        case 'stratified': {
+            // Hold out the same fraction of every class
+            test = [];
+            for (const indices of groupIndices(rows, column).values()) {
+                const take = indices.length > 1 ? Math.round(indices.length * testSize) : 0;
+                test.push(...shuffle(indices, random).slice(0, take));
+            }
+            if (test.length === 0) {
+                throw httpError(400, `Column '${column}' has no class with enough rows to stratify`);
+            }
+            break;
+        }
+        case 'group': {
+            // Whole groups go to one side so related rows never straddle the split
+            const groups = groupIndices(rows, column);
+            if (groups.size < 2) {
+                throw httpError(400, `Column '${column}' needs at least two groups for a group split`);
+            }
+            test = [];
+            for (const key of shuffle([...groups.keys()], random)) {
+                if (test.length >= target) break;
+                test.push(...groups.get(key));
+            }
+            if (test.length === n) {
+                throw httpError(400, 'Group split left no rows for training; lower testSize');
+            }
+            break;
+        }
+        case 'time': {
+            // Latest rows form the holdout; ties keep file order
+            const times = rows.map((row) => toTime(row[column]));
+            const invalid = times.findIndex((t) => Number.isNaN(t));
+            if (invalid !== -1) {
+                throw httpError(400, `Row ${invalid} has no usable time value in column '${column}'`);
+            }
+            test = range(n).sort((a, b) => times[a] - times[b] || a - b).slice(n - target);
+            break;
+        }
+        default:
+            throw httpError(400, `Unknown split strategy '${strategy}'. Use one of ${STRATEGIES.join(', ')}`);
+    }
+
+    return test.sort((a, b) => a - b);
+};
+
+// Validate user-supplied split options and fill in defaults
+const normalizeOptions = (options, { columns, targetColumn, problemType }) => {
+    const strategy = options.strategy || (problemType === 'classification' ? 'stratified' : 'random');
+    if (!STRATEGIES.includes(strategy)) {
+        throw httpError(400, `Unknown split strategy '${strategy}'. Use one of ${STRATEGIES.join(', ')}`);
+    }
+
+    const testSize = options.testSize === undefined || options.testSize === null
+        ? DEFAULT_TEST_SIZE
+        : Number(options.testSize);
+    if (!(testSize > 0 && testSize < 1)) {
+        throw httpError(400, 'testSize must be a fraction between 0 and 1');
+    }
+
+    const seed = options.seed === undefined || options.seed === null ? DEFAULT_SEED : Number(options.seed);
+    if (!Number.isInteger(seed)) {
+        throw httpError(400, 'seed must be an integer');
+    }
+
+    let column = null;
+    if (strategy !== 'random') {
+        column = options.column || (strategy === 'stratified' ? targetColumn : null);
+        if (!column) {
+            throw httpError(400, `A column is required for ${strategy} splits`);
+        }
+        if (!columns.includes(column)) {
+            throw httpError(400, `Column '${column}' does not exist in this dataset version`);
+        }
+    }
+
+    return { strategy, testSize, seed, column };
+};
+
+/**
+ * Return the persisted split for a dataset version, creating it if needed.
+ * With splitId the stored split is used as-is; otherwise an existing split with
+ * identical options is reused so repeated runs share one holdout.
+ */
+const resolveSplit = async ({ dataset, version, rows, splitId, options = {} }) => {
+    if (splitId) {
+        const split = await DatasetSplit.findOne({ _id: splitId, dataset: dataset._id });
+        if (!split) {
+            throw httpError(404, 'Split not found for this dataset');
+        }
+        if (!split.datasetVersion.equals(version._id)) {
+            throw httpError(400, `Split was made for dataset version ${split.datasetVersionNumber}, not ${version.version}`);
+        }
+        if (split.numberOfRows !== rows.length) {
+            throw httpError(409, 'Dataset rows changed since the split was created');
+        }
+        return split;
+    }
+
+    const normalized = normalizeOptions(options, {
+        columns: version.columns.map((c) => c.name),
+        targetColumn: version.targetColumn || dataset.targetColumn,
+        problemType: dataset.problemType
+    });
+
+    const existing = await DatasetSplit.findOne({
+        dataset: dataset._id,
+        datasetVersion: version._id,
+        strategy: normalized.strategy,
+        testSize: normalized.testSize,
+        seed: normalized.seed,
+        column: normalized.column
+    });
+    if (existing) return existing;
+
+    const testIndices = computeTestIndices(rows, normalized);
+
+    return DatasetSplit.create({
+        dataset: dataset._id,
+        user: dataset.user,
+        datasetVersion: version._id,
+        datasetVersionNumber: version.version,
+        name: options.name,
+        ...normalized,
+        numberOfRows: rows.length,
+        trainCount: rows.length - testIndices.length,
+        testCount: testIndices.length,
+        testIndices
+    });
+};
+
+// Partition parallel arrays (X, y, rows...) by a split's held-out indices
+const applySplit = (split, items) => {
+    const held = new Set(split.testIndices);
+    const train = [];
+    const test = [];
+    items.forEach((item, i) => (held.has(i) ? test : train).push(item));
+    return { train, test };
+};
+
+const trainIndices = (split) => {
+    const held = new Set(split.testIndices);
+    return range(split.numberOfRows).filter((i) => !held.has(i));
+};
+
+module.exports = {
+    STRATEGIES,
+    seededRandom,
+    shuffle,
+    computeTestIndices,
+    normalizeOptions,
+    resolveSplit,
+    applySplit,
+    trainIndices
+};
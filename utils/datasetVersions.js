@@ -0,0 +1,86 @@
+/**
+ * Dataset Versions
+ * Resolves dataset versions and their rows for preprocessing and training
+ */
+
+const DatasetVersion = require('../models/DatasetVersion');
+const { readAllRows } = require('./datasetRows');
+const httpError = require('./httpError');
+
+// Attempts at claiming the next version number before giving up
+const MAX_VERSION_ATTEMPTS = 5;
+
+const isDuplicateKey = (error) => error.code === 11000;
+
+// Version 1 mirrors the original upload; created lazily for older datasets
+const ensureRootVersion = async (dataset) => {
+    const existing = await DatasetVersion.findOne({ dataset: dataset._id, version: 1 });
+    if (existing) return existing;
+
+    // A concurrent request may create it first; the unique index makes that one win
+    return DatasetVersion.create({
+        dataset: dataset._id,
+        user: dataset.user,
+        version: 1,
+        parent: null,
+        source: 'upload',
+        filePath: dataset.filePath,
+        contentHash: dataset.contentHash,
+        fileSize: dataset.fileSize,
+        columns: dataset.columns,
+        numberOfRows: dataset.numberOfRows,
+        numberOfColumns: dataset.numberOfColumns,
+        targetColumn: dataset.targetColumn
+    }).catch((error) => {
+        if (!isDuplicateKey(error)) throw error;
+        return DatasetVersion.findOne({ dataset: dataset._id, version: 1 });
+    });
+};
+
+/**
+ * Create a dataset's next version from `fields`. Concurrent callers can pick the
+ * same number; the unique (dataset, version) index rejects all but one, and the
+ * others retry with a fresh number.
+ */
+const createNextVersion = async (dataset, fields) => {
+    for (let attempt = 1; ; attempt += 1) {
+        const latest = await DatasetVersion.findOne({ dataset: dataset._id }).sort('-version').select('version');
+        try {
+            return await DatasetVersion.create({ ...fields, dataset: dataset._id, version: (latest?.version || 0) + 1 });
+        } catch (error) {
+            if (!isDuplicateKey(error) || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+        }
+    }
+};
+
+// Look up a version by number, or the latest one when no number is given; other input is a 400
+const findVersion = async (dataset, versionNumber) => {
+    const latest = versionNumber === undefined || versionNumber === null || versionNumber === '';
+    const number = Number(versionNumber);
+    if (!latest && (!Number.isInteger(number) || number < 1)) {
+        throw httpError(400, 'Dataset version must be a positive integer');
+    }
+
+    const root = await ensureRootVersion(dataset);
+    if (latest) {
+        return DatasetVersion.findOne({ dataset: dataset._id }).sort('-version');
+    }
+    if (number === 1) return root;
+    return DatasetVersion.findOne({ dataset: dataset._id, version: number });
+};
+
+// Row source for a version: its stored file, or rows embedded in legacy uploads
+const rowSource = (dataset, version) => ({
+    filePath: version.filePath,
+    rows: version.version === 1 && Array.isArray(dataset.data) ? dataset.data : undefined
+});
+
+const loadVersionRows = (dataset, version) => readAllRows(rowSource(dataset, version));
+
+module.exports = {
+    ensureRootVersion,
+    createNextVersion,
+    findVersion,
+    rowSource,
+    loadVersionRows
+};
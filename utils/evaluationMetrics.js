@@ -0,0 +1,192 @@
+/**
+ * Evaluation Metrics
+ * Regression, classification and clustering metrics computed by the local ML
+ * engine, named and shaped the way the ML service reports them
+ */
+
+const { squaredDistance, columnMeans } = require('./matrix');
+
+// Silhouette is quadratic in the row count, so large sets are scored on a sample
+const SILHOUETTE_SAMPLE = 1000;
+
+const regressionMetrics = (yTrue, yPred) => {
+    const n = yTrue.length;
+    let squared = 0;
+    let absolute = 0;
+    for (let i = 0; i < n; i += 1) {
+        const residual = yTrue[i] - yPred[i];
+        squared += residual ** 2;
+        absolute += Math.abs(residual);
+    }
+
+    const mean = yTrue.reduce((sum, y) => sum + y, 0) / n;
+    const total = yTrue.reduce((sum, y) => sum + (y - mean) ** 2, 0);
+    const mse = squared / n;
+
+    return {
+        mse,
+        rmse: Math.sqrt(mse),
+        mae: absolute / n,
+        // A constant target scores 1 when predicted exactly, as scikit-learn does
+        r2_score: total === 0 ? (squared === 0 ? 1 : 0) : 1 - squared / total
+    };
+};
+
+// Area under the ROC curve from rank sums; ties share their average rank
+const aucRoc = (positives, scores) => {
+    const order = scores.map((score, i) => ({ score, positive: positives[i] })).sort((a, b) => a.score - b.score);
+    let positiveRanks = 0;
+    for (let i = 0; i < order.length;) {
+        let j = i;
+        while (j + 1 < order.length && order[j + 1].score === order[i].score) j += 1;
+        const rank = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k += 1) if (order[k].positive) positiveRanks += rank;
+        i = j + 1;
+    }
+
+    const nPositive = positives.filter(Boolean).length;
+    const nNegative = positives.length - nPositive;
+    if (!nPositive || !nNegative) return null;
+    return (positiveRanks - (nPositive * (nPositive + 1)) / 2) / (nPositive * nNegative);
+};
+
+/**
+ * Accuracy plus support-weighted precision, recall and F1 (a class that is
+ * never predicted scores 0). Binary problems with `probabilities` (rows aligned
+ * to `classes`) also report auc_roc.
+ */
+const classificationMetrics = (yTrue, yPred, { classes, probabilities } = {}) => {
+    const labels = (classes || [...new Set([...yTrue, ...yPred])]).map(String);
+    const stats = new Map(labels.map((label) => [label, { tp: 0, fp: 0, fn: 0, support: 0 }]));
+    const statsOf = (label) => {
+        if (!stats.has(label)) stats.set(label, { tp: 0, fp: 0, fn: 0, support: 0 });
+        return stats.get(label);
+    };
+
+    let correct = 0;
+    for (let i = 0; i < yTrue.length; i += 1) {
+        const actual = String(yTrue[i]);
+        const predicted = String(yPred[i]);
+        statsOf(actual).support += 1;
+        if (actual === predicted) {
+            correct += 1;
+            statsOf(actual).tp += 1;
+        } else {
+            statsOf(actual).fn += 1;
+            statsOf(predicted).fp += 1;
+        }
+    }
+
+    let precision = 0;
+    let recall = 0;
+    let f1 = 0;
+    for (const { tp, fp, fn, support } of stats.values()) {
+        const p = tp + fp ? tp / (tp + fp) : 0;
+        const r = tp + fn ? tp / (tp + fn) : 0;
+        precision += support * p;
+        recall += support * r;
+        f1 += support * (p + r ? (2 * p * r) / (p + r) : 0);
+    }
+
+    const n = yTrue.length;
+    const metrics = {
+        accuracy: correct / n,
+        precision: precision / n,
+        recall: recall / n,
+        f1_score: f1 / n
+    };
+
+    if (labels.length === 2 && Array.isArray(probabilities)) {
+        const auc = aucRoc(yTrue.map((y) => String(y) === labels[1]), probabilities.map((row) => row[1]));
+        if (auc !== null) metrics.auc_roc = auc;
+    }
+    return metrics;
+};
+
+const groupByLabel = (X, labels) => {
+    const groups = new Map();
+    labels.forEach((label, i) => {
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(X[i]);
+    });
+    return groups;
+};
+
+// Evenly spaced rows, so the sample is deterministic
+const sampleIndices = (n, size) => (n <= size
+    ? Array.from({ length: n }, (_, i) => i)
+    : Array.from({ length: size }, (_, i) => Math.floor((i * n) / size)));
+
+const silhouette = (X, labels) => {
+    const indices = sampleIndices(X.length, SILHOUETTE_SAMPLE);
+    let total = 0;
+    for (const i of indices) {
+        const distances = new Map();
+        for (const j of indices) {
+            if (i === j) continue;
+            const entry = distances.get(labels[j]) || { sum: 0, count: 0 };
+            entry.sum += Math.sqrt(squaredDistance(X[i], X[j]));
+            entry.count += 1;
+            distances.set(labels[j], entry);
+        }
+
+        const own = distances.get(labels[i]);
+        // Points alone in their cluster score 0
+        if (!own) continue;
+        const a = own.sum / own.count;
+        let b = Infinity;
+        for (const [label, { sum, count }] of distances) {
+            if (label !== labels[i]) b = Math.min(b, sum / count);
+        }
+        if (Number.isFinite(b)) total += (b - a) / Math.max(a, b) || 0;
+    }
+    return total / indices.length;
+};
+
+/**
+ * Inertia for any labelling; silhouette, Davies-Bouldin and Calinski-Harabasz
+ * need between 2 and n - 1 clusters.
+ */
+const clusteringMetrics = (X, labels) => {
+    const groups = groupByLabel(X, labels);
+    const centroids = new Map([...groups].map(([label, rows]) => [label, columnMeans(rows)]));
+    const spread = new Map([...groups].map(([label, rows]) => [
+        label,
+        rows.reduce((sum, row) => sum + squaredDistance(row, centroids.get(label)), 0)
+    ]));
+    const inertia = [...spread.values()].reduce((sum, value) => sum + value, 0);
+
+    const k = groups.size;
+    const n = X.length;
+    if (k < 2 || k >= n) return { inertia };
+
+    const overall = columnMeans(X);
+    const between = [...groups].reduce((sum, [label, rows]) => sum + rows.length * squaredDistance(centroids.get(label), overall), 0);
+
+    const scatter = new Map([...groups].map(([label, rows]) => [
+        label,
+        rows.reduce((sum, row) => sum + Math.sqrt(squaredDistance(row, centroids.get(label))), 0) / rows.length
+    ]));
+    const daviesBouldin = [...groups.keys()].reduce((sum, a) => {
+        let worst = 0;
+        for (const b of groups.keys()) {
+            if (a === b) continue;
+            const separation = Math.sqrt(squaredDistance(centroids.get(a), centroids.get(b)));
+            worst = Math.max(worst, separation ? (scatter.get(a) + scatter.get(b)) / separation : Infinity);
+        }
+        return sum + worst;
+    }, 0) / k;
+
+    return {
+        silhouette_score: silhouette(X, labels),
+        davies_bouldin_score: daviesBouldin,
+        calinski_harabasz_score: inertia ? (between / (k - 1)) / (inertia / (n - k)) : null,
+        inertia
+    };
+};
+
+module.exports = {
+    regressionMetrics,
+    classificationMetrics,
+    clusteringMetrics
+};
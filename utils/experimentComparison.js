@@ -0,0 +1,220 @@
+/**
+ * Experiment Comparison
+ * Aligns metrics and hyperparameters across experiments, computes deltas
+ * against a baseline and runs paired significance tests where scores allow
+ */
+
+const { isLowerBetter, toScore } = require('./metrics');
+const { mean, pairedTTest, wilcoxonSignedRank, mcnemar } = require('./statistics');
+
+const DEFAULT_TEST_METRICS = {
+    classification: 'accuracy',
+    regression: 'r2_score'
+};
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+const allSame = (values) => values.every((v) => v !== null && v === values[0]);
+
+const delta = (value, base) => {
+    if (value === null || base === null) return null;
+    return {
+        absolute: value - base,
+        relative: base !== 0 ? (value - base) / Math.abs(base) : null
+    };
+};
+
+// One row per metric, values aligned with the experiments array
+const metricTable = (experiments, baselineIndex, metricsOf) => {
+    const names = new Set();
+    for (const experiment of experiments) {
+        for (const [name, value] of Object.entries(metricsOf(experiment) || {})) {
+            if (toScore(value) !== null) names.add(name);
+        }
+    }
+
+    return [...names].sort().map((metric) => {
+        const values = experiments.map((e) => toScore(metricsOf(e)?.[metric]));
+        const lowerIsBetter = isLowerBetter(metric);
+        let best = null;
+        values.forEach((v, i) => {
+            if (v === null) return;
+            if (best === null || (lowerIsBetter ? v < values[best] : v > values[best])) best = i;
+        });
+
+        return {
+            metric,
+            higherIsBetter: !lowerIsBetter,
+            values,
+            deltas: values.map((v) => delta(v, values[baselineIndex])),
+            best: best === null ? null : idOf(experiments[best])
+        };
+    });
+};
+
+const hyperparameterTable = (experiments) => {
+    const names = new Set();
+    experiments.forEach((e) => Object.keys(e.hyperparameters || {}).forEach((name) => names.add(name)));
+
+    return [...names].sort().map((name) => {
+        const values = experiments.map((e) => (e.hyperparameters && name in e.hyperparameters ? e.hyperparameters[name] : null));
+        const serialized = values.map((v) => JSON.stringify(v));
+        return { name, values, differs: serialized.some((v) => v !== serialized[0]) };
+    });
+};
+
+const samePredictionTargets = (a, b) =>
+    a.y_true.length === b.y_true.length && a.y_true.every((v, i) => String(v) === String(b.y_true[i]));
+
+// Paired test on held-out samples; both models must have scored the same rows of the same split
+const sampleTest = (baseline, experiment) => {
+    const a = baseline.predictions;
+    const b = experiment.predictions;
+    if (!a || !b || !Array.isArray(a.y_true) || !Array.isArray(b.y_true)) {
+        return { available: false, reason: 'Per-sample predictions are not stored for both experiments' };
+    }
+    if (!baseline.split || idOf(baseline.split) !== idOf(experiment.split) || !samePredictionTargets(a, b)) {
+        return { available: false, reason: 'Experiments were not evaluated on the same held-out rows' };
+    }
+
+    if (baseline.problemType === 'classification') {
+        const correctA = a.y_true.map((y, i) => String(y) === String(a.y_pred[i]));
+        const correctB = b.y_true.map((y, i) => String(y) === String(b.y_pred[i]));
+        const test = mcnemar(correctA, correctB);
+        const favours = test.onlySecondCorrect > test.onlyFirstCorrect ? 'experiment'
+            : test.onlySecondCorrect < test.onlyFirstCorrect ? 'baseline' : null;
+        return { available: true, scores: 'per_sample', favours, ...test };
+    }
+
+    const errorsA = a.y_true.map((y, i) => Math.abs(Number(y) - Number(a.y_pred[i])));
+    const errorsB = b.y_true.map((y, i) => Math.abs(Number(y) - Number(b.y_pred[i])));
+    if ([...errorsA, ...errorsB].some((e) => Number.isNaN(e))) {
+        return { available: false, reason: 'Predictions are not numeric' };
+    }
+    const test = wilcoxonSignedRank(errorsA, errorsB);
+    const diff = mean(errorsA) - mean(errorsB);
+    return {
+        available: true,
+        scores: 'per_sample_absolute_error',
+        favours: diff > 0 ? 'experiment' : diff < 0 ? 'baseline' : null,
+        ...test
+    };
+};
+
+const sameCvSetup = (a, b) => ['strategy', 'folds', 'repeats', 'seed', 'stratified'].every((key) => a[key] === b[key]);
+
+// Paired test on cross-validation folds; identical CV settings on the same split give identical folds
+const foldTest = (baseline, experiment, requestedMetric) => {
+    const a = baseline.cvResults;
+    const b = experiment.cvResults;
+    if (!a?.foldMetrics?.length || !b?.foldMetrics?.length) {
+        return { available: false, reason: 'Per-fold scores are not stored for both experiments' };
+    }
+    if (!sameCvSetup(a, b) || idOf(baseline.split) !== idOf(experiment.split)
+        || baseline.datasetVersionNumber !== experiment.datasetVersionNumber) {
+        return { available: false, reason: 'Experiments were cross-validated on different folds' };
+    }
+
+    const common = Object.keys(a.mean || {}).filter((m) => b.mean && m in b.mean);
+    const metric = requestedMetric
+        || (common.includes(DEFAULT_TEST_METRICS[baseline.problemType]) ? DEFAULT_TEST_METRICS[baseline.problemType] : common[0]);
+    if (!metric || !common.includes(metric)) {
+        return { available: false, reason: `Metric '${metric}' is not in both experiments' fold scores` };
+    }
+
+    const key = (f) => `${f.repeat}:${f.fold}`;
+    const scoresB = new Map(b.foldMetrics.map((f) => [key(f), toScore(f.metrics?.[metric])]));
+    const pairs = a.foldMetrics
+        .map((f) => [toScore(f.metrics?.[metric]), scoresB.get(key(f))])
+        .filter(([x, y]) => x !== null && x !== undefined && y !== null && y !== undefined);
+
+    const first = a.foldMetrics[0];
+    const test = pairedTTest(pairs.map(([x]) => x), pairs.map(([, y]) => y), {
+        testTrainRatio: first.trainCount ? first.testCount / first.trainCount : undefined
+    });
+    if (!test) {
+        return { available: false, reason: 'Too few matching folds to test' };
+    }
+
+    // meanDifference is baseline minus experiment
+    const experimentBetter = isLowerBetter(metric) ? test.meanDifference > 0 : test.meanDifference < 0;
+    return {
+        available: true,
+        scores: 'per_fold',
+        metric,
+        favours: test.meanDifference === 0 ? null : experimentBetter ? 'experiment' : 'baseline',
+        ...test
+    };
+};
+
+/**
+ * Build the comparison for experiments (in request order) against the baseline.
+ * Fold scores are preferred for significance tests, then held-out samples.
+ */
+const compareExperiments = (experiments, { baselineId, alpha = 0.05, metric }) => {
+    const ids = experiments.map(idOf);
+    const baselineIndex = baselineId ? ids.indexOf(String(baselineId)) : 0;
+    const baseline = experiments[baselineIndex];
+
+    const datasets = experiments.map((e) => idOf(e.dataset));
+    const versions = experiments.map((e) => (e.datasetVersionNumber ?? null));
+    const splits = experiments.map((e) => idOf(e.split));
+    const problemTypes = experiments.map((e) => e.problemType);
+
+    const context = {
+        sharedDataset: allSame(datasets),
+        sharedDatasetVersion: allSame(datasets) && allSame(versions),
+        sharedSplit: allSame(splits),
+        sharedProblemType: allSame(problemTypes)
+    };
+
+    const warnings = [];
+    if (!context.sharedDataset) warnings.push('Experiments use different datasets; metrics are not directly comparable');
+    else if (!context.sharedDatasetVersion) warnings.push('Experiments use different versions of the dataset');
+    if (!context.sharedSplit) warnings.push('Experiments were not evaluated on the same persisted split');
+    if (!context.sharedProblemType) warnings.push('Experiments solve different problem types');
+
+    const significance = experiments
+        .filter((_, i) => i !== baselineIndex)
+        .map((experiment) => {
+            const byFold = foldTest(baseline, experiment, metric);
+            const bySample = byFold.available ? null : sampleTest(baseline, experiment);
+            const test = byFold.available || bySample.available
+                ? (byFold.available ? byFold : bySample)
+                : { available: false, reason: `${byFold.reason}; ${bySample.reason}` };
+            return {
+                experimentId: idOf(experiment),
+                baselineId: idOf(baseline),
+                ...test,
+                ...(test.available ? { alpha, significant: test.pValue < alpha } : {})
+            };
+        });
+
+    return {
+        baselineId: idOf(baseline),
+        experiments: experiments.map((e) => ({
+            id: idOf(e),
+            name: e.name,
+            algorithm: e.algorithm,
+            problemType: e.problemType,
+            status: e.status,
+            dataset: idOf(e.dataset),
+            datasetVersionNumber: e.datasetVersionNumber ?? null,
+            split: idOf(e.split),
+            trainingTime: e.trainingTime ?? null
+        })),
+        ...context,
+        warnings,
+        metrics: {
+            test: metricTable(experiments, baselineIndex, (e) => e.testMetrics),
+            training: metricTable(experiments, baselineIndex, (e) => e.trainingMetrics),
+            crossValidation: metricTable(experiments, baselineIndex, (e) => e.cvResults?.mean)
+        },
+        hyperparameters: hyperparameterTable(experiments),
+        significance
+    };
+};
+
+module.exports = {
+    compareExperiments
+};
@@ -0,0 +1,137 @@
+/**
+ * Experiment Lineage
+ * Configuration diffs between experiments and the parent/child tree built by cloning
+ */
+
+const Experiment = require('../models/Experiment');
+const { selectionScore } = require('./metrics');
+
+const MAX_DEPTH = 50;
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+// Metric lineage scores default to, per problem type
+const DEFAULT_METRICS = {
+    classification: 'accuracy',
+    regression: 'r2_score',
+    clustering: 'silhouette_score'
+};
+
+// The training configuration a clone copies; names and descriptions are not part of it
+const experimentConfig = (experiment) => ({
+    problemType: experiment.problemType,
+    dataset: idOf(experiment.dataset),
+    datasetVersionNumber: experiment.datasetVersionNumber ?? null,
+    split: idOf(experiment.split),
+    algorithm: experiment.algorithm,
+    seed: experiment.seed ?? null,
+    hyperparameters: experiment.hyperparameters || {}
+});
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * What changed between two configurations, one entry per field.
+ * Hyperparameters are compared key by key as `hyperparameters.<name>`.
+ */
+const diffConfigs = (before, after) => {
+    const changes = [];
+    for (const field of Object.keys(before)) {
+        if (field === 'hyperparameters') continue;
+        if (!same(before[field], after[field])) {
+            changes.push({ field, from: before[field], to: after[field] });
+        }
+    }
+
+    const names = new Set([...Object.keys(before.hyperparameters), ...Object.keys(after.hyperparameters)]);
+    for (const name of [...names].sort()) {
+        const from = name in before.hyperparameters ? before.hyperparameters[name] : null;
+        const to = name in after.hyperparameters ? after.hyperparameters[name] : null;
+        if (!same(from, to)) {
+            changes.push({ field: `hyperparameters.${name}`, from, to });
+        }
+    }
+    return changes;
+};
+
+// Parent first, up to the root; stops at missing parents and cycles
+const findAncestors = async (experiment) => {
+    const ancestors = [];
+    const seen = new Set([idOf(experiment)]);
+    let current = experiment;
+
+    while (current.parentExperiment && ancestors.length < MAX_DEPTH) {
+        const parentId = idOf(current.parentExperiment);
+        if (seen.has(parentId)) break;
+        const parent = await Experiment.findOne({ _id: parentId, user: experiment.user });
+        if (!parent) break;
+        seen.add(parentId);
+        ancestors.push(parent);
+        current = parent;
+    }
+    return ancestors;
+};
+
+// Every clone of the experiment and of its clones, breadth first, tagged with depth
+const findDescendants = async (experiment) => {
+    const descendants = [];
+    const seen = new Set([idOf(experiment)]);
+    let frontier = [experiment._id];
+
+    for (let depth = 1; frontier.length && depth <= MAX_DEPTH; depth += 1) {
+        const children = await Experiment.find({ parentExperiment: { $in: frontier }, user: experiment.user }).sort('createdAt');
+        const fresh = children.filter((child) => !seen.has(idOf(child)));
+        fresh.forEach((child) => {
+            seen.add(idOf(child));
+            descendants.push({ experiment: child, depth });
+        });
+        frontier = fresh.map((child) => child._id);
+    }
+    return descendants;
+};
+
+const scoreDelta = (score, parentScore) =>
+    (score === null || parentScore === null ? null : score - parentScore);
+
+/**
+ * Lineage view: ancestors (nearest first) and descendants with their metrics,
+ * what each changed relative to its parent and how the score moved.
+ */
+const buildLineage = async (experiment, metric = DEFAULT_METRICS[experiment.problemType]) => {
+    const ancestors = await findAncestors(experiment);
+    const descendants = await findDescendants(experiment);
+
+    const byId = new Map([experiment, ...ancestors, ...descendants.map((d) => d.experiment)].map((e) => [idOf(e), e]));
+    const node = (e, depth) => {
+        const parent = byId.get(idOf(e.parentExperiment));
+        const score = selectionScore(e, metric);
+        return {
+            id: idOf(e),
+            name: e.name,
+            algorithm: e.algorithm,
+            status: e.status,
+            parent: idOf(e.parentExperiment),
+            depth,
+            createdAt: e.createdAt,
+            hyperparameters: e.hyperparameters || {},
+            testMetrics: e.testMetrics || null,
+            cvMean: e.cvResults?.mean || null,
+            score,
+            scoreDelta: parent ? scoreDelta(score, selectionScore(parent, metric)) : null,
+            changes: parent ? diffConfigs(experimentConfig(parent), experimentConfig(e)) : []
+        };
+    };
+
+    return {
+        metric,
+        experiment: node(experiment, 0),
+        ancestors: ancestors.map((e, i) => node(e, -(i + 1))),
+        descendants: descendants.map(({ experiment: e, depth }) => node(e, depth))
+    };
+};
+
+module.exports = {
+    experimentConfig,
+    diffConfigs,
+    buildLineage
+};
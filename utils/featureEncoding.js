@@ -0,0 +1,187 @@
+/**
+ * Feature Encoding
+ * Turns mixed-type rows into numeric matrices for the local ML engine: imputes
+ * missing values, one-hot or label encodes text columns and optionally scales.
+ * A fitted encoder is plain JSON so it can be stored alongside a model.
+ */
+
+const httpError = require('./httpError');
+const { isMissing } = require('./columnProfiler');
+
+const MISSING_STRATEGIES = ['mean', 'median', 'most_frequent', 'drop'];
+const SCALERS = ['none', 'standard', 'minmax'];
+const CATEGORICAL_ENCODINGS = ['onehot', 'label'];
+
+const asNumber = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const text = String(value).trim();
+    return text === '' ? NaN : Number(text);
+};
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const mostFrequent = (values) => {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    let best = null;
+    let bestCount = 0;
+    for (const [value, count] of counts) {
+        if (count > bestCount) {
+            best = value;
+            bestCount = count;
+        }
+    }
+    return best;
+};
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Dropped rows never reach the encoder, but later rows may still be missing values
+const NUMERIC_FILLS = { mean: average, median, most_frequent: mostFrequent };
+
+const checkOption = (value, allowed, name) => {
+    if (!allowed.includes(value)) {
+        throw httpError(400, `${name} must be one of ${allowed.join(', ')}`);
+    }
+    return value;
+};
+
+/**
+ * Validate preprocessing options; defaults impute means, one-hot encode text
+ * columns and leave numeric scales alone.
+ */
+const normalizeEncodingOptions = (raw = {}) => ({
+    missing: checkOption(raw.handle_missing ?? 'mean', MISSING_STRATEGIES, 'handle_missing'),
+    encoding: checkOption(raw.encoding ?? 'onehot', CATEGORICAL_ENCODINGS, 'encoding'),
+    scaling: checkOption(raw.scaling ?? 'none', SCALERS, 'scaling')
+});
+
+// A column is numeric when every present value reads as a finite number
+const describeColumn = (values, options) => {
+    const present = values.filter((value) => !isMissing(value));
+    const numbers = present.map(asNumber);
+
+    if (numbers.every(Number.isFinite)) {
+        const fillWith = NUMERIC_FILLS[options.missing] || average;
+        return { kind: 'numeric', fill: present.length ? fillWith(numbers) : 0 };
+    }
+
+    const labels = present.map(String);
+    return {
+        kind: 'categorical',
+        categories: [...new Set(labels)].sort(),
+        fill: mostFrequent(labels)
+    };
+};
+
+const encodeValue = (column, value) => {
+    if (column.kind === 'numeric') {
+        const number = isMissing(value) ? NaN : asNumber(value);
+        return [Number.isFinite(number) ? number : column.fill];
+    }
+
+    const label = isMissing(value) ? column.fill : String(value);
+    const index = column.categories.indexOf(label);
+    if (column.encoding === 'label') return [index];
+    // Categories unseen while fitting encode as all zeros
+    return column.categories.map((_, i) => (i === index ? 1 : 0));
+};
+
+const MAX_LISTED_CATEGORIES = 20;
+
+// Why a fitted column cannot encode a value, or null when it can; missing values take the fill
+const encodingError = (column, value) => {
+    if (isMissing(value)) return null;
+    if (column.kind === 'numeric') {
+        return Number.isFinite(asNumber(value)) ? null : 'must be a number';
+    }
+    if (column.categories.includes(String(value))) return null;
+    const listed = column.categories.slice(0, MAX_LISTED_CATEGORIES).join(', ');
+    const more = column.categories.length > MAX_LISTED_CATEGORIES ? ', ...' : '';
+    return `must be a category seen in training (${listed}${more})`;
+};
+
+const outputNames = (column) => (column.kind === 'categorical' && column.encoding === 'onehot'
+    ? column.categories.map((category) => `${column.name}_${category}`)
+    : [column.name]);
+
+// Per-output-column shift and divisor for the chosen scaler
+const fitScaler = (matrix, scaling) => {
+    if (scaling === 'none' || matrix.length === 0) return null;
+
+    const width = matrix[0].length;
+    const shift = [];
+    const divisor = [];
+    for (let j = 0; j < width; j += 1) {
+        const values = matrix.map((row) => row[j]);
+        if (scaling === 'standard') {
+            const mean = average(values);
+            const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+            shift.push(mean);
+            divisor.push(sd || 1);
+        } else {
+            const min = values.reduce((a, b) => Math.min(a, b), Infinity);
+            const max = values.reduce((a, b) => Math.max(a, b), -Infinity);
+            shift.push(min);
+            divisor.push(max - min || 1);
+        }
+    }
+    return { shift, divisor };
+};
+
+const encodeRows = (encoder, rows) => rows.map((row) => {
+    const encoded = encoder.columns.flatMap((column, j) => encodeValue(column, row[j]));
+    return encoder.scaler
+        ? encoded.map((value, j) => (value - encoder.scaler.shift[j]) / encoder.scaler.divisor[j])
+        : encoded;
+});
+
+/**
+ * Fit an encoder on row arrays. `names` labels the input columns; encoded
+ * column names are `<name>_<category>` for one-hot columns.
+ */
+const fitEncoder = (rows, { names, missing = 'mean', encoding = 'onehot', scaling = 'none' } = {}) => {
+    if (!Array.isArray(rows) || rows.length === 0 || !Array.isArray(rows[0])) {
+        throw httpError(400, 'Expected a non-empty array of rows');
+    }
+    const width = rows[0].length;
+    if (rows.some((row) => !Array.isArray(row) || row.length !== width)) {
+        throw httpError(400, `Every row must have ${width} values`);
+    }
+
+    const columnNames = names || Array.from({ length: width }, (_, j) => `x${j}`);
+    const columns = columnNames.map((name, j) => ({
+        name,
+        encoding,
+        ...describeColumn(rows.map((row) => row[j]), { missing })
+    }));
+
+    const encoder = { columns, scaler: null };
+    encoder.scaler = fitScaler(encodeRows(encoder, rows), scaling);
+    encoder.featureNames = columns.flatMap(outputNames);
+    return encoder;
+};
+
+// Encode rows with a fitted encoder; rows must have the width it was fitted on
+const transformRows = (encoder, rows) => {
+    const width = encoder.columns.length;
+    if (!Array.isArray(rows) || rows.some((row) => !Array.isArray(row) || row.length !== width)) {
+        throw httpError(400, `Every row must have ${width} values`);
+    }
+    return encodeRows(encoder, rows);
+};
+
+module.exports = {
+    MISSING_STRATEGIES,
+    SCALERS,
+    CATEGORICAL_ENCODINGS,
+    normalizeEncodingOptions,
+    fitEncoder,
+    transformRows,
+    encodingError
+};
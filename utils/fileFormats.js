@@ -0,0 +1,321 @@
+/**
+ * File Formats
+ * Detects delimiter, quoting, encoding and compression of uploaded files and
+ * normalizes CSV, TSV and JSON Lines inputs into canonical UTF-8 CSV
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { once } = require('events');
+const { Transform, pipeline } = require('stream');
+const csv = require('csv-parser');
+const { formatHeader, formatRow } = require('./csvWriter');
+const { uploadDir, storeFile } = require('./blobStore');
+const httpError = require('./httpError');
+
+const SAMPLE_BYTES = 64 * 1024;
+const SAMPLE_LINES = 20;
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+const DELIMITER_ALIASES = { tab: '\t', '\\t': '\t', comma: ',', semicolon: ';', pipe: '|' };
+const FORMATS = ['csv', 'tsv', 'jsonl'];
+const SUPPORTED_EXTENSIONS = ['.csv', '.tsv', '.tab', '.txt', '.jsonl', '.ndjson'];
+
+const badRequest = (message) => httpError(400, message);
+
+// Corrupt archives and undecodable bytes are the client's problem, not ours
+const isUnreadableInput = (error) =>
+    Boolean(error.code) && (error.code.startsWith('Z_') || error.code === 'ERR_ENCODING_INVALID_ENCODED_DATA');
+
+const stripGzipExtension = (name) => String(name || '').toLowerCase().replace(/\.gz$/, '');
+
+const isSupportedFileName = (name) =>
+    SUPPORTED_EXTENSIONS.includes(path.extname(stripGzipExtension(name)));
+
+const isGzipped = async (filePath) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(2), 0, 2, 0);
+        return bytesRead === 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    } finally {
+        await handle.close();
+    }
+};
+
+const openRaw = (filePath, compression) => {
+    const input = fs.createReadStream(filePath);
+    if (compression !== 'gzip') return input;
+    // pipeline closes the file if the gunzip side is destroyed early
+    return pipeline(input, zlib.createGunzip(), () => {});
+};
+
+// First bytes of the (decompressed) content, enough to sniff the format
+const readSample = (filePath, compression) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = openRaw(filePath, compression);
+
+    stream.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= SAMPLE_BYTES) {
+            stream.destroy();
+            resolve(Buffer.concat(chunks).subarray(0, SAMPLE_BYTES));
+        }
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+});
+
+const detectEncoding = (sample) => {
+    if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) return { encoding: 'utf-8', bom: true };
+    if (sample[0] === 0xff && sample[1] === 0xfe) return { encoding: 'utf-16le', bom: true };
+    if (sample[0] === 0xfe && sample[1] === 0xff) return { encoding: 'utf-16be', bom: true };
+
+    // Drop a possibly truncated multi-byte sequence at the end of the sample
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, Math.max(0, sample.length - 3)));
+        return { encoding: 'utf-8', bom: false };
+    } catch (_) {
+        return { encoding: 'windows-1252', bom: false };
+    }
+};
+
+const countOutsideQuotes = (line, delimiter, quote) => {
+    let count = 0;
+    let quoted = false;
+    for (const char of line) {
+        if (char === quote) quoted = !quoted;
+        else if (char === delimiter && !quoted) count += 1;
+    }
+    return count;
+};
+
+// Pick the candidate that splits sample lines into the most consistent field count
+const sniffDelimiter = (lines, quote) => {
+    let best = { delimiter: ',', consistency: 0, count: 0 };
+
+    for (const delimiter of CANDIDATE_DELIMITERS) {
+        const counts = lines.map((line) => countOutsideQuotes(line, delimiter, quote));
+        if (counts[0] === 0) continue;
+
+        const consistency = counts.filter((c) => c === counts[0]).length / counts.length;
+        if (consistency > best.consistency || (consistency === best.consistency && counts[0] > best.count)) {
+            best = { delimiter, consistency, count: counts[0] };
+        }
+    }
+
+    return best.delimiter;
+};
+
+const sniffQuote = (text) => {
+    const doubles = (text.match(/(^|[,;\t|])"/gm) || []).length;
+    const singles = (text.match(/(^|[,;\t|])'/gm) || []).length;
+    return singles > 0 && doubles === 0 ? "'" : '"';
+};
+
+const looksLikeJsonLines = (lines) => {
+    const first = lines[0] ? lines[0].trim() : '';
+    if (!first.startsWith('{')) return false;
+    try {
+        JSON.parse(first);
+        return true;
+    } catch (_) {
+        return false;
+    }
+};
+
+const normalizeDelimiter = (value) => {
+    if (!value) return undefined;
+    const delimiter = DELIMITER_ALIASES[String(value).toLowerCase()] || String(value);
+    if (delimiter.length !== 1) {
+        throw badRequest(`Delimiter must be a single character, got '${value}'`);
+    }
+    return delimiter;
+};
+
+/**
+ * Work out how to read a file. Overrides (format, delimiter, quote, encoding)
+ * come from upload form fields and win over anything sniffed.
+ */
+const detectFormat = async (filePath, originalName, overrides = {}) => {
+    const compression = await isGzipped(filePath) ? 'gzip' : 'none';
+    let sample;
+    try {
+        sample = await readSample(filePath, compression);
+    } catch (error) {
+        throw isUnreadableInput(error) ? badRequest(`Could not read file: ${error.message}`) : error;
+    }
+    const sniffed = detectEncoding(sample);
+
+    let decoder;
+    try {
+        decoder = new TextDecoder(overrides.encoding ? String(overrides.encoding) : sniffed.encoding);
+    } catch (_) {
+        throw badRequest(`Unsupported encoding '${overrides.encoding}'`);
+    }
+    const encoding = decoder.encoding;
+
+    const text = decoder.decode(sample);
+    const lines = text.split(/\r?\n/).slice(0, SAMPLE_LINES + 1).filter((line) => line.trim() !== '');
+    // The last sampled line may be cut off mid-row
+    if (sample.length >= SAMPLE_BYTES && lines.length > 1) lines.pop();
+
+    const ext = path.extname(stripGzipExtension(originalName));
+    let type = overrides.format ? String(overrides.format).toLowerCase() : null;
+    if (type && !FORMATS.includes(type)) {
+        throw badRequest(`Unsupported format '${overrides.format}'. Use one of ${FORMATS.join(', ')}`);
+    }
+    if (!type) {
+        if (ext === '.jsonl' || ext === '.ndjson' || looksLikeJsonLines(lines)) type = 'jsonl';
+        else if (ext === '.tsv' || ext === '.tab') type = 'tsv';
+        else type = 'csv';
+    }
+
+    if (type === 'jsonl') {
+        return { type, encoding, bom: sniffed.bom, compression };
+    }
+
+    const quote = overrides.quote ? String(overrides.quote) : sniffQuote(text);
+    if (quote.length !== 1) {
+        throw badRequest(`Quote must be a single character, got '${overrides.quote}'`);
+    }
+
+    const delimiter = normalizeDelimiter(overrides.delimiter)
+        || (type === 'tsv' ? '\t' : sniffDelimiter(lines, quote));
+
+    return {
+        type: delimiter === '\t' ? 'tsv' : type,
+        delimiter,
+        quote,
+        encoding,
+        bom: sniffed.bom,
+        compression
+    };
+};
+
+const isCanonicalCsv = (format) =>
+    format.type === 'csv'
+    && format.delimiter === ','
+    && format.quote === '"'
+    && format.encoding === 'utf-8'
+    && !format.bom
+    && format.compression === 'none';
+
+// Decompressed, decoded UTF-8 text stream (the decoder also drops any BOM)
+const openText = (filePath, format) => {
+    const decoder = new TextDecoder(format.encoding);
+    const transform = new Transform({
+        transform(chunk, _encoding, cb) {
+            cb(null, decoder.decode(chunk, { stream: true }));
+        },
+        flush(cb) {
+            cb(null, decoder.decode());
+        }
+    });
+
+    return pipeline(openRaw(filePath, format.compression), transform, () => {});
+};
+
+const writeLine = async (out, line) => {
+    if (!out.write(`${line}\n`)) await once(out, 'drain');
+};
+
+const convertDelimited = async (filePath, format, out) => {
+    let columns = null;
+    const parser = pipeline(
+        openText(filePath, format),
+        csv({ separator: format.delimiter, quote: format.quote }),
+        () => {}
+    ).on('headers', (headers) => { columns = headers; });
+
+    let headerWritten = false;
+    for await (const row of parser) {
+        if (!headerWritten) {
+            await writeLine(out, formatHeader(columns));
+            headerWritten = true;
+        }
+        await writeLine(out, formatRow(columns, row));
+    }
+    if (!headerWritten && columns) {
+        await writeLine(out, formatHeader(columns));
+    }
+};
+
+const jsonLines = (filePath, format) => readline.createInterface({
+    input: openText(filePath, format),
+    crlfDelay: Infinity
+});
+
+const convertJsonLines = async (filePath, format, out) => {
+    // First pass collects the union of keys so every row shares one header
+    const columns = [];
+    const seen = new Set();
+    let lineNumber = 0;
+
+    for await (const line of jsonLines(filePath, format)) {
+        lineNumber += 1;
+        if (!line.trim()) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (_) {
+            throw badRequest(`Invalid JSON on line ${lineNumber}`);
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw badRequest(`Line ${lineNumber} is not a JSON object`);
+        }
+        for (const key of Object.keys(record)) {
+            if (!seen.has(key)) {
+                seen.add(key);
+                columns.push(key);
+            }
+        }
+    }
+
+    await writeLine(out, formatHeader(columns));
+    for await (const line of jsonLines(filePath, format)) {
+        if (!line.trim()) continue;
+        await writeLine(out, formatRow(columns, JSON.parse(line)));
+    }
+};
+
+/**
+ * Make sure a stored upload is canonical UTF-8 comma-separated CSV.
+ * Returns the original path when it already is, otherwise the path of a
+ * converted, content-addressed copy.
+ */
+const normalizeToCsv = async (filePath, originalName, overrides = {}) => {
+    const format = await detectFormat(filePath, originalName, overrides);
+    if (isCanonicalCsv(format)) {
+        return { filePath, format, converted: false };
+    }
+
+    const tempPath = path.join(uploadDir, `.tmp-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`);
+    const out = fs.createWriteStream(tempPath);
+
+    try {
+        if (format.type === 'jsonl') {
+            await convertJsonLines(filePath, format, out);
+        } else {
+            await convertDelimited(filePath, format, out);
+        }
+        out.end();
+        await once(out, 'finish');
+    } catch (error) {
+        out.destroy();
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw isUnreadableInput(error) ? badRequest(`Could not read file: ${error.message}`) : error;
+    }
+
+    const stored = await storeFile(tempPath, '.csv');
+    return { filePath: stored.filePath, size: stored.size, format, converted: true };
+};
+
+module.exports = {
+    isSupportedFileName,
+    detectFormat,
+    normalizeToCsv
+};
@@ -0,0 +1,12 @@
+/**
+ * HTTP Error
+ * Errors carrying a status code for controllers and the error middleware
+ */
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+module.exports = httpError;
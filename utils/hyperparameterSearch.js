@@ -0,0 +1,237 @@
+/**
+ * Hyperparameter Search
+ * Grid, random and successive-halving search orchestrated by the API server.
+ * Each trial is evaluated by the caller (cross-validation through the ML
+ * service) and recorded as it finishes.
+ */
+
+const httpError = require('./httpError');
+const { seededRandom, shuffle } = require('./datasetSplits');
+const { isLowerBetter } = require('./metrics');
+
+const SEARCH_STRATEGIES = ['grid', 'random', 'successive_halving'];
+const DEFAULT_METRICS = {
+    classification: 'accuracy',
+    regression: 'r2_score'
+};
+const DEFAULT_MAX_TRIALS = 20;
+const MAX_TRIALS = 200;
+const DEFAULT_FOLDS = 3;
+const DEFAULT_ETA = 3;
+
+const isRange = (spec) => spec && typeof spec === 'object' && !Array.isArray(spec);
+
+const checkParamSpace = (space, strategy) => {
+    if (!isRange(space) || Object.keys(space).length === 0) {
+        throw httpError(400, 'param_grid must map hyperparameter names to value lists or ranges');
+    }
+
+    for (const [name, spec] of Object.entries(space)) {
+        if (Array.isArray(spec)) {
+            if (spec.length === 0) throw httpError(400, `param_grid.${name} must list at least one value`);
+            continue;
+        }
+        if (!isRange(spec) || typeof spec.low !== 'number' || typeof spec.high !== 'number' || spec.low > spec.high) {
+            throw httpError(400, `param_grid.${name} must be a list of values or { low, high, log, integer }`);
+        }
+        if (spec.log && spec.low <= 0) {
+            throw httpError(400, `param_grid.${name} needs low > 0 for a log range`);
+        }
+        if (strategy === 'grid') {
+            throw httpError(400, `Grid search needs a list of values for ${name}; ranges need random or successive_halving`);
+        }
+    }
+};
+
+const positiveInteger = (value, name, { min = 1, max = Infinity } = {}) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw httpError(400, `${name} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+};
+
+/**
+ * Validate search options from a tune request body.
+ * `param_grid` values are lists, or { low, high, log, integer } ranges for random sampling.
+ */
+const normalizeSearchOptions = (raw, problemType) => {
+    if (!DEFAULT_METRICS[problemType]) {
+        throw httpError(400, 'Hyperparameter search is only available for classification and regression');
+    }
+
+    const strategy = raw.strategy || 'grid';
+    if (!SEARCH_STRATEGIES.includes(strategy)) {
+        throw httpError(400, `Unknown search strategy '${strategy}'. Use one of ${SEARCH_STRATEGIES.join(', ')}`);
+    }
+    checkParamSpace(raw.param_grid, strategy);
+
+    const options = {
+        strategy,
+        paramSpace: raw.param_grid,
+        metric: raw.metric || DEFAULT_METRICS[problemType],
+        maxTrials: raw.maxTrials === undefined ? DEFAULT_MAX_TRIALS : positiveInteger(raw.maxTrials, 'maxTrials', { max: MAX_TRIALS }),
+        timeBudgetSeconds: raw.timeBudgetSeconds === undefined ? null : Number(raw.timeBudgetSeconds),
+        folds: raw.cv === undefined ? DEFAULT_FOLDS : positiveInteger(raw.cv, 'cv', { min: 2, max: 20 }),
+        seed: raw.seed === undefined ? 42 : Number(raw.seed)
+    };
+
+    if (options.timeBudgetSeconds !== null && !(options.timeBudgetSeconds > 0)) {
+        throw httpError(400, 'timeBudgetSeconds must be a positive number');
+    }
+    if (!Number.isInteger(options.seed)) {
+        throw httpError(400, 'seed must be an integer');
+    }
+
+    if (strategy === 'successive_halving') {
+        options.eta = raw.eta === undefined ? DEFAULT_ETA : positiveInteger(raw.eta, 'eta', { min: 2, max: 10 });
+        options.candidates = raw.candidates === undefined
+            ? Math.min(options.maxTrials, 27)
+            : positiveInteger(raw.candidates, 'candidates', { min: 2, max: MAX_TRIALS });
+    }
+
+    return options;
+};
+
+// Every combination of listed values, in a stable order
+const gridConfigurations = (space) => Object.entries(space).reduce(
+    (configs, [name, values]) => configs.flatMap((config) => values.map((value) => ({ ...config, [name]: value }))),
+    [{}]
+);
+
+const sampleValue = (spec, random) => {
+    if (Array.isArray(spec)) return spec[Math.floor(random() * spec.length)];
+
+    const { low, high, log, integer } = spec;
+    const value = log
+        ? Math.exp(Math.log(low) + random() * (Math.log(high) - Math.log(low)))
+        : low + random() * (high - low);
+    return integer ? Math.min(high, Math.round(value)) : value;
+};
+
+// Up to `count` distinct random configurations; small discrete spaces may yield fewer
+const sampleConfigurations = (space, count, random) => {
+    const seen = new Set();
+    const configs = [];
+    for (let attempts = 0; configs.length < count && attempts < count * 20; attempts += 1) {
+        const config = Object.fromEntries(Object.entries(space).map(([name, spec]) => [name, sampleValue(spec, random)]));
+        const key = JSON.stringify(config);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        configs.push(config);
+    }
+    return configs;
+};
+
+const allListed = (space) => Object.values(space).every(Array.isArray);
+
+// Starting configurations; discrete spaces are shuffled rather than resampled
+const candidatesFor = (options, count, random) => (allListed(options.paramSpace)
+    ? shuffle(gridConfigurations(options.paramSpace), random).slice(0, count)
+    : sampleConfigurations(options.paramSpace, count, random));
+
+// Trials a search will run if neither budget cuts it short; used for progress reporting
+const plannedTrials = (options) => {
+    const gridSize = allListed(options.paramSpace)
+        ? Object.values(options.paramSpace).reduce((n, values) => n * values.length, 1)
+        : Infinity;
+
+    if (options.strategy !== 'successive_halving') return Math.min(gridSize, options.maxTrials);
+
+    let total = 0;
+    let survivors = Math.min(gridSize, options.candidates);
+    const rungs = Math.max(1, Math.floor(Math.log(survivors) / Math.log(options.eta)) + 1);
+    for (let rung = 0; rung < rungs; rung += 1) {
+        total += survivors;
+        survivors = Math.max(1, Math.ceil(survivors / options.eta));
+    }
+    return Math.min(total, options.maxTrials);
+};
+
+const better = (metric) => (a, b) => (isLowerBetter(metric) ? a.score - b.score : b.score - a.score);
+
+/**
+ * Run a search. `evaluate(params, { rung, resource })` resolves to
+ * { score, scoreStd, metrics } or throws; `record(trial)` persists each trial.
+ * Resolves to { trials, best, stopReason }.
+ */
+const runSearch = async ({ options, evaluate, record, now = Date.now }) => {
+    const random = seededRandom(options.seed);
+    const startedAt = now();
+    const deadline = options.timeBudgetSeconds ? startedAt + options.timeBudgetSeconds * 1000 : Infinity;
+    const trials = [];
+    let stopReason = 'completed';
+
+    const budgetLeft = () => {
+        if (trials.length >= options.maxTrials) {
+            stopReason = 'max_trials';
+            return false;
+        }
+        if (now() >= deadline) {
+            stopReason = 'time_budget';
+            return false;
+        }
+        return true;
+    };
+
+    const runTrial = async (params, rung = 0, resource = 1) => {
+        const trialStart = now();
+        const trial = { number: trials.length + 1, params, rung, resource };
+        try {
+            Object.assign(trial, await evaluate(params, { rung, resource }), { status: 'completed' });
+            if (typeof trial.score !== 'number' || !Number.isFinite(trial.score)) {
+                throw new Error(`Trial did not report ${options.metric}`);
+            }
+        } catch (error) {
+            Object.assign(trial, { status: 'failed', score: null, errorMessage: error.response?.data?.error || error.message });
+        }
+        trial.durationMs = now() - trialStart;
+        trials.push(trial);
+        await record(trial);
+        return trial;
+    };
+
+    if (options.strategy === 'successive_halving') {
+        const candidates = candidatesFor(options, options.candidates, random);
+        const rungs = Math.max(1, Math.floor(Math.log(candidates.length) / Math.log(options.eta)) + 1);
+        let survivors = candidates;
+
+        for (let rung = 0; rung < rungs && survivors.length; rung += 1) {
+            const resource = Math.min(1, options.eta ** (rung - rungs + 1));
+            const results = [];
+            for (const params of survivors) {
+                if (!budgetLeft()) break;
+                results.push(await runTrial(params, rung, resource));
+            }
+            if (stopReason !== 'completed') break;
+
+            const keep = Math.max(1, Math.ceil(survivors.length / options.eta));
+            survivors = results.filter((t) => t.status === 'completed').sort(better(options.metric)).slice(0, keep).map((t) => t.params);
+        }
+    } else {
+        const configs = options.strategy === 'grid'
+            ? gridConfigurations(options.paramSpace)
+            : sampleConfigurations(options.paramSpace, options.maxTrials, random);
+
+        for (const params of configs) {
+            if (!budgetLeft()) break;
+            await runTrial(params);
+        }
+    }
+
+    // Halving trials on smaller subsamples are not comparable, so the best comes from the highest rung
+    const completed = trials.filter((t) => t.status === 'completed');
+    const topRung = Math.max(...completed.map((t) => t.rung), 0);
+    const [best] = completed.filter((t) => t.rung === topRung).sort(better(options.metric));
+
+    return { trials, best: best || null, stopReason };
+};
+
+module.exports = {
+    SEARCH_STRATEGIES,
+    normalizeSearchOptions,
+    gridConfigurations,
+    sampleConfigurations,
+    plannedTrials,
+    runSearch
+};
@@ -0,0 +1,189 @@
+/**
+ * Job Queue
+ * MongoDB-backed queue for long-running training work. Jobs are claimed
+ * atomically, so several server instances can share one queue.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const TrainingJob = require('../models/TrainingJob');
+
+const CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2);
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const STALE_AFTER_MS = Number(process.env.JOB_STALE_AFTER_MS) || 2 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+const workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+const handlers = new Map();
+
+let started = false;
+let polling = false;
+let active = 0;
+let timer = null;
+
+/**
+ * Register the function that runs jobs of a type.
+ * Handlers receive (job, { progress }) and resolve to { experiment, comparisonRun, result }.
+ */
+const registerHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+const claimNext = () => TrainingJob.findOneAndUpdate(
+    { status: 'queued', type: { $in: [...handlers.keys()] } },
+    {
+        $set: { status: 'running', workerId, startedAt: new Date(), heartbeatAt: new Date() },
+        $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+);
+
+// Updates are scoped to this worker so a requeued job can't be overwritten by a stale run
+const updateOwned = (job, update) => TrainingJob.updateOne({ _id: job._id, workerId }, update);
+
+const runJob = async (job) => {
+    const handler = handlers.get(job.type);
+    const progress = (percent, message) => updateOwned(job, {
+        progress: Math.max(0, Math.min(100, Math.round(percent))),
+        progressMessage: message,
+        heartbeatAt: new Date()
+    });
+
+    const heartbeat = setInterval(() => {
+        updateOwned(job, { heartbeatAt: new Date() }).catch(() => {});
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    try {
+        const { experiment, comparisonRun, result } = await handler(job, { progress }) || {};
+        await updateOwned(job, {
+            status: 'completed',
+            progress: 100,
+            progressMessage: 'Completed',
+            experiment: experiment || job.experiment,
+            comparisonRun: comparisonRun || job.comparisonRun,
+            result,
+            finishedAt: new Date()
+        });
+    } catch (error) {
+        await updateOwned(job, {
+            status: 'failed',
+            errorMessage: error.message,
+            errorDetails: error.details,
+            finishedAt: new Date()
+        });
+    } finally {
+        clearInterval(heartbeat);
+    }
+};
+
+// Fill free slots with the oldest queued jobs
+const poll = async () => {
+    if (!started || polling) return;
+    polling = true;
+
+    try {
+        while (active < CONCURRENCY) {
+            const job = await claimNext();
+            if (!job) break;
+
+            active += 1;
+            runJob(job)
+                .catch((error) => console.error(`Job ${job._id} failed to record its outcome:`, error.message))
+                .finally(() => {
+                    active -= 1;
+                    setImmediate(poll);
+                });
+        }
+    } catch (error) {
+        console.error('Job queue poll failed:', error.message);
+    } finally {
+        polling = false;
+    }
+};
+
+// Jobs whose worker stopped sending heartbeats go back on the queue, up to MAX_ATTEMPTS
+const recoverStaleJobs = async () => {
+    const stale = { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } };
+
+    await TrainingJob.updateMany(
+        { ...stale, attempts: { $lt: MAX_ATTEMPTS } },
+        { status: 'queued', workerId: null, progressMessage: 'Requeued after its worker stopped responding' }
+    );
+    await TrainingJob.updateMany(stale, {
+        status: 'failed',
+        errorMessage: `Worker stopped responding after ${MAX_ATTEMPTS} attempts`,
+        finishedAt: new Date()
+    });
+};
+
+const tick = async () => {
+    try {
+        await recoverStaleJobs();
+    } catch (error) {
+        console.error('Job queue recovery failed:', error.message);
+    }
+    await poll();
+};
+
+const start = () => {
+    if (started) return;
+    started = true;
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    timer.unref();
+    setImmediate(tick);
+    console.log(`🧵 Job queue started (concurrency ${CONCURRENCY})`);
+};
+
+const stop = () => {
+    started = false;
+    clearInterval(timer);
+    timer = null;
+};
+
+const enqueue = async ({ user, type, payload, experiment, comparisonRun }) => {
+    if (!handlers.has(type)) {
+        throw new Error(`No handler registered for job type '${type}'`);
+    }
+
+    const job = await TrainingJob.create({ user, type, payload, experiment, comparisonRun });
+    setImmediate(poll);
+    return job;
+};
+
+// Public view of a job: state, progress and timings
+const describeJob = (job) => {
+    const queuedAt = job.createdAt;
+    const { startedAt, finishedAt } = job;
+
+    return {
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        progressMessage: job.progressMessage,
+        experiment: job.experiment,
+        comparisonRun: job.comparisonRun,
+        result: job.result,
+        error: job.errorMessage,
+        errorDetails: job.errorDetails,
+        attempts: job.attempts,
+        timings: {
+            queuedAt,
+            startedAt,
+            finishedAt,
+            waitMs: startedAt ? startedAt - queuedAt : null,
+            runMs: startedAt && finishedAt ? finishedAt - startedAt : null
+        },
+        statusUrl: `/api/jobs/${job._id}`
+    };
+};
+
+module.exports = {
+    registerHandler,
+    enqueue,
+    start,
+    stop,
+    describeJob
+};
@@ -0,0 +1,457 @@
+/**
+ * Local Algorithms
+ * Pure JavaScript implementations of the core algorithms the local ML engine
+ * serves. Every fitted state is plain JSON.
+ *
+ * Each algorithm has `fit(X, y, params, context)` and `predict(state, X, context)`.
+ * Classifiers receive y as class indices and predict indices plus class
+ * probabilities; `context` carries { classes, random }.
+ */
+
+const httpError = require('./httpError');
+const { dot, squaredDistance, columnMeans, gram, solve, symmetricEigen } = require('./matrix');
+
+// Keeps the normal equations solvable when features are collinear (e.g. one-hot groups)
+const RIDGE_JITTER = 1e-8;
+// Deepest tree grown when max_depth is unlimited
+const MAX_TREE_DEPTH = 64;
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const numberParam = (params, name, fallback, { min = -Infinity, integer = false } = {}) => {
+    const value = params[name] ?? fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+        throw httpError(400, `${name} must be ${integer ? 'an integer' : 'a number'} of at least ${min}`);
+    }
+    return number;
+};
+
+const argmax = (values) => values.reduce((best, v, i) => (v > values[best] ? i : best), 0);
+
+// ---- Linear and ridge regression ----
+
+const fitLinear = (X, y, alpha) => {
+    const means = columnMeans(X);
+    const yMean = average(y);
+    const centered = X.map((row) => row.map((v, j) => v - means[j]));
+    const A = gram(centered);
+    const scale = A.reduce((sum, row, i) => sum + row[i], 0) / A.length || 1;
+    A.forEach((row, i) => {
+        row[i] += alpha + RIDGE_JITTER * scale;
+    });
+
+    const b = means.map((_, j) => centered.reduce((sum, row, i) => sum + row[j] * (y[i] - yMean), 0));
+    const coef = solve(A, b) || new Array(means.length).fill(0);
+    return { coef, intercept: yMean - dot(means, coef) };
+};
+
+const predictLinear = (state, X) => ({
+    predictions: X.map((row) => dot(row, state.coef) + state.intercept)
+});
+
+// ---- Logistic regression (multinomial, L2 penalty scaled like scikit-learn's C) ----
+
+const softmax = (scores) => {
+    const top = Math.max(...scores);
+    const exps = scores.map((s) => Math.exp(s - top));
+    const total = exps.reduce((sum, e) => sum + e, 0);
+    return exps.map((e) => e / total);
+};
+
+// Largest eigenvalue of X'X / n (bias column included) by power iteration
+const curvature = (X) => {
+    const d = X[0].length + 1;
+    let v = new Array(d).fill(1 / Math.sqrt(d));
+    let lambda = 1;
+    for (let iteration = 0; iteration < 50; iteration += 1) {
+        const next = new Array(d).fill(0);
+        for (const row of X) {
+            const projection = dot(row, v) + v[d - 1];
+            for (let j = 0; j < d - 1; j += 1) next[j] += row[j] * projection;
+            next[d - 1] += projection;
+        }
+        const norm = Math.sqrt(dot(next, next));
+        if (norm === 0) break;
+        lambda = norm / X.length;
+        v = next.map((x) => x / norm);
+    }
+    return lambda;
+};
+
+const logisticScores = (weights, row) => weights.map((w) => dot(row, w) + w[w.length - 1]);
+
+const fitLogistic = (X, y, params, { classes }) => {
+    const C = numberParam(params, 'C', 1, { min: Number.EPSILON });
+    const maxIter = numberParam(params, 'max_iter', 1000, { min: 1, integer: true });
+    const tol = numberParam(params, 'tol', 1e-4, { min: 0 });
+
+    const n = X.length;
+    const d = X[0].length;
+    const K = classes.length;
+    const penalty = 1 / (C * n);
+    // Step size from the loss's Lipschitz bound, so every step decreases it
+    const step = 1 / (0.5 * curvature(X) + penalty);
+    const weights = Array.from({ length: K }, () => new Array(d + 1).fill(0));
+
+    for (let iteration = 0; iteration < maxIter; iteration += 1) {
+        const gradient = Array.from({ length: K }, () => new Array(d + 1).fill(0));
+        for (let i = 0; i < n; i += 1) {
+            const p = softmax(logisticScores(weights, X[i]));
+            for (let k = 0; k < K; k += 1) {
+                const error = (p[k] - (y[i] === k ? 1 : 0)) / n;
+                if (error === 0) continue;
+                for (let j = 0; j < d; j += 1) gradient[k][j] += error * X[i][j];
+                gradient[k][d] += error;
+            }
+        }
+
+        let largest = 0;
+        for (let k = 0; k < K; k += 1) {
+            for (let j = 0; j <= d; j += 1) {
+                // The intercept is not penalized
+                if (j < d) gradient[k][j] += penalty * weights[k][j];
+                weights[k][j] -= step * gradient[k][j];
+                largest = Math.max(largest, Math.abs(gradient[k][j]));
+            }
+        }
+        if (largest < tol) break;
+    }
+    return { weights };
+};
+
+const predictLogistic = (state, X) => {
+    const probabilities = X.map((row) => softmax(logisticScores(state.weights, row)));
+    return { predictions: probabilities.map(argmax), probabilities };
+};
+
+// ---- k-nearest neighbours ----
+
+const fitKnn = (X, y, params) => ({
+    k: Math.min(numberParam(params, 'n_neighbors', 5, { min: 1, integer: true }), X.length),
+    weights: params.weights === 'distance' ? 'distance' : 'uniform',
+    X,
+    y
+});
+
+// Neighbours nearest first, with their vote weights; exact matches outvote everything else
+const neighbours = (state, row) => {
+    const nearest = state.X
+        .map((point, i) => ({ i, distance: Math.sqrt(squaredDistance(point, row)) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, state.k);
+    if (state.weights === 'uniform') return nearest.map(({ i }) => ({ i, weight: 1 }));
+    if (nearest[0].distance === 0) return nearest.filter((n) => n.distance === 0).map(({ i }) => ({ i, weight: 1 }));
+    return nearest.map(({ i, distance }) => ({ i, weight: 1 / distance }));
+};
+
+const predictKnnClassifier = (state, X, { classes }) => {
+    const probabilities = X.map((row) => {
+        const votes = new Array(classes.length).fill(0);
+        const near = neighbours(state, row);
+        near.forEach(({ i, weight }) => {
+            votes[state.y[i]] += weight;
+        });
+        const total = votes.reduce((sum, v) => sum + v, 0);
+        return votes.map((v) => v / total);
+    });
+    return { predictions: probabilities.map(argmax), probabilities };
+};
+
+const predictKnnRegressor = (state, X) => ({
+    predictions: X.map((row) => {
+        const near = neighbours(state, row);
+        const total = near.reduce((sum, { weight }) => sum + weight, 0);
+        return near.reduce((sum, { i, weight }) => sum + weight * state.y[i], 0) / total;
+    })
+});
+
+// ---- Decision trees (CART: Gini for classification, squared error for regression) ----
+
+/**
+ * Split quality as a number to maximize: sum over both sides of
+ * (class count squares / n) for Gini, or (target sum squared / n) for squared
+ * error. Both are the parent impurity minus the children's, up to a constant.
+ */
+const treeCriteria = {
+    classification: (classCount) => ({
+        empty: () => ({ n: 0, counts: new Array(classCount).fill(0), squares: 0 }),
+        add: (stats, value) => {
+            stats.squares += 2 * stats.counts[value] + 1;
+            stats.counts[value] += 1;
+            stats.n += 1;
+        },
+        remove: (stats, value) => {
+            stats.squares -= 2 * stats.counts[value] - 1;
+            stats.counts[value] -= 1;
+            stats.n -= 1;
+        },
+        score: (stats) => (stats.n ? stats.squares / stats.n : 0),
+        pure: (stats) => stats.counts.some((c) => c === stats.n),
+        leaf: (stats) => ({ value: stats.counts.map((c) => c / stats.n) })
+    }),
+    regression: () => ({
+        empty: () => ({ n: 0, sum: 0, sumSquares: 0 }),
+        add: (stats, value) => {
+            stats.n += 1;
+            stats.sum += value;
+            stats.sumSquares += value ** 2;
+        },
+        remove: (stats, value) => {
+            stats.n -= 1;
+            stats.sum -= value;
+            stats.sumSquares -= value ** 2;
+        },
+        score: (stats) => (stats.n ? stats.sum ** 2 / stats.n : 0),
+        pure: (stats) => stats.sumSquares - stats.sum ** 2 / stats.n < 1e-12,
+        leaf: (stats) => ({ value: stats.sum / stats.n })
+    })
+};
+
+const fitTree = (problemType) => (X, y, params, { classes }) => {
+    const maxDepth = params.max_depth === null || params.max_depth === undefined
+        ? MAX_TREE_DEPTH
+        : Math.min(numberParam(params, 'max_depth', null, { min: 1, integer: true }), MAX_TREE_DEPTH);
+    const minSplit = numberParam(params, 'min_samples_split', 2, { min: 2, integer: true });
+    const minLeaf = numberParam(params, 'min_samples_leaf', 1, { min: 1, integer: true });
+    const criterion = treeCriteria[problemType](classes?.length);
+    const features = X[0].length;
+
+    const statsOf = (indices) => {
+        const stats = criterion.empty();
+        for (const i of indices) criterion.add(stats, y[i]);
+        return stats;
+    };
+
+    const bestSplit = (indices, parent) => {
+        let best = null;
+        for (let f = 0; f < features; f += 1) {
+            const sorted = [...indices].sort((a, b) => X[a][f] - X[b][f]);
+            const left = criterion.empty();
+            const right = statsOf(sorted);
+            for (let position = 0; position < sorted.length - 1; position += 1) {
+                const i = sorted[position];
+                criterion.add(left, y[i]);
+                criterion.remove(right, y[i]);
+
+                const here = X[i][f];
+                const next = X[sorted[position + 1]][f];
+                if (here === next || left.n < minLeaf || right.n < minLeaf) continue;
+
+                const gain = criterion.score(left) + criterion.score(right) - criterion.score(parent);
+                if (gain > 1e-12 && (!best || gain > best.gain)) {
+                    best = { gain, feature: f, threshold: (here + next) / 2 };
+                }
+            }
+        }
+        return best;
+    };
+
+    const grow = (indices, depth) => {
+        const stats = statsOf(indices);
+        if (depth >= maxDepth || indices.length < minSplit || criterion.pure(stats)) {
+            return criterion.leaf(stats);
+        }
+
+        const split = bestSplit(indices, stats);
+        if (!split) return criterion.leaf(stats);
+
+        return {
+            feature: split.feature,
+            threshold: split.threshold,
+            left: grow(indices.filter((i) => X[i][split.feature] <= split.threshold), depth + 1),
+            right: grow(indices.filter((i) => X[i][split.feature] > split.threshold), depth + 1)
+        };
+    };
+
+    return { tree: grow(X.map((_, i) => i), 0) };
+};
+
+const leafFor = (node, row) => {
+    let current = node;
+    while (current.value === undefined) {
+        current = row[current.feature] <= current.threshold ? current.left : current.right;
+    }
+    return current.value;
+};
+
+const predictTreeClassifier = (state, X) => {
+    const probabilities = X.map((row) => leafFor(state.tree, row));
+    return { predictions: probabilities.map(argmax), probabilities };
+};
+
+const predictTreeRegressor = (state, X) => ({
+    predictions: X.map((row) => leafFor(state.tree, row))
+});
+
+// ---- k-means (k-means++ initialisation, best of n_init Lloyd runs) ----
+
+const nearestCenter = (centers, row) => {
+    let best = 0;
+    let bestDistance = Infinity;
+    centers.forEach((center, c) => {
+        const distance = squaredDistance(center, row);
+        if (distance < bestDistance) {
+            best = c;
+            bestDistance = distance;
+        }
+    });
+    return { cluster: best, distance: bestDistance };
+};
+
+const kmeansPlusPlus = (X, k, random) => {
+    const centers = [X[Math.floor(random() * X.length)]];
+    while (centers.length < k) {
+        const weights = X.map((row) => nearestCenter(centers, row).distance);
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        let target = random() * total;
+        let chosen = X.length - 1;
+        for (let i = 0; i < X.length; i += 1) {
+            target -= weights[i];
+            if (target <= 0) {
+                chosen = i;
+                break;
+            }
+        }
+        centers.push(X[chosen]);
+    }
+    return centers.map((center) => [...center]);
+};
+
+const lloyd = (X, centers, maxIter, tol) => {
+    let labels = [];
+    let inertia = 0;
+    for (let iteration = 0; iteration < maxIter; iteration += 1) {
+        inertia = 0;
+        labels = X.map((row) => {
+            const { cluster, distance } = nearestCenter(centers, row);
+            inertia += distance;
+            return cluster;
+        });
+
+        let shift = 0;
+        centers.forEach((center, c) => {
+            const members = X.filter((_, i) => labels[i] === c);
+            // An empty cluster restarts at the point farthest from its center
+            const next = members.length
+                ? columnMeans(members)
+                : [...X[argmax(X.map((row, i) => squaredDistance(row, centers[labels[i]])))]];
+            shift += squaredDistance(center, next);
+            centers[c] = next;
+        });
+        if (shift <= tol) break;
+    }
+    return { centers, labels, inertia };
+};
+
+const fitKmeans = (X, y, params, { random }) => {
+    const k = numberParam(params, 'n_clusters', 3, { min: 1, integer: true });
+    const nInit = numberParam(params, 'n_init', 10, { min: 1, integer: true });
+    const maxIter = numberParam(params, 'max_iter', 300, { min: 1, integer: true });
+    if (k > X.length) {
+        throw httpError(400, `n_clusters (${k}) cannot exceed the number of rows (${X.length})`);
+    }
+
+    // scikit-learn's tolerance is relative to the data's variance
+    const means = columnMeans(X);
+    const variance = average(X.map((row) => squaredDistance(row, means))) / means.length;
+    const tol = numberParam(params, 'tol', 1e-4, { min: 0 }) * variance;
+
+    let best = null;
+    for (let run = 0; run < nInit; run += 1) {
+        const result = lloyd(X, kmeansPlusPlus(X, k, random), maxIter, tol);
+        if (!best || result.inertia < best.inertia) best = result;
+    }
+    return { centers: best.centers };
+};
+
+const predictKmeans = (state, X) => ({
+    predictions: X.map((row) => nearestCenter(state.centers, row).cluster)
+});
+
+// ---- PCA ----
+
+const fitPca = (X, y, params) => {
+    const d = X[0].length;
+    const requested = numberParam(params, 'n_components', 2, { min: 1, integer: true });
+    const components = Math.min(requested, d, X.length);
+
+    const mean = columnMeans(X);
+    const covariance = gram(X.map((row) => row.map((v, j) => v - mean[j])))
+        .map((row) => row.map((v) => v / Math.max(1, X.length - 1)));
+    const { values, vectors } = symmetricEigen(covariance);
+    const totalVariance = values.reduce((sum, v) => sum + Math.max(v, 0), 0);
+
+    return {
+        mean,
+        components: vectors.slice(0, components),
+        explainedVariance: values.slice(0, components).map((v) => Math.max(v, 0)),
+        explainedVarianceRatio: values.slice(0, components).map((v) => (totalVariance ? Math.max(v, 0) / totalVariance : 0))
+    };
+};
+
+const predictPca = (state, X) => ({
+    predictions: X.map((row) => {
+        const centered = row.map((v, j) => v - state.mean[j]);
+        return state.components.map((component) => dot(centered, component));
+    })
+});
+
+/**
+ * Algorithms the local engine serves. `scale` standardizes features before
+ * fitting, for the distance- and gradient-based ones.
+ */
+const ALGORITHMS = {
+    linear_regression: {
+        problemType: 'regression',
+        fit: (X, y) => fitLinear(X, y, 0),
+        predict: predictLinear
+    },
+    ridge_regression: {
+        problemType: 'regression',
+        fit: (X, y, params) => fitLinear(X, y, numberParam(params, 'alpha', 1, { min: 0 })),
+        predict: predictLinear
+    },
+    logistic_regression: {
+        problemType: 'classification',
+        scale: true,
+        fit: fitLogistic,
+        predict: predictLogistic
+    },
+    knn_classifier: {
+        problemType: 'classification',
+        scale: true,
+        fit: fitKnn,
+        predict: predictKnnClassifier
+    },
+    knn_regressor: {
+        problemType: 'regression',
+        scale: true,
+        fit: fitKnn,
+        predict: predictKnnRegressor
+    },
+    decision_tree_classifier: {
+        problemType: 'classification',
+        fit: fitTree('classification'),
+        predict: predictTreeClassifier
+    },
+    decision_tree_regressor: {
+        problemType: 'regression',
+        fit: fitTree('regression'),
+        predict: predictTreeRegressor
+    },
+    kmeans: {
+        problemType: 'clustering',
+        fit: fitKmeans,
+        predict: predictKmeans
+    },
+    pca: {
+        problemType: 'dimensionality_reduction',
+        fit: fitPca,
+        predict: predictPca
+    }
+};
+
+module.exports = {
+    ALGORITHMS
+};
@@ -0,0 +1,349 @@
+/**
+ * Local ML Engine
+ * In-process stand-in for the Python ML service, selected with ML_ENGINE=local
+ * for offline development and hermetic tests. Answers the algorithms, train,
+ * evaluate, preprocess and predict operations with the same request and
+ * response shapes, for the algorithms in localAlgorithms. mlClient runs it on
+ * a worker thread (localMlWorker); it is meant for development-sized datasets.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const httpError = require('./httpError');
+const { uploadDir } = require('./blobStore');
+const { seededRandom } = require('./datasetSplits');
+const { isMissing } = require('./columnProfiler');
+const { displayName, resolveHyperparameters } = require('./algorithmCatalog');
+const { ALGORITHMS } = require('./localAlgorithms');
+const { normalizeEncodingOptions, fitEncoder, transformRows } = require('./featureEncoding');
+const { regressionMetrics, classificationMetrics, clusteringMetrics } = require('./evaluationMetrics');
+const { squaredDistance } = require('./matrix');
+
+const ENGINE_VERSION = 'local-1';
+const MODEL_DIR = process.env.LOCAL_MODEL_DIR || path.join(uploadDir, 'models');
+const MODEL_ID_PATTERN = /^local_[0-9a-f]{32}$/;
+const MODEL_CACHE_SIZE = 20;
+
+const modelCache = new Map();
+
+const modelFile = (modelId) => path.join(MODEL_DIR, `${modelId}.json`);
+
+const saveModel = async (model) => {
+    await fs.promises.mkdir(MODEL_DIR, { recursive: true });
+    await fs.promises.writeFile(modelFile(model.id), JSON.stringify(model));
+    cacheModel(model);
+};
+
+const cacheModel = (model) => {
+    modelCache.delete(model.id);
+    modelCache.set(model.id, model);
+    if (modelCache.size > MODEL_CACHE_SIZE) {
+        modelCache.delete(modelCache.keys().next().value);
+    }
+};
+
+// Whether an id names a model this engine trained (other ids belong to remote services)
+const isLocalModelId = (modelId) => typeof modelId === 'string' && MODEL_ID_PATTERN.test(modelId);
+
+const loadModel = async (modelId) => {
+    if (!isLocalModelId(modelId)) {
+        throw httpError(404, `Model ${modelId} was not trained by the local ML engine`);
+    }
+    if (modelCache.has(modelId)) return modelCache.get(modelId);
+
+    try {
+        const model = JSON.parse(await fs.promises.readFile(modelFile(modelId), 'utf8'));
+        cacheModel(model);
+        return model;
+    } catch (error) {
+        if (error.code === 'ENOENT') throw httpError(404, `Model ${modelId} not found`);
+        throw error;
+    }
+};
+
+/**
+ * Remove a stored model and its cache entry. Ids the local engine did not
+ * issue are ignored, so callers need not know which backend trained a model.
+ */
+const deleteModel = async (modelId) => {
+    if (!isLocalModelId(modelId)) return false;
+    modelCache.delete(modelId);
+    try {
+        await fs.promises.unlink(modelFile(modelId));
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+};
+
+const algorithmFor = (algorithm, problemType) => {
+    const spec = ALGORITHMS[algorithm];
+    if (!spec) {
+        throw httpError(400, `Algorithm '${algorithm}' is not available in the local ML engine. Use one of ${Object.keys(ALGORITHMS).join(', ')}`);
+    }
+    if (problemType && problemType !== spec.problemType) {
+        throw httpError(400, `Algorithm '${algorithm}' is for ${spec.problemType}, not ${problemType}`);
+    }
+    return spec;
+};
+
+const isSupervised = (problemType) => problemType === 'classification' || problemType === 'regression';
+
+const labelKey = (label) => String(label);
+
+// Distinct labels in scikit-learn's order: numeric when every label is a number
+const classesOf = (y) => {
+    const byKey = new Map();
+    for (const label of y) if (!byKey.has(labelKey(label))) byKey.set(labelKey(label), label);
+    const labels = [...byKey.values()];
+    return labels.every((label) => typeof label === 'number')
+        ? labels.sort((a, b) => a - b)
+        : labels.sort((a, b) => labelKey(a).localeCompare(labelKey(b)));
+};
+
+/**
+ * Pair rows with targets for a supervised fit or evaluation. Rows without a
+ * target are skipped; regression targets must be numeric.
+ */
+const labelledRows = (X, y, problemType, name) => {
+    if (!Array.isArray(X) || !Array.isArray(y) || X.length !== y.length) {
+        throw httpError(400, `X_${name} and y_${name} must be arrays of the same length`);
+    }
+
+    const rows = [];
+    const targets = [];
+    X.forEach((row, i) => {
+        if (isMissing(y[i])) return;
+        const target = problemType === 'regression' ? Number(y[i]) : y[i];
+        if (problemType === 'regression' && !Number.isFinite(target)) {
+            throw httpError(400, `y_${name}[${i}] must be numeric for regression`);
+        }
+        rows.push(row);
+        targets.push(target);
+    });
+
+    if (rows.length === 0) {
+        throw httpError(400, `X_${name} has no rows with a target value`);
+    }
+    return { X: rows, y: targets };
+};
+
+const contextOf = (model) => ({ classes: model.classes || undefined });
+
+// Predictions in label space; class probabilities are aligned to model.classes
+const predictRows = (model, X) => {
+    const encoded = transformRows(model.encoder, X);
+    const result = ALGORITHMS[model.algorithm].predict(model.state, encoded, contextOf(model));
+    return {
+        encoded,
+        predictions: model.classes ? result.predictions.map((index) => model.classes[index]) : result.predictions,
+        probabilities: result.probabilities
+    };
+};
+
+// Mean squared distance between rows and their projection back from the components
+const reconstructionError = (state, encoded, projections) => encoded.reduce((sum, row, i) => {
+    const restored = state.mean.map((m, j) => m + projections[i].reduce((acc, z, k) => acc + z * state.components[k][j], 0));
+    return sum + squaredDistance(row, restored);
+}, 0) / encoded.length;
+
+const metricsFor = (model, y, { encoded, predictions, probabilities }) => {
+    switch (model.problemType) {
+        case 'regression':
+            return regressionMetrics(y, predictions);
+        case 'classification':
+            return classificationMetrics(y, predictions, { classes: model.classes, probabilities });
+        case 'clustering':
+            return clusteringMetrics(encoded, predictions);
+        default: {
+            const explained = model.state.explainedVarianceRatio.reduce((sum, r) => sum + r, 0);
+            return {
+                explained_variance_ratio: explained,
+                reconstruction_error: reconstructionError(model.state, encoded, predictions)
+            };
+        }
+    }
+};
+
+const evaluateRows = (model, X, y) => {
+    const rows = isSupervised(model.problemType) ? labelledRows(X, y, model.problemType, 'test') : { X, y: [] };
+    const scored = predictRows(model, rows.X);
+    return { ...scored, metrics: metricsFor(model, rows.y, scored) };
+};
+
+const getAlgorithms = async () => {
+    const grouped = {};
+    for (const [name, spec] of Object.entries(ALGORITHMS)) {
+        (grouped[spec.problemType] = grouped[spec.problemType] || []).push({
+            name,
+            display_name: displayName(name),
+            default_hyperparameters: resolveHyperparameters(name)
+        });
+    }
+    return { engine: 'local', version: ENGINE_VERSION, algorithms: grouped };
+};
+
+const train = async (body) => {
+    const { algorithm, problem_type: problemType, X_train, y_train, X_test, y_test } = body;
+    const spec = algorithmFor(algorithm, problemType);
+    const hyperparameters = resolveHyperparameters(algorithm, body.hyperparameters || {});
+    const startedAt = Date.now();
+
+    const training = isSupervised(spec.problemType)
+        ? labelledRows(X_train, y_train, spec.problemType, 'train')
+        : { X: X_train, y: [] };
+    const encoder = fitEncoder(training.X, { scaling: spec.scale ? 'standard' : 'none' });
+    const encoded = transformRows(encoder, training.X);
+
+    const classes = spec.problemType === 'classification' ? classesOf(training.y) : null;
+    const classIndex = new Map((classes || []).map((label, i) => [labelKey(label), i]));
+    const targets = classes ? training.y.map((label) => classIndex.get(labelKey(label))) : training.y;
+    const random = seededRandom(Number.isInteger(body.random_state) ? body.random_state : 0);
+
+    const model = {
+        id: `local_${crypto.randomBytes(16).toString('hex')}`,
+        engineVersion: ENGINE_VERSION,
+        algorithm,
+        problemType: spec.problemType,
+        hyperparameters,
+        encoder,
+        classes,
+        state: spec.fit(encoded, targets, hyperparameters, { classes, random }),
+        trainedAt: new Date().toISOString()
+    };
+    await saveModel(model);
+
+    const trainingMetrics = evaluateRows(model, training.X, training.y).metrics;
+    const test = Array.isArray(X_test) && X_test.length ? evaluateRows(model, X_test, y_test) : null;
+
+    return {
+        model_id: model.id,
+        algorithm,
+        problem_type: spec.problemType,
+        hyperparameters,
+        training_metrics: trainingMetrics,
+        ...(test ? { test_metrics: test.metrics, test_predictions: test.predictions } : {}),
+        metrics: test ? test.metrics : trainingMetrics,
+        ...(classes ? { classes } : {}),
+        ...(spec.problemType === 'dimensionality_reduction'
+            ? { explained_variance_ratio_per_component: model.state.explainedVarianceRatio }
+            : {}),
+        feature_names: encoder.featureNames,
+        training_time: (Date.now() - startedAt) / 1000,
+        engine: 'local'
+    };
+};
+
+const predict = async (body) => {
+    const model = await loadModel(body.model_id);
+    const { predictions, probabilities } = predictRows(model, body.X);
+    const withProbabilities = body.return_probabilities && probabilities;
+    return {
+        predictions,
+        ...(withProbabilities ? { probabilities, classes: model.classes } : {})
+    };
+};
+
+/**
+ * Score a stored model on labelled rows ({ model_id, X_test, y_test }) or
+ * score given predictions ({ problem_type, y_true, y_pred }).
+ */
+const evaluate = async (body) => {
+    if (body.model_id) {
+        const model = await loadModel(body.model_id);
+        const { metrics, predictions } = evaluateRows(model, body.X_test, body.y_test);
+        return { metrics, predictions };
+    }
+
+    const { problem_type: problemType, y_true: yTrue, y_pred: yPred } = body;
+    if (!Array.isArray(yTrue) || !Array.isArray(yPred) || yTrue.length !== yPred.length || yTrue.length === 0) {
+        throw httpError(400, 'y_true and y_pred must be non-empty arrays of the same length');
+    }
+    if (problemType === 'regression') {
+        return { metrics: regressionMetrics(yTrue.map(Number), yPred.map(Number)) };
+    }
+    if (problemType === 'classification') {
+        return { metrics: classificationMetrics(yTrue, yPred) };
+    }
+    throw httpError(400, 'problem_type must be classification or regression to evaluate predictions');
+};
+
+const describeSteps = (encoder, options, dropped) => {
+    const steps = [];
+    if (dropped) steps.push(`Dropped ${dropped} rows with missing values`);
+    const numeric = encoder.columns.filter((c) => c.kind === 'numeric').map((c) => c.name);
+    const categorical = encoder.columns.filter((c) => c.kind === 'categorical');
+    if (numeric.length && options.missing !== 'drop') {
+        steps.push(`Filled missing values in ${numeric.join(', ')} with the ${options.missing.replace('_', ' ')} value`);
+    }
+    for (const column of categorical) {
+        steps.push(options.encoding === 'onehot'
+            ? `One-hot encoded ${column.name} (${column.categories.length} categories)`
+            : `Label encoded ${column.name} (${column.categories.length} categories)`);
+    }
+    if (options.scaling !== 'none') {
+        steps.push(`${options.scaling === 'standard' ? 'Standardized' : 'Min-max scaled'} ${encoder.featureNames.length} columns`);
+    }
+    return steps;
+};
+
+/**
+ * Impute, encode and scale feature columns; the target column passes through
+ * unchanged. Options: handle_missing, encoding, scaling.
+ */
+const preprocess = async (body) => {
+    const { data, columns, target_column: targetColumn } = body;
+    if (!Array.isArray(data) || !Array.isArray(columns)) {
+        throw httpError(400, 'data and columns are required');
+    }
+    const options = normalizeEncodingOptions(body.preprocessing_options);
+
+    const targetIndex = targetColumn ? columns.indexOf(targetColumn) : -1;
+    const featureIndexes = columns.map((_, j) => j).filter((j) => j !== targetIndex);
+    const kept = options.missing === 'drop'
+        ? data.filter((row) => featureIndexes.every((j) => !isMissing(row[j])))
+        : data;
+    if (kept.length === 0) {
+        throw httpError(400, 'No rows left to preprocess');
+    }
+
+    const features = kept.map((row) => featureIndexes.map((j) => row[j]));
+    const encoder = fitEncoder(features, { ...options, names: featureIndexes.map((j) => columns[j]) });
+    const encoded = transformRows(encoder, features);
+    const hasTarget = targetIndex !== -1;
+
+    return {
+        processed_data: hasTarget ? encoded.map((row, i) => [...row, kept[i][targetIndex]]) : encoded,
+        columns: hasTarget ? [...encoder.featureNames, targetColumn] : encoder.featureNames,
+        preprocessing_steps: describeSteps(encoder, options, data.length - kept.length),
+        preprocessing_pipeline: encoder,
+        original_shape: [data.length, columns.length],
+        processed_shape: [kept.length, encoder.featureNames.length + (hasTarget ? 1 : 0)]
+    };
+};
+
+const OPERATIONS = {
+    algorithms: getAlgorithms,
+    train,
+    evaluate,
+    predict,
+    preprocess
+};
+
+// Run an ML service operation in process; unsupported ones answer 501
+const run = async (name, body = {}) => {
+    const operation = OPERATIONS[name];
+    if (!operation) {
+        throw httpError(501, `The local ML engine does not support '${name}'; use the ML service (ML_ENGINE=remote)`);
+    }
+    return operation(body);
+};
+
+module.exports = {
+    ENGINE_VERSION,
+    run,
+    isLocalModelId,
+    deleteModel
+};
@@ -0,0 +1,94 @@
+/**
+ * Local ML Worker
+ * Runs the local ML engine on a worker thread so training and prediction do
+ * not block the API server's event loop (job heartbeats, HTTP requests). One
+ * worker serves every call in arrival order; it is started on first use and
+ * replaced if it dies.
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+// Errors cross the thread boundary as plain objects; keep what callers look at
+const serializeError = (error) => ({
+    message: error.message,
+    status: error.status,
+    errors: error.errors
+});
+
+const deserializeError = ({ message, status, errors }) => {
+    const error = new Error(message);
+    if (status !== undefined) error.status = status;
+    if (errors !== undefined) error.errors = errors;
+    return error;
+};
+
+if (!isMainThread && workerData?.localMlWorker) {
+    const localMlEngine = require('./localMlEngine');
+
+    parentPort.on('message', async ({ id, method, args }) => {
+        try {
+            parentPort.postMessage({ id, result: await localMlEngine[method](...args) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: serializeError(error) });
+        }
+    });
+}
+
+const pending = new Map();
+let worker = null;
+let nextId = 0;
+
+const failPending = (error) => {
+    for (const { reject } of pending.values()) reject(error);
+    pending.clear();
+};
+
+const startWorker = () => {
+    // Pass the environment explicitly so the worker sees this thread's configuration
+    const started = new Worker(__filename, { env: process.env, workerData: { localMlWorker: true } });
+    started.unref();
+
+    started.on('message', ({ id, result, error }) => {
+        const request = pending.get(id);
+        if (!request) return;
+        pending.delete(id);
+        if (error) request.reject(deserializeError(error));
+        else request.resolve(result);
+    });
+    started.on('error', (error) => {
+        if (worker === started) worker = null;
+        failPending(error);
+    });
+    started.on('exit', (code) => {
+        if (worker === started) worker = null;
+        failPending(new Error(`Local ML engine worker exited with code ${code}`));
+    });
+
+    return started;
+};
+
+const call = (method, ...args) => new Promise((resolve, reject) => {
+    if (!worker) worker = startWorker();
+    const id = nextId;
+    nextId += 1;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, method, args });
+});
+
+// Stop the worker; the next call starts a fresh one
+const stop = async () => {
+    if (!worker) return;
+    const stopping = worker;
+    worker = null;
+    await stopping.terminate();
+};
+
+// Same signatures as localMlEngine.run and localMlEngine.deleteModel
+const run = (name, body) => call('run', name, body);
+const deleteModel = (modelId) => call('deleteModel', modelId);
+
+module.exports = {
+    run,
+    deleteModel,
+    stop
+};
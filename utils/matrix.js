@@ -0,0 +1,139 @@
+/**
+ * Matrix
+ * Small dense linear-algebra helpers for the local ML engine. Matrices are
+ * arrays of row arrays.
+ */
+
+const dot = (a, b) => {
+    let total = 0;
+    for (let i = 0; i < a.length; i += 1) total += a[i] * b[i];
+    return total;
+};
+
+const squaredDistance = (a, b) => {
+    let total = 0;
+    for (let i = 0; i < a.length; i += 1) total += (a[i] - b[i]) ** 2;
+    return total;
+};
+
+const columnMeans = (rows) => {
+    const means = new Array(rows[0].length).fill(0);
+    for (const row of rows) {
+        for (let j = 0; j < row.length; j += 1) means[j] += row[j];
+    }
+    return means.map((total) => total / rows.length);
+};
+
+// X'X for rows already centered (or not); d x d
+const gram = (rows) => {
+    const d = rows[0].length;
+    const result = Array.from({ length: d }, () => new Array(d).fill(0));
+    for (const row of rows) {
+        for (let i = 0; i < d; i += 1) {
+            const xi = row[i];
+            if (xi === 0) continue;
+            for (let j = i; j < d; j += 1) result[i][j] += xi * row[j];
+        }
+    }
+    for (let i = 0; i < d; i += 1) {
+        for (let j = 0; j < i; j += 1) result[i][j] = result[j][i];
+    }
+    return result;
+};
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting.
+ * Returns null when A is singular.
+ */
+const solve = (A, b) => {
+    const n = A.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col += 1) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r += 1) {
+            if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let r = col + 1; r < n; r += 1) {
+            const factor = m[r][col] / m[col][col];
+            if (factor === 0) continue;
+            for (let c = col; c <= n; c += 1) m[r][c] -= factor * m[col][c];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r -= 1) {
+        let total = m[r][n];
+        for (let c = r + 1; c < n; c += 1) total -= m[r][c] * x[c];
+        x[r] = total / m[r][r];
+    }
+    return x;
+};
+
+/**
+ * Eigen-decomposition of a symmetric matrix by cyclic Jacobi rotations.
+ * Returns { values, vectors } sorted by descending eigenvalue; vectors[k]
+ * is the unit eigenvector for values[k].
+ */
+const symmetricEigen = (S, { maxSweeps = 100, tolerance = 1e-12 } = {}) => {
+    const n = S.length;
+    const a = S.map((row) => [...row]);
+    const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < maxSweeps; sweep += 1) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p += 1) {
+            for (let q = p + 1; q < n; q += 1) offDiagonal += a[p][q] ** 2;
+        }
+        if (offDiagonal < tolerance) break;
+
+        for (let p = 0; p < n; p += 1) {
+            for (let q = p + 1; q < n; q += 1) {
+                if (Math.abs(a[p][q]) < 1e-300) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta ** 2 + 1));
+                const c = 1 / Math.sqrt(t ** 2 + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k += 1) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k += 1) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k += 1) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    return Array.from({ length: n }, (_, k) => ({ value: a[k][k], vector: v.map((row) => row[k]) }))
+        .sort((x, y) => y.value - x.value)
+        .reduce((result, { value, vector }) => {
+            result.values.push(value);
+            result.vectors.push(vector);
+            return result;
+        }, { values: [], vectors: [] });
+};
+
+module.exports = {
+    dot,
+    squaredDistance,
+    columnMeans,
+    gram,
+    solve,
+    symmetricEigen
+};
@@ -0,0 +1,83 @@
+/**
+ * Metrics
+ * Metric direction and ranking helpers shared by comparisons and leaderboards
+ */
+
+// Error and dispersion metrics where smaller values are better
+const LOWER_IS_BETTER = new Set([
+    'mse',
+    'rmse',
+    'mae',
+    'mape',
+    'median_absolute_error',
+    'max_error',
+    'log_loss',
+    'hamming_loss',
+    'davies_bouldin_score',
+    'inertia',
+    'reconstruction_error'
+]);
+
+const isLowerBetter = (metric) => LOWER_IS_BETTER.has(metric);
+
+const toScore = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Held-out metrics when present, otherwise training metrics
+const experimentScore = (experiment, metric) =>
+    toScore(experiment.testMetrics?.[metric]) ?? toScore(experiment.trainingMetrics?.[metric]);
+
+// Cross-validated mean when available, otherwise the held-out score; used to pick best models
+const selectionScore = (experiment, metric) =>
+    toScore(experiment.cvResults?.mean?.[metric]) ?? experimentScore(experiment, metric);
+
+// Numeric metric names reported by any of the experiments
+const availableMetrics = (experiments) => {
+    const names = new Set();
+    for (const experiment of experiments) {
+        for (const metrics of [experiment.cvResults?.mean, experiment.testMetrics, experiment.trainingMetrics]) {
+            for (const [name, value] of Object.entries(metrics || {})) {
+                if (toScore(value) !== null) names.add(name);
+            }
+        }
+    }
+    return [...names].sort();
+};
+
+/**
+ * Sort items best-first by a metric. Items without a score go last, keeping their order.
+ * `scoreOf(item)` returns a number or null.
+ */
+const rankBy = (items, scoreOf, metric) => {
+    const direction = isLowerBetter(metric) ? 1 : -1;
+    return items
+        .map((item, index) => ({ item, index, score: scoreOf(item) }))
+        .sort((a, b) => {
+            if (a.score === null || b.score === null) {
+                return (a.score === null) - (b.score === null) || a.index - b.index;
+            }
+            return direction * (a.score - b.score) || a.index - b.index;
+        });
+};
+
+/**
+ * Pair held-out labels with the ML service's test-set predictions so later
+ * comparisons can test models sample by sample. Returns undefined when the
+ * service did not send one prediction per test row.
+ */
+const heldOutPredictions = (mlResult, yTest) => {
+    const predictions = mlResult.test_predictions || mlResult.predictions;
+    if (!Array.isArray(yTest) || !Array.isArray(predictions) || predictions.length !== yTest.length) {
+        return undefined;
+    }
+    return { y_true: yTest, y_pred: predictions };
+};
+
+module.exports = {
+    isLowerBetter,
+    toScore,
+    experimentScore,
+    selectionScore,
+    availableMetrics,
+    rankBy,
+    heldOutPredictions
+};
@@ -0,0 +1,277 @@
+/**
+ * ML Backends
+ * Registry of the ML services the API server can call. Each backend declares
+ * the algorithms it serves (read from its /ml/algorithms), is health-checked
+ * periodically and carries its own circuit breaker; requests are routed to the
+ * first backend, in configured order, that serves the algorithm and is healthy.
+ *
+ * Configure with ML_BACKENDS=name=url,name=url. A url of `local` is the
+ * built-in JavaScript engine. Without ML_BACKENDS a single `default` backend
+ * uses ML_SERVICE_URL (or the local engine when ML_ENGINE=local).
+ *
+ * Backends may also list `capabilities` in that answer: `gzip` (accepts
+ * gzip-encoded request bodies), `columnar` (see columnarPayload) and
+ * `dataset_refs` (accepts datasets uploaded once to /ml/datasets). Until a
+ * backend reports them it gets plain JSON.
+ */
+
+const axios = require('axios');
+const httpError = require('./httpError');
+const localMlEngine = require('./localMlEngine');
+
+const HEALTH_INTERVAL_MS = Number(process.env.ML_HEALTH_INTERVAL_MS) || 30 * 1000;
+const HEALTH_TIMEOUT_MS = 10 * 1000;
+const BREAKER_THRESHOLD = Number(process.env.ML_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = Number(process.env.ML_BREAKER_COOLDOWN_MS) || 30 * 1000;
+const LOCAL_URL = 'local';
+
+const createBackend = (name, url) => ({
+    name,
+    url,
+    local: url === LOCAL_URL,
+    // Until the first health check a backend is trusted and serves any algorithm
+    healthy: true,
+    algorithms: null,
+    version: null,
+    capabilities: [],
+    // Dataset key -> id of the copy uploaded to this backend
+    datasets: new Map(),
+    lastCheckedAt: null,
+    lastError: null,
+    breaker: { state: 'closed', failures: 0, openedAt: null, probing: false }
+});
+
+const parseBackends = () => {
+    const config = process.env.ML_BACKENDS;
+    if (!config) {
+        return process.env.ML_ENGINE === 'local'
+            ? [createBackend('local', LOCAL_URL)]
+            : [createBackend('default', process.env.ML_SERVICE_URL || 'http://localhost:8000')];
+    }
+
+    const backends = config.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+        const separator = entry.indexOf('=');
+        const name = entry.slice(0, separator).trim();
+        const url = entry.slice(separator + 1).trim().replace(/\/+$/, '');
+        if (separator < 1 || !url) {
+            throw new Error(`ML_BACKENDS entry '${entry}' must look like name=url`);
+        }
+        return createBackend(name, url);
+    });
+
+    const names = backends.map((b) => b.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+        throw new Error(`ML_BACKENDS lists '${duplicate}' more than once`);
+    }
+    return backends;
+};
+
+const backends = parseBackends();
+
+const findBackend = (name) => backends.find((b) => b.name === name) || null;
+
+// ---- Circuit breaker ----
+
+const cooldownLeft = (backend) => Math.max(0, backend.breaker.openedAt + BREAKER_COOLDOWN_MS - Date.now());
+
+// Closed passes everything; open passes nothing until the cooldown ends, then one probe at a time
+const breakerAdmits = (backend) => {
+    const { breaker } = backend;
+    if (breaker.state === 'open' && cooldownLeft(backend) === 0) {
+        breaker.state = 'half_open';
+    }
+    return breaker.state === 'closed' || (breaker.state === 'half_open' && !breaker.probing);
+};
+
+const recordSuccess = (backend) => {
+    Object.assign(backend.breaker, { state: 'closed', failures: 0, openedAt: null, probing: false });
+};
+
+const recordFailure = (backend) => {
+    const { breaker } = backend;
+    breaker.failures += 1;
+    breaker.probing = false;
+    if (breaker.state === 'half_open' || breaker.failures >= BREAKER_THRESHOLD) {
+        if (breaker.state !== 'open') {
+            console.warn(`⚠️ ML backend '${backend.name}' circuit opened after ${breaker.failures} failures`);
+        }
+        breaker.state = 'open';
+        breaker.openedAt = Date.now();
+    }
+};
+
+// ---- Routing ----
+
+const serves = (backend, algorithm) => !backend.algorithms || backend.algorithms.includes(algorithm);
+
+const isAvailable = (backend) => backend.local || (backend.healthy && breakerAdmits(backend));
+
+const unavailableError = (candidates, what) => {
+    const waits = candidates.filter((b) => b.breaker.state === 'open').map(cooldownLeft);
+    const retryAfter = Math.max(1, Math.ceil((waits.length ? Math.min(...waits) : HEALTH_INTERVAL_MS) / 1000));
+    const error = httpError(503, `No healthy ML backend is available for ${what}; retry in ${retryAfter}s`);
+    error.retryAfter = retryAfter;
+    return error;
+};
+
+/**
+ * Pick the backend for a request. `algorithms` are the ones the request needs
+ * (all must be served); `backend` pins the request to one named backend, e.g.
+ * where a model was trained; `avoid` is a backend that just failed, used only
+ * when nothing else can take the request.
+ */
+const selectBackend = ({ algorithms = [], backend: pinned, avoid } = {}) => {
+    let candidates;
+    let what;
+    if (pinned) {
+        const backend = findBackend(pinned);
+        if (!backend) throw httpError(503, `ML backend '${pinned}' is no longer configured`);
+        candidates = [backend];
+        what = `backend '${pinned}'`;
+    } else {
+        candidates = backends.filter((b) => algorithms.every((algorithm) => serves(b, algorithm)));
+        what = algorithms.length ? `'${algorithms.join("', '")}'` : 'this request';
+        if (candidates.length === 0) {
+            throw httpError(400, `No ML backend serves ${what}`);
+        }
+    }
+
+    const available = candidates.filter(isAvailable);
+    const chosen = available.find((b) => b !== avoid) || available[0];
+    if (!chosen) throw unavailableError(candidates, what);
+
+    if (chosen.breaker.state === 'half_open') chosen.breaker.probing = true;
+    return chosen;
+};
+
+// ---- Health checks ----
+
+const reportedVersion = (data) => data?.version || data?.service_version || data?.ml_service_version || null;
+
+// Algorithm names from an /ml/algorithms answer: lists of names or of { name }, grouped or not
+const algorithmNames = (data) => {
+    const names = new Set();
+    const visit = (value) => {
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                if (typeof item === 'string') names.add(item);
+                else if (item && typeof item === 'object' && (item.name || item.id)) names.add(item.name || item.id);
+            }
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(visit);
+        }
+    };
+    visit(data?.algorithms ?? data);
+    return names.size ? [...names].sort() : null;
+};
+
+const reportedCapabilities = (data) => (Array.isArray(data?.capabilities)
+    ? data.capabilities.filter((capability) => typeof capability === 'string')
+    : []);
+
+const supports = (backend, capability) => backend.capabilities.includes(capability);
+
+const fetchCatalog = async (backend) => {
+    if (backend.local) return localMlEngine.run('algorithms');
+    const { data } = await axios.get(`${backend.url}/ml/algorithms`, { timeout: HEALTH_TIMEOUT_MS });
+    return data;
+};
+
+// Refresh one backend's health and algorithm list; failing backends leave rotation until they pass again
+const checkHealth = async (backend) => {
+    try {
+        const data = await fetchCatalog(backend);
+        if (!backend.healthy) console.log(`✅ ML backend '${backend.name}' is healthy again`);
+        const version = reportedVersion(data);
+        // A new service version starts without the datasets uploaded to the old one
+        if (version !== backend.version) backend.datasets.clear();
+        Object.assign(backend, {
+            healthy: true,
+            algorithms: algorithmNames(data),
+            version,
+            capabilities: reportedCapabilities(data),
+            lastError: null
+        });
+    } catch (error) {
+        if (backend.healthy) console.warn(`⚠️ ML backend '${backend.name}' failed its health check: ${error.message}`);
+        Object.assign(backend, { healthy: false, lastError: error.message });
+    }
+    backend.lastCheckedAt = new Date();
+    return backend;
+};
+
+const checkAll = () => Promise.all(backends.map(checkHealth));
+
+let healthTimer = null;
+
+const startHealthChecks = () => {
+    if (healthTimer) return;
+    checkAll();
+    healthTimer = setInterval(checkAll, HEALTH_INTERVAL_MS);
+    healthTimer.unref();
+};
+
+const stopHealthChecks = () => {
+    clearInterval(healthTimer);
+    healthTimer = null;
+};
+
+/**
+ * Version the named backend reports, checking it first if it has not been
+ * checked yet. Null when unknown.
+ */
+const backendVersion = async (name) => {
+    const backend = findBackend(name);
+    if (!backend) return null;
+    if (!backend.lastCheckedAt) await checkHealth(backend);
+    return backend.version;
+};
+
+/**
+ * Algorithms served by the backends in rotation, each mapped to the names of
+ * the backends serving it. Backends not checked yet are checked first; ones
+ * whose answer listed no algorithms contribute none.
+ */
+const servedAlgorithms = async () => {
+    await Promise.all(backends.filter((b) => !b.lastCheckedAt).map(checkHealth));
+    const available = backends.filter(isAvailable);
+    if (available.length === 0) throw unavailableError(backends, 'the algorithm catalog');
+
+    const served = new Map();
+    for (const backend of available) {
+        for (const name of backend.algorithms || []) {
+            served.set(name, [...(served.get(name) || []), backend.name]);
+        }
+    }
+    return served;
+};
+
+const describeBackends = () => backends.map((backend) => ({
+    name: backend.name,
+    url: backend.url,
+    healthy: backend.healthy,
+    circuit: backend.local ? 'closed' : backend.breaker.state,
+    ...(backend.breaker.state === 'open' ? { retryAfterSeconds: Math.ceil(cooldownLeft(backend) / 1000) } : {}),
+    algorithms: backend.algorithms,
+    version: backend.version,
+    capabilities: backend.capabilities,
+    uploadedDatasets: backend.datasets.size,
+    lastCheckedAt: backend.lastCheckedAt,
+    lastError: backend.lastError
+}));
+
+module.exports = {
+    backends,
+    selectBackend,
+    recordSuccess,
+    recordFailure,
+    supports,
+    checkHealth,
+    checkAll,
+    startHealthChecks,
+    stopHealthChecks,
+    backendVersion,
+    servedAlgorithms,
+    describeBackends
+};
@@ -0,0 +1,254 @@
+/**
+ * ML Client
+ * The one way the API server talks to the ML services: routes each call to a
+ * backend that serves its algorithm (see mlBackends), with per-operation
+ * timeouts and jittered retries that fail over to another backend when one
+ * stops answering. Responses carry `ml_backend`, the backend that served them.
+ *
+ * Bodies are shrunk to what each backend accepts (see mlBackends
+ * capabilities): columnar-encoded matrices, gzip above ML_GZIP_MIN_BYTES, and
+ * shared datasets uploaded once and then referenced by id.
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const axios = require('axios');
+const httpError = require('./httpError');
+const localMlWorker = require('./localMlWorker');
+const { isLocalModelId } = require('./localMlEngine');
+const mlBackends = require('./mlBackends');
+const columnarPayload = require('./columnarPayload');
+
+const gzip = promisify(zlib.gzip);
+
+const MAX_RETRIES = Number(process.env.ML_MAX_RETRIES ?? 3);
+const RETRY_BASE_MS = Number(process.env.ML_RETRY_BASE_MS) || 500;
+const RETRY_MAX_MS = 10 * 1000;
+const GZIP_MIN_BYTES = Number(process.env.ML_GZIP_MIN_BYTES ?? 64 * 1024);
+// Uploaded datasets remembered per backend; the oldest is forgotten first
+const MAX_UPLOADED_DATASETS = 20;
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Idempotent operations are retried on any transient failure; the rest only
+// when the request provably never reached the service
+const OPERATIONS = {
+    algorithms: { method: 'get', path: '/ml/algorithms', timeout: 15 * SECOND, idempotent: true },
+    preprocess: { method: 'post', path: '/ml/preprocess', timeout: 2 * MINUTE, idempotent: true },
+    evaluate: { method: 'post', path: '/ml/evaluate', timeout: 2 * MINUTE, idempotent: true },
+    predict: { method: 'post', path: '/ml/predict', timeout: MINUTE, idempotent: true },
+    train: { method: 'post', path: '/ml/train', timeout: 15 * MINUTE, idempotent: false },
+    tune: { method: 'post', path: '/ml/tune', timeout: 30 * MINUTE, idempotent: false },
+    compareModels: { method: 'post', path: '/ml/compare-models', timeout: 30 * MINUTE, idempotent: false }
+};
+
+// Sent to one chosen backend on behalf of a call, never routed on its own. Uploads
+// are keyed by content, so repeating one is harmless even when the call is not.
+const DATASET_UPLOAD = { method: 'post', path: '/ml/datasets', timeout: 5 * MINUTE, idempotent: true };
+
+// Connection never established: safe to retry any operation
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH']);
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT']);
+// Gateway answers while the service is cold-starting or overloaded; 502 and 503
+// mean the request never reached the application
+const UNAVAILABLE_STATUSES = new Set([429, 502, 503, 504]);
+const NOT_REACHED_STATUSES = new Set([502, 503]);
+
+// No answer at all, or a gateway saying the service can't answer right now
+const isUnavailable = (error) => !error.response || UNAVAILABLE_STATUSES.has(error.response.status);
+
+const isRetryable = (error, operation) => {
+    const notReached = error.response
+        ? NOT_REACHED_STATUSES.has(error.response.status)
+        : NOT_SENT_CODES.has(error.code);
+    return notReached || (operation.idempotent && isUnavailable(error));
+};
+
+// Full jitter: a random wait up to the exponential backoff for this attempt
+const backoff = (attempt) => Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Errors without a service response become 503/504 with a readable message; errors
+// raised here with a status (such as a malformed upload reply) pass through
+const describeFailure = (error, name, operation, backend) => {
+    if (error.response || error.status) return error;
+    if (TIMEOUT_CODES.has(error.code)) {
+        return httpError(504, `ML backend '${backend.name}' timed out after ${operation.timeout / SECOND}s (${name})`);
+    }
+    return httpError(503, `ML backend '${backend.name}' is unreachable at ${backend.url}: ${error.code || error.message}`);
+};
+
+// Algorithms a request needs its backend to serve
+const requestedAlgorithms = (body) => {
+    if (Array.isArray(body?.algorithms)) return body.algorithms;
+    return body?.algorithm ? [body.algorithm] : [];
+};
+
+// ---- Payloads ----
+
+/**
+ * A dataset several calls train on. Pass it as `dataset` with `train_indices`
+ * (and optionally `test_indices`) instead of X_train/y_train/X_test/y_test:
+ * backends with `dataset_refs` receive the rows once and then only a
+ * `dataset_ref` and the indices; other backends get the rows copied out.
+ * `key` must change whenever the rows do, e.g. dataset, version and target.
+ */
+const sharedDataset = ({ key, X, y }) => ({ key, X, y });
+
+const pick = (values, indices) => indices.map((i) => values[i]);
+
+const inlineDataset = ({ dataset, train_indices: trainIndices, test_indices: testIndices, ...rest }) => ({
+    ...rest,
+    X_train: pick(dataset.X, trainIndices),
+    y_train: pick(dataset.y, trainIndices),
+    ...(testIndices ? { X_test: pick(dataset.X, testIndices), y_test: pick(dataset.y, testIndices) } : {})
+});
+
+const serialize = async (body, backend) => {
+    if (body === undefined) return {};
+    const json = JSON.stringify(mlBackends.supports(backend, 'columnar') ? columnarPayload.encodeBody(body) : body);
+    const headers = { 'Content-Type': 'application/json' };
+    if (!mlBackends.supports(backend, 'gzip') || Buffer.byteLength(json) < GZIP_MIN_BYTES) {
+        return { data: json, headers };
+    }
+    return { data: await gzip(json), headers: { ...headers, 'Content-Encoding': 'gzip' } };
+};
+
+const send = async (backend, operation, body) => {
+    const { data, headers } = await serialize(body, backend);
+    const response = await axios.request({
+        method: operation.method,
+        url: `${backend.url}${operation.path}`,
+        data,
+        headers,
+        timeout: operation.timeout
+    });
+    return response.data;
+};
+
+// Upload a shared dataset to a backend once; concurrent and later calls reuse the same upload.
+// Failures are marked so the retry decision follows DATASET_UPLOAD, not the call it serves.
+const uploadDataset = (backend, dataset) => {
+    const { datasets } = backend;
+    let upload = datasets.get(dataset.key);
+    if (upload) {
+        datasets.delete(dataset.key);
+    } else {
+        upload = send(backend, DATASET_UPLOAD, { key: dataset.key, X: dataset.X, y: dataset.y }).then((data) => {
+            const ref = data?.dataset_id || data?.id;
+            if (!ref) throw httpError(502, `ML backend '${backend.name}' did not return an id for the uploaded dataset`);
+            return ref;
+        }).catch((error) => {
+            error.datasetUpload = true;
+            throw error;
+        });
+        // Forget a failed upload, unless a newer one for the key has replaced it
+        const pending = upload;
+        upload.catch(() => {
+            if (datasets.get(dataset.key) === pending) datasets.delete(dataset.key);
+        });
+    }
+    datasets.set(dataset.key, upload);
+    if (datasets.size > MAX_UPLOADED_DATASETS) datasets.delete(datasets.keys().next().value);
+    return upload;
+};
+
+const resolveDataset = async (body, backend) => {
+    if (!body?.dataset) return body;
+    if (backend.local || !mlBackends.supports(backend, 'dataset_refs')) return inlineDataset(body);
+    const { dataset, ...rest } = body;
+    return { ...rest, dataset_ref: await uploadDataset(backend, dataset) };
+};
+
+// The backend dropped an uploaded dataset (restart, eviction)
+const isStaleDataset = (error) => error.response?.status === 404 && error.response.data?.code === 'dataset_not_found';
+
+// Send a call, uploading its dataset again once if the backend no longer has it
+const sendCall = async (backend, operation, body) => {
+    try {
+        return await send(backend, operation, await resolveDataset(body, backend));
+    } catch (error) {
+        if (!body?.dataset || !isStaleDataset(error)) throw error;
+        backend.datasets.delete(body.dataset.key);
+        return send(backend, operation, await resolveDataset(body, backend));
+    }
+};
+
+const tagged = (data, backend) => (data && typeof data === 'object' && !Array.isArray(data)
+    ? { ...data, ml_backend: backend.name }
+    : data);
+
+/**
+ * Call an ML service operation and resolve to the response body.
+ * `options.backend` pins the call to a named backend (where a model lives).
+ * Service errors keep their axios shape (error.response) so callers can read
+ * the service's own message.
+ */
+const call = async (name, body, options = {}) => {
+    const operation = OPERATIONS[name];
+    if (!operation) {
+        throw new Error(`Unknown ML service operation '${name}'`);
+    }
+
+    let failed = null;
+    let lastError = null;
+    for (let attempt = 0; ; attempt += 1) {
+        let backend;
+        try {
+            backend = mlBackends.selectBackend({
+                algorithms: requestedAlgorithms(body),
+                backend: options.backend,
+                avoid: failed
+            });
+        } catch (error) {
+            // Nothing left to fail over to: report the failure that got us here
+            throw lastError
+                ? describeFailure(lastError, name, lastError.datasetUpload ? DATASET_UPLOAD : operation, failed)
+                : error;
+        }
+        if (backend.local) {
+            return tagged(await localMlWorker.run(name, await resolveDataset(body, backend)), backend);
+        }
+
+        try {
+            const data = await sendCall(backend, operation, body);
+            mlBackends.recordSuccess(backend);
+            return tagged(data, backend);
+        } catch (error) {
+            // A service that answered is up, even if it rejected this request
+            if (isUnavailable(error)) mlBackends.recordFailure(backend);
+            else mlBackends.recordSuccess(backend);
+
+            const failedOperation = error.datasetUpload ? DATASET_UPLOAD : operation;
+            if (attempt >= MAX_RETRIES || !isRetryable(error, failedOperation)) {
+                throw describeFailure(error, name, failedOperation, backend);
+            }
+            failed = backend;
+            lastError = error;
+            await sleep(backoff(attempt));
+        }
+    }
+};
+
+const status = () => ({ backends: mlBackends.describeBackends() });
+
+// Free a trained model's artifact. Only the local engine stores artifacts on this
+// server; remote services own their storage, so other ids are left alone without
+// starting the local engine's worker.
+const deleteModel = async (modelId) => (isLocalModelId(modelId) ? localMlWorker.deleteModel(modelId) : false);
+
+module.exports = {
+    call,
+    status,
+    sharedDataset,
+    deleteModel,
+    getAlgorithms: (options) => call('algorithms', undefined, options),
+    preprocess: (body, options) => call('preprocess', body, options),
+    evaluate: (body, options) => call('evaluate', body, options),
+    predict: (body, options) => call('predict', body, options),
+    train: (body, options) => call('train', body, options),
+    tune: (body, options) => call('tune', body, options),
+    compareModels: (body, options) => call('compareModels', body, options)
+};
@@ -0,0 +1,194 @@
+/**
+ * Model Registry
+ * Registers experiment artifacts as numbered model versions and moves them
+ * between stages. RegisteredModel.productionVersion names the one production
+ * version; it is swapped atomically and version stages follow it.
+ */
+
+const RegisteredModel = require('../models/RegisteredModel');
+const ModelVersion = require('../models/ModelVersion');
+const httpError = require('./httpError');
+
+const findModel = async (user, name) => {
+    const model = await RegisteredModel.findOne({ user, name });
+    if (!model) {
+        throw httpError(404, `Model '${name}' is not registered`);
+    }
+    return model;
+};
+
+const findModelVersion = async (model, version) => {
+    const found = await ModelVersion.findOne({ registeredModel: model._id, version: Number(version) });
+    if (!found) {
+        throw httpError(404, `Model '${model.name}' has no version ${version}`);
+    }
+    return found;
+};
+
+const recordStage = (modelVersion, to, { user, reason, replacedVersion }) => {
+    modelVersion.stageHistory.push({ from: modelVersion.stage, to, reason, replacedVersion, changedBy: user });
+    modelVersion.stage = to;
+};
+
+const lastPromotion = (modelVersion) =>
+    [...modelVersion.stageHistory].reverse().find((change) => change.to === 'production');
+
+// The version the production pointer names. Models promoted before the pointer
+// existed fall back to the version whose stage says production.
+const findProductionVersion = (model) => (model.productionVersion
+    ? ModelVersion.findOne({ registeredModel: model._id, version: model.productionVersion })
+    : ModelVersion.findOne({ registeredModel: model._id, stage: 'production' }));
+
+// Archive a version the pointer has moved away from, unless something already did
+const archiveReplaced = async (model, version, { user, reason }) => {
+    const replaced = await ModelVersion.findOne({ registeredModel: model._id, version, stage: 'production' });
+    if (replaced) {
+        recordStage(replaced, 'archived', { user, reason });
+        await replaced.save();
+    }
+};
+
+// A promotion that lost a race to a later one steps aside like any replaced version
+const settleProduction = async (model, modelVersion, user) => {
+    const { productionVersion } = await RegisteredModel.findById(model._id).select('productionVersion');
+    if (productionVersion && productionVersion !== modelVersion.version && modelVersion.stage === 'production') {
+        recordStage(modelVersion, 'archived', { user, reason: `Replaced by version ${productionVersion}` });
+        await modelVersion.save();
+    }
+};
+
+/**
+ * Register a completed experiment under `name`, creating the model on first use.
+ * Version numbers come from an atomic counter so concurrent registrations never collide.
+ */
+const registerVersion = async ({ user, name, description, experiment }) => {
+    if (experiment.status !== 'completed') {
+        throw httpError(400, `Only completed experiments can be registered; this one is ${experiment.status}`);
+    }
+    if (!experiment.modelPath) {
+        throw httpError(400, 'Experiment has no trained model artifact to register');
+    }
+
+    const existing = await RegisteredModel.findOne({ user, name });
+    if (existing && existing.problemType && existing.problemType !== experiment.problemType) {
+        throw httpError(400, `Model '${name}' is a ${existing.problemType} model; experiment is ${experiment.problemType}`);
+    }
+
+    const model = await RegisteredModel.findOneAndUpdate(
+        { user, name },
+        {
+            $inc: { latestVersion: 1 },
+            $setOnInsert: { problemType: experiment.problemType, ...(description ? { description } : {}) }
+        },
+        { new: true, upsert: true }
+    );
+
+    const modelVersion = new ModelVersion({
+        registeredModel: model._id,
+        user,
+        version: model.latestVersion,
+        description,
+        experiment: experiment._id,
+        algorithm: experiment.algorithm,
+        problemType: experiment.problemType,
+        dataset: experiment.dataset,
+        datasetVersionNumber: experiment.datasetVersionNumber,
+        features: experiment.features,
+        targetColumn: experiment.targetColumn,
+        hyperparameters: experiment.hyperparameters,
+        metrics: experiment.testMetrics || experiment.trainingMetrics || {},
+        modelPath: experiment.modelPath,
+        mlBackend: experiment.mlBackend
+    });
+    modelVersion.stageHistory.push({ to: 'none', reason: 'Registered', changedBy: user });
+    await modelVersion.save();
+
+    return { model, modelVersion };
+};
+
+/**
+ * Move a version to a new stage. Promoting to production swaps the model's
+ * production pointer and archives the version it replaced, so lookups always
+ * find a single answer.
+ */
+const transitionStage = async (model, modelVersion, stage, { user, reason }) => {
+    if (modelVersion.stage === stage) {
+        throw httpError(400, `Version ${modelVersion.version} is already in ${stage}`);
+    }
+
+    if (stage === 'production') {
+        const before = await RegisteredModel.findOneAndUpdate(
+            { _id: model._id },
+            { $set: { productionVersion: modelVersion.version } }
+        );
+        const replacedVersion = before.productionVersion || (await findProductionVersion(before))?.version;
+        if (replacedVersion && replacedVersion !== modelVersion.version) {
+            await archiveReplaced(model, replacedVersion, { user, reason: `Replaced by version ${modelVersion.version}` });
+        }
+
+        recordStage(modelVersion, stage, { user, reason, replacedVersion });
+        await modelVersion.save();
+        await settleProduction(model, modelVersion, user);
+        return modelVersion;
+    }
+
+    // Leaving production clears the pointer, unless a newer promotion already moved it
+    if (modelVersion.stage === 'production') {
+        await RegisteredModel.updateOne(
+            { _id: model._id, productionVersion: { $in: [modelVersion.version, null] } },
+            { $set: { productionVersion: null } }
+        );
+    }
+
+    recordStage(modelVersion, stage, { user, reason });
+    await modelVersion.save();
+    return modelVersion;
+};
+
+/**
+ * Put back the version the current production version replaced. The restored
+ * version inherits its own earlier predecessor, so repeated rollbacks keep
+ * walking back through production history instead of toggling.
+ */
+const rollbackProduction = async (model, { user, reason }) => {
+    const current = await findProductionVersion(model);
+    if (!current) {
+        throw httpError(409, `Model '${model.name}' has no production version to roll back`);
+    }
+
+    const target = lastPromotion(current)?.replacedVersion;
+    const previous = target && await ModelVersion.findOne({ registeredModel: model._id, version: target });
+    if (!previous) {
+        throw httpError(409, `Model '${model.name}' has no earlier production version to roll back to`);
+    }
+
+    // Only roll back from the version we looked at; a concurrent promotion wins
+    const swapped = await RegisteredModel.findOneAndUpdate(
+        { _id: model._id, productionVersion: { $in: [current.version, null] } },
+        { $set: { productionVersion: previous.version } }
+    );
+    if (!swapped) {
+        throw httpError(409, `Production version of '${model.name}' changed during the rollback; try again`);
+    }
+
+    recordStage(current, 'archived', { user, reason: reason || `Rolled back to version ${previous.version}` });
+    await current.save();
+    recordStage(previous, 'production', {
+        user,
+        reason: reason || `Rollback from version ${current.version}`,
+        replacedVersion: lastPromotion(previous)?.replacedVersion
+    });
+    await previous.save();
+    await settleProduction(model, previous, user);
+
+    return { previous: current, current: previous };
+};
+
+module.exports = {
+    findModel,
+    findModelVersion,
+    findProductionVersion,
+    registerVersion,
+    transitionStage,
+    rollbackProduction
+};
@@ -0,0 +1,176 @@
+/**
+ * Prediction Input
+ * Checks inference records against an experiment's feature schema, encodes
+ * them exactly as training rows were encoded (replaying the preprocessing of
+ * preprocessed dataset versions) and sends them to the ML service
+ */
+
+const mlClient = require('./mlClient');
+const { coerceValue, isMissing } = require('./columnProfiler');
+const { findVersion } = require('./datasetVersions');
+const { outputFeatureNames, applyPipeline } = require('./preprocessingPipeline');
+const httpError = require('./httpError');
+
+// Records accepted by one online prediction request
+const MAX_ONLINE_RECORDS = 100;
+
+const TYPE_NAMES = {
+    numeric: 'a number',
+    integer: 'an integer',
+    boolean: 'a boolean',
+    datetime: 'a date',
+    categorical: 'a string',
+    text: 'a string'
+};
+
+// Only completed supervised experiments with a stored model can score new rows
+const assertPredictable = (experiment) => {
+    if (experiment.status !== 'completed' || !experiment.modelPath) {
+        throw httpError(409, 'Experiment has no trained model to predict with');
+    }
+    if (!['classification', 'regression'].includes(experiment.problemType)) {
+        throw httpError(400, `Prediction is not supported for ${experiment.problemType} experiments`);
+    }
+};
+
+// Raw columns clients send for a model trained on a preprocessed version, with the steps to replay
+const preprocessedFeatures = (experiment, version, dataset) => {
+    const pipeline = version.preprocessingPipeline;
+    if (!pipeline) {
+        throw httpError(409, `Dataset version ${version.version} was preprocessed in a way that cannot be replayed on raw records; preprocess it again to score with this model`);
+    }
+    const trained = (experiment.features || []).map((f) => f.name);
+    if (trained.length && trained.join('\0') !== outputFeatureNames(pipeline).join('\0')) {
+        throw httpError(409, `Preprocessing of dataset version ${version.version} no longer produces the features the model was trained on`);
+    }
+    return {
+        features: pipeline.inputFeatures,
+        targetColumn: version.targetColumn || experiment.targetColumn || dataset.targetColumn,
+        preprocessing: pipeline
+    };
+};
+
+/**
+ * Feature columns (name and profiled type) clients send, in training order, and
+ * the preprocessing to replay on them (null when the model saw raw columns).
+ * Experiments trained before features were recorded fall back to their pinned
+ * dataset version. Registered model versions snapshot the same fields and can
+ * be passed in place of the experiment.
+ */
+const experimentFeatures = async (experiment, dataset) => {
+    const version = await findVersion(dataset, experiment.datasetVersionNumber);
+    if (version?.source === 'preprocess') {
+        return preprocessedFeatures(experiment, version, dataset);
+    }
+    if (experiment.features?.length) {
+        return { features: experiment.features, targetColumn: experiment.targetColumn, preprocessing: null };
+    }
+
+    if (!version) {
+        throw httpError(409, `Dataset version ${experiment.datasetVersionNumber} the model was trained on no longer exists`);
+    }
+    const targetColumn = version.targetColumn || dataset.targetColumn;
+    return {
+        features: version.columns.filter((c) => c.name !== targetColumn).map((c) => ({ name: c.name, type: c.type })),
+        targetColumn,
+        preprocessing: null
+    };
+};
+
+const checkValue = (value, type) => {
+    if (value === null || isMissing(value)) return null;
+    if (typeof value === 'object') return `must be ${TYPE_NAMES[type] || 'a scalar value'}`;
+
+    const encoded = coerceValue(value, type);
+    if (encoded === null) return `must be ${TYPE_NAMES[type]}`;
+    if (type === 'integer' && !Number.isInteger(encoded)) return 'must be an integer';
+    return null;
+};
+
+/**
+ * Validate records keyed by feature name and encode them into feature rows.
+ * Every feature must be present (null marks a missing value, as in training);
+ * the target column is ignored so dataset rows can be sent as-is. With
+ * `preprocessing` the raw values go through its steps, and records a step
+ * cannot encode (such as unseen categories) are rejected.
+ * Returns { X, errors } where errors are { record, field, message }.
+ */
+const encodeRecords = (records, features, { targetColumn, preprocessing } = {}) => {
+    const known = new Set(features.map((f) => f.name));
+    const errors = [];
+
+    const X = records.map((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            errors.push({ record: index, field: null, message: 'Record must be an object keyed by feature name' });
+            return null;
+        }
+
+        for (const field of Object.keys(record)) {
+            if (!known.has(field) && field !== targetColumn) {
+                errors.push({ record: index, field, message: 'Unknown feature' });
+            }
+        }
+
+        return features.map(({ name, type }) => {
+            if (!(name in record)) {
+                errors.push({ record: index, field: name, message: 'Feature is required; send null for a missing value' });
+                return null;
+            }
+            const problem = checkValue(record[name], type);
+            if (problem) {
+                errors.push({ record: index, field: name, message: `${name} ${problem}` });
+            }
+            // Preprocessing was fitted on the stored values, before type coercion
+            if (preprocessing) return isMissing(record[name]) ? null : record[name];
+            return coerceValue(record[name], type);
+        });
+    });
+
+    if (!preprocessing) return { X, errors };
+
+    const invalid = new Set(errors.map((e) => e.record));
+    const replayed = applyPipeline(preprocessing, X.map((row, index) => (invalid.has(index) ? null : row)));
+    return { X: replayed.X, errors: [...errors, ...replayed.errors] };
+};
+
+// Pair class labels with their probabilities when the ML service returns both
+const labelProbabilities = (probabilities, classes) => {
+    if (!Array.isArray(probabilities)) return undefined;
+    if (!Array.isArray(classes)) return probabilities;
+    return probabilities.map((row) => Object.fromEntries(classes.map((label, i) => [String(label), row[i]])));
+};
+
+/**
+ * Score encoded rows with the experiment's model, or with a registered model
+ * version (anything carrying modelPath, algorithm, problemType and mlBackend).
+ * Resolves to { predictions, probabilities, classes }; probabilities are keyed
+ * by class label and only returned for classifiers.
+ */
+const requestPredictions = async (experiment, X) => {
+    const classification = experiment.problemType === 'classification';
+    const data = await mlClient.predict({
+        model_id: experiment.modelPath,
+        algorithm: experiment.algorithm,
+        problem_type: experiment.problemType,
+        X,
+        return_probabilities: classification
+    }, { backend: experiment.mlBackend });
+
+    if (!Array.isArray(data.predictions) || data.predictions.length !== X.length) {
+        throw httpError(502, 'ML service returned an unexpected prediction response');
+    }
+
+    return {
+        predictions: data.predictions,
+        probabilities: classification ? labelProbabilities(data.probabilities, data.classes) : undefined,
+        classes: classification && Array.isArray(data.classes) ? data.classes : undefined
+    };
+};
+
+module.exports = {
+    MAX_ONLINE_RECORDS,
+    assertPredictable,
+    experimentFeatures,
+    encodeRecords,
+    requestPredictions
+};
@@ -0,0 +1,119 @@
+/**
+ * Preprocessing Pipeline
+ * Replayable record of how a preprocessed dataset version derives from raw
+ * columns: the raw input features plus the fitted encoder of every
+ * preprocessing step, oldest first. Models trained on such a version score raw
+ * records by pushing them through the same steps.
+ *
+ *   { inputFeatures: [{ name, type }], steps: [{ encoder, dropsMissing }] }
+ */
+
+const { isMissing } = require('./columnProfiler');
+const { normalizeEncodingOptions, fitEncoder, transformRows, encodingError } = require('./featureEncoding');
+
+// Output rows compared when checking a step against what the ML service produced
+const VERIFY_ROWS = 1000;
+const TOLERANCE = 1e-6;
+
+const sameNames = (a, b) => a.length === b.length && a.every((name, i) => name === b[i]);
+
+const close = (expected, actual) => Math.abs(expected - actual) <= TOLERANCE * Math.max(1, Math.abs(expected));
+
+// The service's fitted encoder, or one fitted here the way the local engine does it
+const candidateEncoder = (mlResult, featureRows, featureNames, options) => {
+    if (mlResult.preprocessing_pipeline) return mlResult.preprocessing_pipeline;
+    try {
+        return fitEncoder(featureRows, { ...options, names: featureNames });
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Fitted step for one preprocessing call, or null when no encoder reproduces
+ * the service's output: same column names and the same values on a sample.
+ */
+const fitStep = ({ mlResult, rows, featureNames, options: rawOptions, outputFeatures, outputRows }) => {
+    let options;
+    try {
+        options = normalizeEncodingOptions(rawOptions);
+    } catch (error) {
+        // Options only the ML service understands cannot be replayed here
+        return null;
+    }
+
+    const featureRows = rows.map((row) => featureNames.map((name) => row[name]));
+    const kept = options.missing === 'drop'
+        ? featureRows.filter((row) => row.every((value) => !isMissing(value)))
+        : featureRows;
+    const encoder = candidateEncoder(mlResult, kept, featureNames, options);
+    if (!encoder || !Array.isArray(encoder.featureNames) || !sameNames(encoder.featureNames, outputFeatures)) {
+        return null;
+    }
+
+    const sample = Math.min(VERIFY_ROWS, kept.length, outputRows.length);
+    const replayed = transformRows(encoder, kept.slice(0, sample));
+    const matches = replayed.every((row, i) => outputFeatures.every((name, j) => close(Number(outputRows[i][name]), row[j])));
+    return matches ? { encoder, dropsMissing: options.missing === 'drop' } : null;
+};
+
+/**
+ * Pipeline for a version preprocessed from `parent`: the parent's own pipeline
+ * (or its raw columns) followed by this step. Null when any step along the way
+ * cannot be replayed.
+ */
+const buildPipeline = ({ parent, targetColumn, rows, options, mlResult, outputColumns, outputRows }) => {
+    const inputColumns = parent.columns.filter((c) => c.name !== targetColumn);
+    const base = parent.source === 'preprocess'
+        ? parent.preprocessingPipeline
+        : { inputFeatures: inputColumns.map(({ name, type }) => ({ name, type })), steps: [] };
+    if (!base) return null;
+
+    const step = fitStep({
+        mlResult,
+        rows,
+        featureNames: inputColumns.map((c) => c.name),
+        options,
+        outputFeatures: outputColumns.filter((name) => name !== targetColumn),
+        outputRows
+    });
+    return step ? { inputFeatures: base.inputFeatures, steps: [...base.steps, step] } : null;
+};
+
+const outputFeatureNames = (pipeline) => pipeline.steps[pipeline.steps.length - 1].encoder.featureNames;
+
+/**
+ * Push raw rows (arrays in inputFeatures order) through every step.
+ * Returns { X, errors }: X holds null for rows a step cannot encode, and
+ * errors are { record, field, message }.
+ */
+const applyPipeline = (pipeline, rows) => {
+    const errors = [];
+    let names = pipeline.inputFeatures.map((f) => f.name);
+    let current = rows;
+
+    for (const { encoder, dropsMissing } of pipeline.steps) {
+        const positions = encoder.columns.map((column) => names.indexOf(column.name));
+        current = current.map((row, record) => {
+            if (!row) return null;
+            const values = positions.map((position) => row[position]);
+            const problems = encoder.columns.flatMap((column, j) => {
+                const message = dropsMissing && isMissing(values[j])
+                    ? 'is required; rows with missing values were dropped in training'
+                    : encodingError(column, values[j]);
+                return message ? [{ record, field: column.name, message: `${column.name} ${message}` }] : [];
+            });
+            errors.push(...problems);
+            return problems.length ? null : transformRows(encoder, [values])[0];
+        });
+        names = encoder.featureNames;
+    }
+
+    return { X: current, errors };
+};
+
+module.exports = {
+    buildPipeline,
+    outputFeatureNames,
+    applyPipeline
+};
@@ -0,0 +1,145 @@
+/**
+ * Reproducibility
+ * Manifests describing exactly what a training run used, and the checks that
+ * compare a re-run against the original
+ */
+
+const crypto = require('crypto');
+const { backendVersion } = require('./mlBackends');
+const { toScore } = require('./metrics');
+
+const DEFAULT_TOLERANCE = 1e-6;
+
+const newSeed = () => crypto.randomInt(0, 2 ** 31 - 1);
+
+/**
+ * Version string an ML backend reports at /ml/algorithms, as of its last health check.
+ * Resolves to null when the backend does not report one or cannot be reached.
+ */
+const mlServiceVersion = (backendName) => backendVersion(backendName);
+
+const describeSplit = (split) => (split
+    ? {
+        id: String(split._id),
+        strategy: split.strategy,
+        testSize: split.testSize,
+        seed: split.seed,
+        column: split.column || null,
+        numberOfRows: split.numberOfRows,
+        trainCount: split.trainCount,
+        testCount: split.testCount
+    }
+    : null);
+
+/**
+ * Everything that determines a training run's result. `rowsLoaded` is the
+ * number of rows read from the dataset version; `trainRows`/`testRows` are
+ * the rows actually sent to the ML service.
+ */
+const buildManifest = ({
+    experiment,
+    dataset,
+    version,
+    split,
+    rowsLoaded,
+    trainRows,
+    testRows,
+    features,
+    targetColumn,
+    hyperparameters,
+    crossValidation,
+    mlBackend,
+    serviceVersion
+}) => ({
+    manifestVersion: 1,
+    seed: experiment.seed,
+    algorithm: experiment.algorithm,
+    problemType: experiment.problemType,
+    hyperparameters,
+    dataset: {
+        id: String(dataset._id),
+        version: version.version,
+        versionId: String(version._id),
+        contentHash: version.contentHash || dataset.contentHash || null,
+        numberOfRows: version.numberOfRows ?? null,
+        rowsLoaded,
+        rowsSent: { train: trainRows, test: testRows, total: trainRows + testRows },
+        features: (features || []).map(({ name, type }) => ({ name, type })),
+        targetColumn: targetColumn || null
+    },
+    split: describeSplit(split),
+    crossValidation: crossValidation || null,
+    mlService: { backend: mlBackend || null, version: serviceVersion },
+    recordedAt: new Date()
+});
+
+// Flatten nested values into dotted paths so manifest differences name the exact field
+const flatten = (value, prefix = '', out = {}) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        for (const [key, nested] of Object.entries(value)) {
+            flatten(nested, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+const IGNORED_MANIFEST_FIELDS = new Set(['recordedAt']);
+
+const diffManifests = (original, rerun) => {
+    const a = flatten(original || {});
+    const b = flatten(rerun || {});
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+        .filter((field) => !IGNORED_MANIFEST_FIELDS.has(field))
+        .filter((field) => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+        .sort()
+        .map((field) => ({ field, original: a[field] ?? null, rerun: b[field] ?? null }));
+};
+
+const METRIC_SETS = {
+    test: (e) => e.testMetrics,
+    training: (e) => e.trainingMetrics,
+    crossValidation: (e) => e.cvResults?.mean
+};
+
+/**
+ * Compare a re-run with the experiment it reproduces. Every numeric metric of
+ * the original must be reported again within `tolerance` for the runs to match.
+ */
+const compareRuns = (original, rerun, tolerance = DEFAULT_TOLERANCE) => {
+    const metrics = [];
+    for (const [set, metricsOf] of Object.entries(METRIC_SETS)) {
+        for (const [metric, value] of Object.entries(metricsOf(original) || {})) {
+            const before = toScore(value);
+            if (before === null) continue;
+            const after = toScore(metricsOf(rerun)?.[metric]);
+            const difference = after === null ? null : after - before;
+            metrics.push({
+                set,
+                metric,
+                original: before,
+                rerun: after,
+                difference,
+                matches: difference !== null && Math.abs(difference) <= tolerance
+            });
+        }
+    }
+
+    return {
+        of: original._id,
+        tolerance,
+        matches: metrics.length > 0 && metrics.every((m) => m.matches),
+        metrics,
+        manifestDifferences: diffManifests(original.manifest, rerun.manifest)
+    };
+};
+
+module.exports = {
+    DEFAULT_TOLERANCE,
+    newSeed,
+    mlServiceVersion,
+    buildManifest,
+    diffManifests,
+    compareRuns
+};
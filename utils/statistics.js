@@ -0,0 +1,180 @@
+/**
+ * Statistics
+ * Paired significance tests for comparing two models on the same folds or samples
+ */
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const std = (values) => {
+    if (values.length < 2) return 0;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+};
+
+// Abramowitz-Stegun 7.1.26; accurate to ~1e-7, plenty for p-values
+const erf = (x) => {
+    const sign = x < 0 ? -1 : 1;
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return sign * y;
+};
+
+const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+const logGamma = (x) => {
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let ser = 1.000000000190015;
+    for (const coefficient of c) {
+        y += 1;
+        ser += coefficient / y;
+    }
+    return -tmp + Math.log((2.5066282746310005 * ser) / x);
+};
+
+// Continued fraction for the regularized incomplete beta (Numerical Recipes betacf)
+const betaContinuedFraction = (a, b, x) => {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= 200; m += 1) {
+        const m2 = 2 * m;
+        let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        h *= d * c;
+
+        aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return h;
+};
+
+const incompleteBeta = (a, b, x) => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? (front * betaContinuedFraction(a, b, x)) / a
+        : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+// Two-sided p-value of Student's t with df degrees of freedom
+const tTwoSided = (t, df) => incompleteBeta(df / 2, 0.5, df / (df + t * t));
+
+/**
+ * Paired t-test on matched scores (e.g. the same folds scored by two models).
+ * With testTrainRatio set, applies the Nadeau-Bengio correction for the overlap
+ * between cross-validation training sets, which otherwise makes p-values too small.
+ * Returns null when there are too few pairs to test.
+ */
+const pairedTTest = (a, b, { testTrainRatio } = {}) => {
+    const method = testTrainRatio ? 'corrected_paired_t_test' : 'paired_t_test';
+    const diffs = a.map((v, i) => v - b[i]);
+    const n = diffs.length;
+    if (n < 2) return null;
+
+    const meanDiff = mean(diffs);
+    const sd = std(diffs);
+    if (sd === 0) {
+        return { method, n, meanDifference: meanDiff, statistic: null, pValue: meanDiff === 0 ? 1 : 0 };
+    }
+
+    const varianceFactor = testTrainRatio ? 1 / n + testTrainRatio : 1 / n;
+    const statistic = meanDiff / (sd * Math.sqrt(varianceFactor));
+    return { method, n, meanDifference: meanDiff, statistic, pValue: tTwoSided(statistic, n - 1) };
+};
+
+/**
+ * Wilcoxon signed-rank test with the normal approximation and tie correction.
+ * Zero differences are dropped, as in the classic test.
+ */
+const wilcoxonSignedRank = (a, b) => {
+    const diffs = a.map((v, i) => v - b[i]).filter((d) => d !== 0);
+    const n = diffs.length;
+    if (n < 2) {
+        return { method: 'wilcoxon_signed_rank', n, statistic: null, pValue: 1 };
+    }
+
+    const order = diffs.map((d, i) => ({ abs: Math.abs(d), sign: Math.sign(d), i })).sort((x, y) => x.abs - y.abs);
+    const ranks = new Array(n);
+    let tieTerm = 0;
+    for (let start = 0; start < n;) {
+        let end = start;
+        while (end + 1 < n && order[end + 1].abs === order[start].abs) end += 1;
+        const rank = (start + end) / 2 + 1;
+        for (let k = start; k <= end; k += 1) ranks[k] = rank;
+        const ties = end - start + 1;
+        tieTerm += ties ** 3 - ties;
+        start = end + 1;
+    }
+
+    const wPlus = order.reduce((sum, d, k) => sum + (d.sign > 0 ? ranks[k] : 0), 0);
+    const expected = (n * (n + 1)) / 4;
+    const variance = (n * (n + 1) * (2 * n + 1)) / 24 - tieTerm / 48;
+    const z = variance > 0 ? (wPlus - expected) / Math.sqrt(variance) : 0;
+
+    return { method: 'wilcoxon_signed_rank', n, statistic: wPlus, z, pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) };
+};
+
+/**
+ * McNemar's test on paired correct/incorrect outcomes.
+ * Uses the exact binomial test for fewer than 25 discordant pairs.
+ */
+const mcnemar = (correctA, correctB) => {
+    let onlyA = 0;
+    let onlyB = 0;
+    correctA.forEach((ok, i) => {
+        if (ok && !correctB[i]) onlyA += 1;
+        else if (!ok && correctB[i]) onlyB += 1;
+    });
+
+    const discordant = onlyA + onlyB;
+    if (discordant === 0) {
+        return { method: 'mcnemar', n: correctA.length, onlyFirstCorrect: 0, onlySecondCorrect: 0, statistic: 0, pValue: 1 };
+    }
+
+    if (discordant < 25) {
+        // Two-sided exact binomial with p = 0.5
+        const k = Math.min(onlyA, onlyB);
+        let tail = 0;
+        for (let i = 0; i <= k; i += 1) {
+            tail += Math.exp(logGamma(discordant + 1) - logGamma(i + 1) - logGamma(discordant - i + 1) - discordant * Math.LN2);
+        }
+        return { method: 'mcnemar_exact', n: correctA.length, onlyFirstCorrect: onlyA, onlySecondCorrect: onlyB, statistic: k, pValue: Math.min(1, 2 * tail) };
+    }
+
+    const statistic = (Math.abs(onlyA - onlyB) - 1) ** 2 / discordant;
+    return {
+        method: 'mcnemar',
+        n: correctA.length,
+        onlyFirstCorrect: onlyA,
+        onlySecondCorrect: onlyB,
+        statistic,
+        pValue: 2 * (1 - normalCdf(Math.sqrt(statistic)))
+    };
+};
+
+module.exports = {
+    mean,
+    std,
+    pairedTTest,
+    wilcoxonSignedRank,
+    mcnemar
+};
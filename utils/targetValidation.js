@@ -0,0 +1,54 @@
+/**
+ * Target Validation
+ * Checks that a target column exists in a column profile and suits the problem type
+ */
+
+const NUMERIC_TYPES = ['numeric', 'integer'];
+const SUPERVISED = ['classification', 'regression'];
+const MAX_CLASSES = 100;
+
+/**
+ * Return field-level problems ({ field, message }) with a target/problem type pair.
+ * Legacy 'string' profiles carry no reliable type, so only their existence is checked.
+ */
+const targetProblems = ({ columns, targetColumn, problemType }) => {
+    if (!targetColumn) {
+        return SUPERVISED.includes(problemType)
+            ? [{ field: 'targetColumn', message: `A target column is required for ${problemType}` }]
+            : [];
+    }
+
+    const column = columns.find((c) => c.name === targetColumn);
+    if (!column) {
+        return [{ field: 'targetColumn', message: `Column '${targetColumn}' does not exist in this dataset` }];
+    }
+    if (column.type === 'string') return [];
+
+    if (problemType === 'regression' && !NUMERIC_TYPES.includes(column.type)) {
+        return [{
+            field: 'problemType',
+            message: `Regression needs a numeric target, but '${targetColumn}' is ${column.type}`
+        }];
+    }
+
+    if (problemType === 'classification') {
+        if (column.type === 'datetime') {
+            return [{ field: 'problemType', message: `Classification cannot use datetime column '${targetColumn}' as its target` }];
+        }
+        if (column.uniqueValues > MAX_CLASSES) {
+            return [{
+                field: 'problemType',
+                message: `'${targetColumn}' has ${column.uniqueValues} distinct values; classification supports at most ${MAX_CLASSES} classes. Use regression for continuous targets`
+            }];
+        }
+        if (column.uniqueValues < 2) {
+            return [{ field: 'targetColumn', message: `'${targetColumn}' has a single value and cannot be a classification target` }];
+        }
+    }
+
+    return [];
+};
+
+module.exports = {
+    targetProblems
+};
@@ -0,0 +1,79 @@
+/**
+ * Upload Session Sweeper
+ * MongoDB's TTL index drops expired upload sessions but not their chunk
+ * directories under uploads/.sessions; this periodically removes directories
+ * no live session owns.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const { uploadDir } = require('./blobStore');
+
+const sessionsDir = path.join(uploadDir, '.sessions');
+const SWEEP_INTERVAL_MS = Number(process.env.UPLOAD_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+// Leave directories touched this recently alone, in case their session is still being created
+const MIN_AGE_MS = 10 * 60 * 1000;
+const LIVE_STATUSES = ['active', 'finalizing'];
+
+let timer = null;
+
+const isOrphan = async (name) => {
+    if (!mongoose.isObjectIdOrHexString(name)) return true;
+    return !(await UploadSession.exists({
+        _id: name,
+        status: { $in: LIVE_STATUSES },
+        expiresAt: { $gt: new Date() }
+    }));
+};
+
+// Remove orphaned chunk directories; resolves to the number removed
+const sweep = async () => {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(sessionsDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    let removed = 0;
+    for (const entry of entries) {
+        const dir = path.join(sessionsDir, entry.name);
+        const { mtimeMs } = await fs.promises.stat(dir).catch(() => ({ mtimeMs: Date.now() }));
+        if (Date.now() - mtimeMs < MIN_AGE_MS || !(await isOrphan(entry.name))) continue;
+
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        removed += 1;
+    }
+    return removed;
+};
+
+const tick = async () => {
+    try {
+        const removed = await sweep();
+        if (removed) console.log(`🧹 Removed ${removed} abandoned upload session director${removed === 1 ? 'y' : 'ies'}`);
+    } catch (error) {
+        console.error('Upload session sweep failed:', error.message);
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, SWEEP_INTERVAL_MS);
+    timer.unref();
+    setImmediate(tick);
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    sessionsDir,
+    sweep,
+    start,
+    stop
+};